@@ -9,6 +9,7 @@ export default [
       globals: {
         process: 'readonly',
         Buffer: 'readonly',
+        Intl: 'readonly',
         console: 'readonly',
         setTimeout: 'readonly',
         clearTimeout: 'readonly',
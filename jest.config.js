@@ -1,15 +1,8 @@
+// Sources are native ES modules (package.json "type": "module"), so nothing is transformed;
+// the test scripts run jest with --experimental-vm-modules
 export default {
   testEnvironment: 'node',
   transform: {},
-  extensionsToTreatAsEsm: ['.js'],
-  globals: {
-    'ts-jest': {
-      useESM: true
-    }
-  },
-  moduleNameMapping: {
-    '^(\\.{1,2}/.*)\\.js$': '$1'
-  },
   testMatch: [
     '**/__tests__/**/*.js',
     '**/?(*.)+(spec|test).js'
@@ -1,10 +1,27 @@
 import { App, Octokit } from 'octokit';
-import { DEFAULT_PORT, ENV_VARS, SUPPORTED_PR_EVENTS, WEBHOOK_PATH } from './utils/constants.js';
-import { WebhookEvent, shouldProcessWebhook } from './utils/webhook.js';
-import { handlePullRequestEvent, handlePushEvent } from './utils/events.js';
+import {
+  DEFAULT_PORT,
+  DEFAULT_QUEUE_DIR,
+  ENV_VARS,
+  HTTP_STATUS,
+  JOB_TYPES,
+  SUPPORTED_COMMENT_EVENTS,
+  SUPPORTED_PR_EVENTS,
+  SYNC_PATH,
+  WEBHOOK_PATH
+} from './utils/constants.js';
+import {
+  createJobHandlers,
+  enqueueOnboarding,
+  enqueueScheduledSync,
+  enqueueSync,
+  enqueueWebhook
+} from './utils/jobs.js';
+import { getSyncInterval, isAuthorizedSyncRequest } from './utils/sync.js';
 
 import { ErrorHandler } from './utils/errors.js';
 import { Logger } from './utils/logger.js';
+import { createJobQueue } from './utils/queue.js';
 import { createNodeMiddleware } from '@octokit/webhooks';
 import dotenv from 'dotenv';
 import fs from 'fs';
@@ -51,32 +68,70 @@ const app = new App({
 const { data } = await app.octokit.request('/app');
 logger.success(`GitHub App authenticated as '${data.name}'`);
 
+// Durable job queue: webhooks are only stored here and processed in the background,
+// so a crash, deploy or provider timeout does not lose work
+const queue = createJobQueue({
+  directory: process.env[ENV_VARS.QUEUE_DIR] || DEFAULT_QUEUE_DIR,
+  handlers: createJobHandlers(app)
+});
+
 // Webhook pull request events
 for (const action of SUPPORTED_PR_EVENTS) {
-  app.webhooks.on(`pull_request.${action}`, async({ octokit, payload }) => {
+  app.webhooks.on(`pull_request.${action}`, async({ payload }) => {
     try {
-      const event = new WebhookEvent(octokit, payload);
-      if (await shouldProcessWebhook(event)) {
-        await handlePullRequestEvent(event, action);
-      }
+      await enqueueWebhook(queue, JOB_TYPES.PULL_REQUEST, payload, action);
     } catch (error) {
       await ErrorHandler.handleWebhookError(error, payload, 'PRWebhook');
     }
   });
 }
 
+// Close companion translation pull requests along with their source pull request
+app.webhooks.on('pull_request.closed', async({ payload }) => {
+  try {
+    await enqueueWebhook(queue, JOB_TYPES.PULL_REQUEST_CLOSED, payload, 'closed');
+  } catch (error) {
+    await ErrorHandler.handleWebhookError(error, payload, 'PRWebhook');
+  }
+});
+
 // Handle push events
-app.webhooks.on('push', async({ octokit, payload }) => {
+app.webhooks.on('push', async({ payload }) => {
   try {
-    const event = new WebhookEvent(octokit, payload);
-    if (await shouldProcessWebhook(event)) {
-      await handlePushEvent(event);
-    }
+    await enqueueWebhook(queue, JOB_TYPES.PUSH, payload);
   } catch (error) {
     await ErrorHandler.handleWebhookError(error, payload, 'PushWebhook');
   }
 });
 
+// Handle slash commands in pull request comments
+for (const action of SUPPORTED_COMMENT_EVENTS) {
+  app.webhooks.on(`issue_comment.${action}`, async({ payload }) => {
+    try {
+      await enqueueWebhook(queue, JOB_TYPES.ISSUE_COMMENT, payload, action);
+    } catch (error) {
+      await ErrorHandler.handleWebhookError(error, payload, 'CommentWebhook');
+    }
+  });
+}
+
+// Open an onboarding pull request in repositories the app is installed on
+app.webhooks.on('installation.created', async({ payload }) => {
+  try {
+    await enqueueOnboarding(queue, payload.installation, payload.repositories);
+  } catch (error) {
+    await ErrorHandler.handleWebhookError(error, payload, 'InstallationWebhook');
+  }
+});
+
+app.webhooks.on('installation_repositories.added', async({ payload }) => {
+  try {
+    await enqueueOnboarding(queue, payload.installation, payload.repositories_added);
+  } catch (error) {
+    await ErrorHandler.handleWebhookError(error, payload, 'InstallationWebhook');
+  }
+});
+
 // Comprehensive error handling for webhooks
 app.webhooks.onError((error) => {
   ErrorHandler.handleWebhookError(error, null, 'WebhookError');
@@ -98,6 +153,63 @@ app.webhooks.onAny((event) => {
   });
 });
 
+// Send a JSON response
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Read a JSON request body, or null if it is not valid JSON
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+  } catch {
+    return null;
+  }
+}
+
+// Queue a full sync of a repository branch:
+//   POST /api/sync {"repository": "owner/repo", "branch": "main"}
+//   Authorization: Bearer $SYNC_TOKEN
+// branch defaults to the default branch; the sync runs in the background
+async function handleSyncRequest(req, res) {
+  if (!isAuthorizedSyncRequest(req.headers.authorization)) {
+    sendJson(res, HTTP_STATUS.UNAUTHORIZED, { error: 'Unauthorized' });
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  const [owner, repo, ...rest] = typeof body?.repository === 'string' ? body.repository.split('/') : [];
+  if (!owner || !repo || rest.length > 0 || (body.branch !== undefined && typeof body.branch !== 'string')) {
+    sendJson(res, HTTP_STATUS.BAD_REQUEST, { error: 'Expected {"repository": "owner/repo", "branch": "<optional branch>"}' });
+    return;
+  }
+
+  let installation;
+  try {
+    ({ data: installation } = await app.octokit.rest.apps.getRepoInstallation({ owner, repo }));
+  } catch (error) {
+    if (error.status === HTTP_STATUS.NOT_FOUND) {
+      sendJson(res, HTTP_STATUS.NOT_FOUND, { error: `The app is not installed on ${owner}/${repo}` });
+      return;
+    }
+    throw error;
+  }
+
+  const octokit = await app.getInstallationOctokit(installation.id);
+  const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+  const branch = body.branch || repository.default_branch;
+  const job = await enqueueSync(queue, installation.id, repository, branch);
+
+  logger.info(`Full sync of ${repository.full_name}@${branch} requested`, { job: job.id });
+  sendJson(res, HTTP_STATUS.ACCEPTED, { status: 'queued', job: job.id, repository: repository.full_name, branch });
+}
+
 // Create HTTP server
 const server = http.createServer((req, res) => {
   // Set CORS headers
@@ -114,14 +226,26 @@ const server = http.createServer((req, res) => {
 
   // Handle health check
   if (req.url === '/health' && req.method === 'GET') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      version: process.version
-    }));
+    queue.getStats().catch(() => null).then((jobs) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'healthy',
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        version: process.version,
+        jobs
+      }));
+    });
+    return;
+  }
+
+  // Handle full sync requests
+  if (req.url === SYNC_PATH && req.method === 'POST') {
+    handleSyncRequest(req, res).catch((error) => {
+      logger.error('Error handling sync request', error);
+      sendJson(res, HTTP_STATUS.INTERNAL_SERVER_ERROR, { error: 'Sync request failed' });
+    });
     return;
   }
 
@@ -150,3 +274,24 @@ function startServer(port) {
 }
 
 startServer(port);
+await queue.start();
+
+// Scheduled full sync: backfill translations missing from every repository's default branch
+const syncInterval = getSyncInterval();
+const syncTimer = syncInterval
+  ? setInterval(() => {
+    enqueueScheduledSync(app, queue)
+      .then(queued => logger.info(`Scheduled full sync queued for ${queued} repositories`))
+      .catch(error => logger.error('Error scheduling full sync', error));
+  }, syncInterval)
+  : null;
+
+// Let the job in progress finish before exiting; anything unfinished runs after restart
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async() => {
+    logger.info(`Received ${signal}, stopping job queue`);
+    clearInterval(syncTimer);
+    await queue.stop();
+    process.exit(0);
+  });
+}
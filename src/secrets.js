@@ -0,0 +1,34 @@
+import { DEFAULT_SECRETS_FILE, DEFAULT_SECRET_NAME, ENV_VARS } from './utils/constants.js';
+
+import { Logger } from './utils/logger.js';
+import dotenv from 'dotenv';
+import { setInstallationSecret } from './utils/secrets.js';
+
+// Store a provider API key for an installation:
+//   echo "$KEY" | npm run secrets:set -- <installationId> [name]
+// The value is read from stdin so it never appears in shell history or process lists
+dotenv.config();
+
+const logger = new Logger('Secrets');
+const [installationId, name = DEFAULT_SECRET_NAME] = process.argv.slice(2);
+
+if (!installationId) {
+  logger.error('Usage: npm run secrets:set -- <installationId> [name] < key.txt');
+  process.exit(1);
+}
+
+const chunks = [];
+for await (const chunk of process.stdin) {
+  chunks.push(chunk);
+}
+const value = Buffer.concat(chunks).toString('utf8').trim();
+
+if (!value) {
+  logger.error('No secret value received on stdin');
+  process.exit(1);
+}
+
+await setInstallationSecret(installationId, name, value);
+logger.success(`Stored secret "${name}" for installation ${installationId}`, {
+  file: process.env[ENV_VARS.SECRETS_FILE] || DEFAULT_SECRETS_FILE
+});
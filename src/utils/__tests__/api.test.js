@@ -0,0 +1,68 @@
+import { afterEach, describe, expect, test } from '@jest/globals';
+import { getConfig, getOrgConfigRepository } from '../api.js';
+
+import { ENV_VARS } from '../constants.js';
+
+// Minimal octokit serving files per "owner/repo/path"; other paths fail with the error of
+// their repository, or 404
+const createEvent = (files, errors = {}) => ({
+  owner: 'acme',
+  repo: 'app',
+  payload: {},
+  octokit: {
+    rest: {
+      repos: {
+        getContent: async({ owner, repo, path }) => {
+          const content = files[`${owner}/${repo}/${path}`];
+          if (content !== undefined) {
+            return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+          }
+          throw errors[`${owner}/${repo}`] || Object.assign(new Error('Not Found'), { status: 404 });
+        }
+      }
+    }
+  }
+});
+
+afterEach(() => {
+  delete process.env[ENV_VARS.ORG_CONFIG_REPO];
+});
+
+describe('getOrgConfigRepository', () => {
+  test('defaults to the .github repository of the owner', () => {
+    expect(getOrgConfigRepository({ owner: 'acme' })).toEqual({ owner: 'acme', repo: '.github' });
+  });
+
+  test('keeps the owner of ORG_CONFIG_REPO for that account only', () => {
+    process.env[ENV_VARS.ORG_CONFIG_REPO] = 'Acme/config';
+
+    expect(getOrgConfigRepository({ owner: 'acme' })).toEqual({ owner: 'Acme', repo: 'config' });
+    expect(getOrgConfigRepository({ owner: 'other' })).toEqual({ owner: 'other', repo: 'config' });
+  });
+});
+
+describe('getConfig', () => {
+  test('merges the organization defaults under the repository config', async() => {
+    const event = createEvent({
+      'acme/app/.vocoder/config.json': '{ "targetLocales": ["de"] }',
+      'acme/.github/.vocoder/config.json': '{ "targetLocales": ["fr"], "sourceLocale": "en-GB" }'
+    });
+
+    const config = await getConfig(event, 'main');
+
+    expect(config).toMatchObject({ targetLocales: ['de'], sourceLocale: 'en-GB', inheritedFrom: { owner: 'acme', repo: '.github' } });
+  });
+
+  test('returns null for a repository without a config file', async() => {
+    expect(await getConfig(createEvent({}), 'main')).toBeNull();
+  });
+
+  test('fails instead of looking unconfigured when the organization config cannot be read', async() => {
+    const event = createEvent(
+      { 'acme/app/.vocoder/config.json': '{ "targetLocales": ["de"] }' },
+      { 'acme/.github': Object.assign(new Error('Server Error'), { status: 502 }) }
+    );
+
+    await expect(getConfig(event, 'main')).rejects.toMatchObject({ status: 502 });
+  });
+});
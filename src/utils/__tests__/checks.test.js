@@ -0,0 +1,75 @@
+import { buildAnnotations, buildCheckOutput, buildSummary, completeCheckRun, getCheckConclusion } from '../checks.js';
+import { describe, expect, test } from '@jest/globals';
+
+const namespace = {
+  sourceFile: 'locales/en.json',
+  source: { content: '{\n  "home": {\n    "title": "Welcome"\n  },\n  "cta": "Buy | now"\n}\n' },
+  changes: { added: { 'home.title': 'Welcome' }, updated: { cta: 'Buy | now' }, deleted: { old: 'Old' } },
+  translations: { fr: { 'home.title': 'Bienvenue', cta: 'Acheter | maintenant' } }
+};
+const failure = { level: 'failure', key: 'cta', locale: 'fr', sourceFile: 'locales/en.json', message: 'Placeholder missing' };
+
+describe('getCheckConclusion', () => {
+  test('fails on an error or a failure-level issue', () => {
+    expect(getCheckConclusion({ success: true })).toBe('success');
+    expect(getCheckConclusion({ success: true, issues: [{ ...failure, level: 'warning' }] })).toBe('success');
+    expect(getCheckConclusion({ success: true, issues: [failure] })).toBe('failure');
+    expect(getCheckConclusion({ success: false, error: 'Boom' })).toBe('failure');
+  });
+});
+
+describe('buildCheckOutput', () => {
+  test('titles the run after its outcome', () => {
+    expect(buildCheckOutput({ success: true, changesProcessed: 3 }).title).toBe('Localization complete: 3 changes processed');
+    expect(buildCheckOutput({ success: true, issues: [failure] }).title).toBe('Localization finished with 1 failed string(s)');
+    expect(buildCheckOutput({ success: false, error: 'Boom' }).title).toBe('Localization failed: Boom');
+  });
+
+  test('lists every translation with table cells escaped', () => {
+    const { text } = buildCheckOutput({ success: true, namespaces: [namespace] });
+
+    expect(text).toContain('| `home.title` | fr | Welcome | Bienvenue |');
+    expect(text).toContain('| `cta` | fr | Buy \\| now | Acheter \\| maintenant |');
+  });
+});
+
+describe('buildSummary', () => {
+  test('counts the changes of each source file and locale and lists the issues', () => {
+    const summary = buildSummary({ success: true, namespaces: [namespace], issues: [failure], commitSha: 'abc123' });
+
+    expect(summary).toContain('| `locales/en.json` | fr | 1 | 1 | 1 |');
+    expect(summary).toContain('Translations committed in abc123.');
+    expect(summary).toContain('- **failure** `cta` (fr): Placeholder missing');
+  });
+
+  test('falls back to the result message when nothing changed', () => {
+    expect(buildSummary({ success: true, message: 'Nothing to translate' })).toBe('Nothing to translate');
+  });
+});
+
+describe('buildAnnotations', () => {
+  test('points each issue at the line of its key in the source file', () => {
+    expect(buildAnnotations([failure, { ...failure, key: 'home.title' }, { ...failure, sourceFile: undefined }], [namespace]))
+      .toEqual([
+        expect.objectContaining({ path: 'locales/en.json', start_line: 5, end_line: 5, annotation_level: 'failure', title: 'cta (fr)' }),
+        expect.objectContaining({ start_line: 3, title: 'home.title (fr)' })
+      ]);
+  });
+});
+
+describe('completeCheckRun', () => {
+  test('sends annotations in chunks of 50', async() => {
+    const updates = [];
+    const event = { owner: 'acme', repo: 'app', octokit: { rest: { checks: { update: async(params) => updates.push(params) } } } };
+    const issues = Array.from({ length: 60 }, (_, index) => ({ ...failure, key: `key${index}` }));
+
+    await completeCheckRun(event, { id: 9 }, { success: true, issues, namespaces: [namespace] });
+
+    expect(updates.map(update => update.output.annotations.length)).toEqual([50, 10]);
+    expect(updates[0]).toMatchObject({ check_run_id: 9, status: 'completed', conclusion: 'failure' });
+  });
+
+  test('does nothing without a check run', async() => {
+    await expect(completeCheckRun({}, null, { success: true })).resolves.toBeUndefined();
+  });
+});
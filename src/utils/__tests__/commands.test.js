@@ -0,0 +1,41 @@
+import { describe, expect, test } from '@jest/globals';
+import { hasSkipLabel, hasWritePermission, isKnownCommand, parseAddedCommands, parseCommands } from '../commands.js';
+
+describe('parseCommands', () => {
+  test('reads one command per line, outside quotes and code blocks', () => {
+    const body = [
+      'Thanks!',
+      '/vocoder retranslate fr home.title',
+      '> /vocoder skip',
+      '```',
+      '/vocoder sync',
+      '```',
+      '  /vocoder Add-Locale de'
+    ].join('\n');
+
+    expect(parseCommands(body)).toEqual([
+      { name: 'retranslate', args: ['fr', 'home.title'], raw: '/vocoder retranslate fr home.title' },
+      { name: 'add-locale', args: ['de'], raw: '/vocoder Add-Locale de' }
+    ]);
+  });
+});
+
+describe('parseAddedCommands', () => {
+  test('leaves out the commands the comment already had', () => {
+    expect(parseAddedCommands('/vocoder sync\n/vocoder skip', '/vocoder sync')).toEqual([
+      { name: 'skip', args: [], raw: '/vocoder skip' }
+    ]);
+    expect(parseAddedCommands('/vocoder sync (typo fixed)', '/vocoder sync (typo fixed)')).toEqual([]);
+  });
+});
+
+describe('command helpers', () => {
+  test('recognize commands, permissions and the skip label', () => {
+    expect(isKnownCommand('sync')).toBe(true);
+    expect(isKnownCommand('deploy')).toBe(false);
+    expect(hasWritePermission('maintain')).toBe(true);
+    expect(hasWritePermission('read')).toBe(false);
+    expect(hasSkipLabel({ labels: [{ name: 'vocoder:skip' }] })).toBe(true);
+    expect(hasSkipLabel({})).toBe(false);
+  });
+});
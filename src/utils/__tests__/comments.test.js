@@ -0,0 +1,171 @@
+import { buildSummaryComment, postForkSuggestions, postSummaryComment } from '../comments.js';
+import { describe, expect, test } from '@jest/globals';
+
+import { SUMMARY_COMMENT_MARKER } from '../constants.js';
+
+const namespace = {
+  namespace: 'common',
+  sourceFile: 'locales/en/common.json',
+  changes: { added: { title: 'Welcome' }, updated: {}, deleted: { old: 'Old' } },
+  translations: { fr: { title: 'Bienvenue' } }
+};
+
+/**
+ * Fake octokit that records the comments it is asked to create or update
+ */
+function createEvent(comments = []) {
+  const calls = { created: [], updated: [] };
+  const octokit = {
+    paginate: async() => comments,
+    rest: {
+      issues: {
+        listComments: () => {},
+        createComment: async(params) => {
+          calls.created.push(params);
+          return { data: { id: 2 } };
+        },
+        updateComment: async(params) => {
+          calls.updated.push(params);
+          return { data: { id: params.comment_id } };
+        }
+      }
+    }
+  };
+
+  return { event: { owner: 'acme', repo: 'app', octokit }, calls };
+}
+
+describe('buildSummaryComment', () => {
+  test('lists the string changes, translations and issues', () => {
+    const body = buildSummaryComment({
+      success: true,
+      commitSha: 'abc1234',
+      namespaces: [namespace],
+      issues: [{ level: 'warning', key: 'title', locale: 'fr', sourceFile: 'locales/en/common.json', message: 'Too long' }]
+    }, { headSha: 'def4567890' });
+
+    expect(body).toContain('✅ Translations committed in abc1234');
+    expect(body).toContain('<sub>Last processed commit: def4567</sub>');
+    expect(body).toContain('<code>locales/en/common.json</code>: 1 added, 0 updated, 1 deleted');
+    expect(body).toContain('| Deleted | `old` |  |');
+    expect(body).toContain('<details><summary>fr (1)</summary>');
+    expect(body).toContain('- ⚠️ `title` (`locales/en/common.json`, fr): Too long');
+  });
+
+  test('shows the context of the changed strings when there is some', () => {
+    const body = buildSummaryComment({
+      success: true,
+      namespaces: [{ ...namespace, context: { title: { description: 'Page title', maxLength: 20 } } }]
+    });
+
+    expect(body).toContain('| Change | Key | Source | Context |');
+    expect(body).toContain('| Added | `title` | Welcome | Page title; max 20 characters |');
+    expect(body).toContain('| Deleted | `old` |  |  |');
+  });
+
+  test('reports a failed run', () => {
+    expect(buildSummaryComment({ success: false, error: 'Boom' })).toContain('❌ **Localization failed:** Boom');
+  });
+});
+
+describe('postSummaryComment', () => {
+  const pullRequest = { number: 7, head: { sha: 'def4567890' } };
+
+  test('updates the bot comment that carries the marker', async() => {
+    const { event, calls } = createEvent([
+      { id: 1, user: { type: 'User' }, body: SUMMARY_COMMENT_MARKER },
+      { id: 5, user: { type: 'Bot' }, body: `${SUMMARY_COMMENT_MARKER}\nold summary` }
+    ]);
+
+    await postSummaryComment(event, pullRequest, { success: true });
+
+    expect(calls.created).toEqual([]);
+    expect(calls.updated).toHaveLength(1);
+    expect(calls.updated[0].comment_id).toBe(5);
+    expect(calls.updated[0].body.startsWith(`${SUMMARY_COMMENT_MARKER}\n`)).toBe(true);
+  });
+
+  test('creates the comment on the first run', async() => {
+    const { event, calls } = createEvent();
+
+    await postSummaryComment(event, pullRequest, { success: true });
+
+    expect(calls.created).toEqual([expect.objectContaining({ issue_number: 7 })]);
+  });
+
+  test('does not fail the run when the comment cannot be posted', async() => {
+    const { event } = createEvent();
+    event.octokit.paginate = async() => {
+      throw new Error('Forbidden');
+    };
+
+    await expect(postSummaryComment(event, pullRequest, { success: true })).resolves.toBeUndefined();
+  });
+});
+
+describe('postForkSuggestions', () => {
+  const pullRequest = { number: 7, head: { sha: 'def4567890' } };
+
+  /**
+   * Fake octokit serving the head files of the fork PR and recording its reviews
+   */
+  function createForkEvent(headFiles, addedFiles) {
+    const reviews = [];
+    const octokit = {
+      paginate: async() => addedFiles.map(filename => ({ filename, status: 'added' })),
+      rest: {
+        pulls: {
+          listFiles: () => {},
+          createReview: async(params) => {
+            reviews.push(params);
+            return { data: {} };
+          }
+        },
+        repos: {
+          getContent: async({ path }) => {
+            if (!(path in headFiles)) {
+              throw Object.assign(new Error('Not Found'), { status: 404 });
+            }
+            return { data: { type: 'file', content: Buffer.from(headFiles[path]).toString('base64') } };
+          }
+        }
+      }
+    };
+
+    return { event: { owner: 'acme', repo: 'app', octokit }, reviews };
+  }
+
+  test('suggests files the pull request adds and lists the others in the review', async() => {
+    const { event, reviews } = createForkEvent(
+      { 'locales/fr.json': '{\n  "title": "Welcome"\n}\n', 'locales/de.json': '{}\n' },
+      ['locales/fr.json']
+    );
+    const files = [
+      { path: 'locales/fr.json', content: '{\n  "title": "Bienvenue"\n}\n' },
+      { path: 'locales/de.json', content: '{}\n' },
+      { path: 'locales/es.json', content: '{\n  "title": "Bienvenido"\n}\n' }
+    ];
+
+    expect(await postForkSuggestions(event, pullRequest, files)).toBe(2);
+
+    const [review] = reviews;
+    expect(review.commit_id).toBe('def4567890');
+    expect(review.comments).toEqual([{
+      path: 'locales/fr.json',
+      start_line: 1,
+      start_side: 'RIGHT',
+      line: 3,
+      side: 'RIGHT',
+      body: 'Updated translations:\n\n````suggestion\n{\n  "title": "Bienvenue"\n}\n````'
+    }]);
+    expect(review.body).toContain('<code>locales/es.json</code>');
+    expect(review.body).not.toContain('locales/de.json');
+  });
+
+  test('posts nothing when the fork already has the translations', async() => {
+    const { event, reviews } = createForkEvent({ 'locales/fr.json': '{}\n' }, []);
+
+    expect(await postForkSuggestions(event, pullRequest, [{ path: 'locales/fr.json', content: '{}\n' }])).toBe(0);
+    expect(reviews).toEqual([]);
+  });
+});
@@ -0,0 +1,183 @@
+import { checkPathPattern, parseConfigFile, validateConfigSchema } from '../schema.js';
+import { describe, expect, test } from '@jest/globals';
+import {
+  canonicalizeLocale,
+  getEffectiveConfig,
+  mergeConfigs,
+  migrateDeprecatedKeys,
+  validateConfig
+} from '../validation.js';
+
+const messages = (config) => validateConfigSchema(config).errors.map(({ path, message }) => `${path}: ${message}`);
+
+describe('validateConfigSchema', () => {
+  test('accepts a complete config', () => {
+    expect(validateConfigSchema({
+      targetBranches: ['main'],
+      sourceFiles: ['locales/en/*.json'],
+      sourceLocale: 'en',
+      targetLocales: ['fr', 'pt-BR'],
+      outputPath: 'locales/{locale}/{namespace}.json',
+      translationMemory: { enabled: true, fuzzyThreshold: 0.8 },
+      nestedPlurals: true,
+      provider: 'deepl',
+      providerOptions: { glossaryIds: { fr: 'g-1' }, limits: { maxBatchSize: 10 } }
+    })).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('reports wrong types, duplicates and the source locale as a target', () => {
+    expect(messages({ sourceLocale: 'en', targetLocales: ['fr', 'fr', 'en'], integrity: 'loose', targetBranches: [] })).toEqual([
+      'targetLocales[1]: "fr" is listed more than once',
+      'integrity: must be one of "reject", "warn", got "loose"',
+      'targetBranches: must not be empty',
+      'targetLocales[2]: "en" is the source locale and cannot be a target locale'
+    ]);
+  });
+
+  test('requires the placeholders the source files need in outputPath', () => {
+    expect(messages({ sourceFiles: ['locales/en/*.json'], outputPath: 'locales/{locale}.json' })).toEqual([
+      'outputPath: must contain {namespace} when sourceFiles lists several files or a glob'
+    ]);
+    expect(messages({ outputPath: 'locales/fr.json' })).toEqual([
+      'outputPath: must contain {locale} so each locale gets its own file'
+    ]);
+  });
+
+  test('accepts BCP 47 locales with mappings and fallbacks', () => {
+    expect(messages({
+      targetLocales: ['zh-Hant', 'es-419', 'es-MX', 'fil'],
+      localeMapping: { 'zh-Hant': 'zh_TW' },
+      localeFallbacks: { 'es-MX': 'es-419' }
+    })).toEqual([]);
+    expect(messages({ targetLocales: ['pt_BR'] })).toEqual([
+      'targetLocales[0]: "pt_BR" is not a valid BCP 47 locale (expected e.g. "fr", "pt-BR" or "zh-Hant")'
+    ]);
+  });
+
+  test('requires fallbacks to end at a configured locale without looping', () => {
+    expect(messages({ targetLocales: ['es-MX'], localeFallbacks: { 'es-MX': 'es-419' } })).toEqual([
+      'localeFallbacks.es-MX: "es-419" must be the source locale or a target locale'
+    ]);
+    expect(messages({ targetLocales: ['pt-BR', 'pt-PT'], localeFallbacks: { 'pt-BR': 'pt-PT', 'pt-PT': 'pt-BR' } }))
+      .toContain('localeFallbacks.pt-BR: the fallback chain of "pt-BR" loops back to "pt-BR"');
+  });
+
+  test('requires at least one target locale, each listed once in canonical form', () => {
+    expect(messages({ targetLocales: [] })).toEqual(['targetLocales: must not be empty']);
+    expect(messages({ targetLocales: ['pt-BR', 'pt-br'] })).toEqual(['targetLocales[1]: "pt-br" is listed more than once']);
+  });
+
+  test('compares locales in canonical form', () => {
+    expect(messages({ sourceLocale: 'en', targetLocales: ['pt-BR', 'fr'], localeFallbacks: { fr: 'pt-br' } })).toEqual([]);
+    expect(messages({ sourceLocale: 'en-us', targetLocales: ['en-US'] })).toEqual([
+      'targetLocales[0]: "en-US" is the source locale and cannot be a target locale'
+    ]);
+    expect(messages({ targetLocales: ['pt-BR', 'pt-PT'], localeFallbacks: { 'pt-br': 'pt-PT', 'pt-pt': 'pt-BR' } }))
+      .toContain('localeFallbacks.pt-br: the fallback chain of "pt-br" loops back to "pt-BR"');
+  });
+
+  test('keeps provider credentials and endpoints out of the repository', () => {
+    const errors = messages({ providerOptions: { apiKey: 'sk-123', baseUrl: 'http://evil.example', delay: 60000 } });
+
+    expect(errors).toHaveLength(3);
+    expect(errors.find(error => error.startsWith('providerOptions.delay'))).toContain('between 0 and 1000');
+  });
+
+  test('suggests the closest key for a typo', () => {
+    expect(messages({ targetLocale: ['fr'] })[0]).toContain('targetLocales');
+  });
+
+  test('warns about deprecated keys', () => {
+    expect(validateConfigSchema({ languages: ['fr'] }).warnings).toEqual([
+      { path: 'languages', message: '"languages" is deprecated, use "targetLocales" instead' }
+    ]);
+  });
+
+  test('reports the line of an error', () => {
+    const { issues } = parseConfigFile('{\n  "sourceLocale": "en",\n  "targetLocales": [\n    "fr",\n    "french"\n  ]\n}\n');
+
+    expect(issues).toEqual([expect.objectContaining({ key: 'targetLocales[1]', line: 5, level: 'failure' })]);
+  });
+
+  test('reports invalid JSON as a single issue', () => {
+    const { config, issues } = parseConfigFile('{\n  "sourceLocale": "en",\n}\n');
+
+    expect(config).toEqual({});
+    expect(issues).toEqual([expect.objectContaining({ level: 'failure', message: expect.stringContaining('Invalid JSON') })]);
+  });
+});
+
+describe('checkPathPattern', () => {
+  test('keeps patterns inside the repository with balanced braces', () => {
+    expect(checkPathPattern('locales/{en,fr}/*.json')).toBeNull();
+    expect(checkPathPattern('/etc/locales')).toBe('must be relative to the repository root');
+    expect(checkPathPattern('../locales/en.json')).toBe('must not point outside the repository');
+    expect(checkPathPattern('locales/{a,{b}}.json')).toBe('nested braces are not supported');
+    expect(checkPathPattern('locales/{a.json')).toBe('has an unmatched "{"');
+  });
+});
+
+describe('validateConfig', () => {
+  test('reads targetLocales from the deprecated languages key', () => {
+    expect(validateConfig({ languages: ['fr'] }).targetLocales).toEqual(['fr']);
+    expect(validateConfig({ languages: ['fr'], targetLocales: ['de'] }).targetLocales).toEqual(['de']);
+  });
+
+  test('leaves nested plurals off unless they are enabled', () => {
+    expect(validateConfig({}).nestedPlurals).toBe(false);
+    expect(validateConfig({ nestedPlurals: 'yes' }).nestedPlurals).toBe(false);
+    expect(validateConfig({ nestedPlurals: true }).nestedPlurals).toBe(true);
+  });
+
+  test('keeps only the provider options a repository may set', () => {
+    expect(validateConfig({ providerOptions: { apiKey: 'x', baseUrl: 'http://evil.example', delay: 5000 } }).providerOptions)
+      .toEqual({ delay: 1000 });
+  });
+});
+
+describe('locales', () => {
+  test('canonicalizes BCP 47 tags', () => {
+    expect(canonicalizeLocale('zh-hant-tw')).toBe('zh-Hant-TW');
+    expect(canonicalizeLocale('iw')).toBe('he');
+    expect(canonicalizeLocale('english')).toBeNull();
+    expect(canonicalizeLocale('not a locale')).toBeNull();
+  });
+
+  test('keeps canonical locales and only fallbacks to configured locales', () => {
+    const config = validateConfig({
+      targetLocales: ['pt-br', 'es-mx'],
+      localeMapping: { 'pt-br': 'pt_BR', bad_tag: 'x' },
+      localeFallbacks: { 'es-mx': 'es-419', 'pt-br': 'en' }
+    });
+
+    expect(config.targetLocales).toEqual(['pt-BR', 'es-MX']);
+    expect(config.localeMapping).toEqual({ 'pt-BR': 'pt_BR' });
+    expect(config.localeFallbacks).toEqual({ 'pt-BR': 'en' });
+  });
+});
+
+describe('mergeConfigs', () => {
+  test('merges objects key by key and replaces arrays', () => {
+    const defaults = { targetLocales: ['fr', 'de'], translationMemory: { enabled: true, fuzzyThreshold: 0.9 } };
+    const overrides = { targetLocales: ['es'], translationMemory: { fuzzyThreshold: 0.8 } };
+
+    expect(mergeConfigs(defaults, overrides)).toEqual({
+      targetLocales: ['es'],
+      translationMemory: { enabled: true, fuzzyThreshold: 0.8 }
+    });
+  });
+
+  test('lets a repository override the deprecated keys of the defaults', () => {
+    const merged = mergeConfigs(migrateDeprecatedKeys({ languages: ['fr'] }), migrateDeprecatedKeys({ targetLocales: ['de'] }));
+
+    expect(merged).toEqual({ targetLocales: ['de'] });
+  });
+});
+
+describe('getEffectiveConfig', () => {
+  test('drops internal fields and masks the API key', () => {
+    const config = { targetLocales: ['fr'], projectApiKey: 'secret', configIssues: [], inheritedFrom: null };
+
+    expect(getEffectiveConfig(config)).toEqual({ targetLocales: ['fr'], projectApiKey: '********' });
+  });
+});
@@ -0,0 +1,78 @@
+import { checkConstraints, findConstraintViolations, getNamespaceConstraints } from '../constraints.js';
+import { describe, expect, test } from '@jest/globals';
+
+import { preparePluralStrings } from '../plurals.js';
+
+describe('getNamespaceConstraints', () => {
+  test('merges matching rules and context into the strictest limits', () => {
+    const constraints = getNamespaceConstraints(
+      'push',
+      { 'cta.title': 'Buy now', 'cta.body': 'Buy it now, today' },
+      {
+        'cta.*': { maxLength: 20, forbiddenCharacters: '\n' },
+        'push:cta.title': { maxLength: 12, forbiddenCharacters: '!' },
+        'checkout:cta.title': { maxLength: 1 }
+      },
+      { 'cta.title': { maxLength: 10 } }
+    );
+
+    expect(constraints).toEqual({
+      'cta.title': { maxLength: 10, forbiddenCharacters: '\n!' },
+      'cta.body': { maxLength: 20, forbiddenCharacters: '\n' }
+    });
+  });
+
+  test('applies the limits of one plural form to the whole group', () => {
+    const constraints = getNamespaceConstraints('common', { items_one: 'One item', items_other: 'Items' }, { items_one: { maxLength: 8 } });
+
+    expect(constraints).toEqual({ items_one: { maxLength: 8 }, items_other: { maxLength: 8 } });
+  });
+});
+
+describe('findConstraintViolations', () => {
+  test('counts characters, lines and forbidden characters', () => {
+    expect(findConstraintViolations('Hello', { maxLength: 5 })).toEqual([]);
+    expect(findConstraintViolations('Hello!\nWorld', { maxLength: 5, maxLines: 1, forbiddenCharacters: '!' })).toEqual([
+      '12 characters, more than the 5 allowed',
+      '2 lines, more than the 1 allowed',
+      'forbidden character(s) "!"'
+    ]);
+  });
+
+  test('counts emoji as one character', () => {
+    expect(findConstraintViolations('👋👋', { maxLength: 2 })).toEqual([]);
+  });
+});
+
+describe('checkConstraints', () => {
+  test('checks plural messages form by form', () => {
+    const { strings, groups } = preparePluralStrings({ items_one: 'One item', items_other: '{{count}} items' }, 'en');
+    const constraints = { items_other: { maxLength: 16 } };
+
+    expect(checkConstraints(strings, groups, constraints)).toEqual({});
+    expect(checkConstraints(
+      { items_other: '{count, plural, one {A single lonely item} other {{{count}} items}}' },
+      groups,
+      constraints
+    )).toEqual({ items_other: ['items_one: 20 characters, more than the 16 allowed'] });
+  });
+});
+
+describe('checkConstraints with ICU messages', () => {
+  test('measures each text a message can render instead of its syntax', () => {
+    const message = '{count, plural, one {# new message} other {# new messages}}';
+
+    expect(checkConstraints({ inbox: message }, [], { inbox: { maxLength: 14 } })).toEqual({});
+    expect(checkConstraints({ inbox: message }, [], { inbox: { maxLength: 13 } })).toEqual({
+      inbox: ['"# new messages": 14 characters, more than the 13 allowed']
+    });
+  });
+
+  test('combines the options of several arguments with the text around them', () => {
+    const message = '{gender, select, female {She} other {They}} sent {count, plural, one {a file} other {# files}}';
+
+    expect(checkConstraints({ sent: message }, [], { sent: { maxLength: 16 } })).toEqual({
+      sent: ['"They sent # files": 17 characters, more than the 16 allowed']
+    });
+  });
+});
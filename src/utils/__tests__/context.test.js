@@ -0,0 +1,98 @@
+import {
+  formatContext,
+  getContextFile,
+  getNamespaceContext,
+  isDescriptionKey,
+  parseContextFile,
+  removeDescriptionKeys
+} from '../context.js';
+import { describe, expect, test } from '@jest/globals';
+
+describe('parseContextFile', () => {
+  test('reads descriptions and keeps only valid context fields', () => {
+    const content = JSON.stringify({
+      title: 'Page title',
+      'checkout:total': { description: ' Order total ', maxLength: 12, screenshot: 'shots/total.png', owner: 'web' },
+      empty: { maxLength: -1 },
+      broken: 42
+    });
+
+    expect(parseContextFile(content)).toEqual({
+      title: { description: 'Page title' },
+      'checkout:total': { description: 'Order total', maxLength: 12, screenshot: 'shots/total.png' }
+    });
+  });
+
+  test('rejects a file that is not an object', () => {
+    expect(() => parseContextFile('["title"]')).toThrow('must be a JSON object');
+  });
+});
+
+describe('getContextFile', () => {
+  const createEvent = (files) => ({
+    owner: 'acme',
+    repo: 'app',
+    octokit: {
+      rest: {
+        repos: {
+          getContent: async({ path }) => {
+            if (!(path in files)) {
+              throw Object.assign(new Error('Not Found'), { status: 404 });
+            }
+            return { data: { type: 'file', content: Buffer.from(files[path]).toString('base64') } };
+          }
+        }
+      }
+    }
+  });
+
+  test('reads the default context file, or nothing', async() => {
+    const event = createEvent({ '.vocoder/context.json': '{ "title": "Page title" }' });
+
+    expect(await getContextFile(event, {}, 'abc')).toEqual({ title: { description: 'Page title' } });
+    expect(await getContextFile(createEvent({}), {}, 'abc')).toEqual({});
+  });
+
+  test('names the file of an invalid context file', async() => {
+    const event = createEvent({ 'i18n/context.json': '{ not json' });
+
+    await expect(getContextFile(event, { context: 'i18n/context.json' }, 'abc')).rejects.toThrow('Invalid context file i18n/context.json');
+  });
+});
+
+describe('description keys', () => {
+  const source = { book: 'Book', book_description: 'A printed book', page_description: 'Page description' };
+
+  test('describe the key they are named after', () => {
+    expect(isDescriptionKey('book_description', source)).toBe(true);
+    expect(isDescriptionKey('page_description', source)).toBe(false);
+  });
+
+  test('are left out of the changes to translate', () => {
+    const changes = { added: { book: 'Book', book_description: 'A printed book' }, updated: {}, deleted: {} };
+
+    expect(removeDescriptionKeys(changes, source)).toEqual({ added: { book: 'Book' }, updated: {}, deleted: {} });
+  });
+});
+
+describe('getNamespaceContext', () => {
+  test('merges description keys, ARB metadata and the context file', () => {
+    const source = {
+      strings: { book: 'Book', book_description: 'A printed book', total: 'Total', title: 'Title' },
+      metadata: { attributes: { '@total': { description: 'Order total' } } }
+    };
+    const contextFile = { title: { maxLength: 20 }, 'checkout:total': { maxLength: 12 }, 'other:book': { maxLength: 5 } };
+
+    expect(getNamespaceContext('checkout', source, contextFile)).toEqual({
+      book: { description: 'A printed book' },
+      total: { description: 'Order total', maxLength: 12 },
+      title: { maxLength: 20 }
+    });
+  });
+
+  test('formats context for the summary', () => {
+    expect(formatContext({ description: 'Order total', maxLength: 12, screenshot: 'https://example.com/total.png' }))
+      .toBe('Order total; max 12 characters; [screenshot](https://example.com/total.png)');
+    expect(formatContext({ screenshot: 'shots/total.png' })).toBe('screenshot: `shots/total.png`');
+  });
+});
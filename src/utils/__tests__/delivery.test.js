@@ -0,0 +1,140 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const api = {
+  addLabels: jest.fn(),
+  closePullRequest: jest.fn(),
+  createBranch: jest.fn(),
+  createIssueComment: jest.fn(),
+  createPullRequest: jest.fn(),
+  deleteBranch: jest.fn(),
+  getOpenPullRequests: jest.fn(),
+  updateBranch: jest.fn()
+};
+
+jest.unstable_mockModule('../api.js', () => api);
+
+const {
+  DELIVERY_PATHS,
+  closeCompanionPullRequests,
+  describeForkDelivery,
+  getCompanionBranch,
+  getDeliveryPlan,
+  isForkPullRequest,
+  isTranslationPullRequest,
+  publishCompanionPullRequest
+} = await import('../delivery.js');
+
+const repo = { full_name: 'acme/app' };
+const pullRequest = {
+  number: 7,
+  title: 'Add settings page',
+  head: { ref: 'feature', sha: 'head-sha', repo },
+  base: { ref: 'main', sha: 'base-sha', repo }
+};
+const forkPullRequest = { ...pullRequest, head: { ...pullRequest.head, repo: { full_name: 'someone/app' } } };
+const event = { owner: 'acme', repo: 'app', headBranch: 'feature', baseBranch: 'main' };
+
+beforeEach(() => {
+  Object.values(api).forEach(mock => mock.mockReset());
+  api.getOpenPullRequests.mockResolvedValue([]);
+  api.createPullRequest.mockResolvedValue({ number: 8 });
+});
+
+describe('companion branches', () => {
+  test('are named after the pull request branch, or its number for forks', () => {
+    expect(getCompanionBranch(pullRequest)).toBe('vocoder/feature');
+    expect(getCompanionBranch(forkPullRequest)).toBe('vocoder/pull-7');
+  });
+});
+
+describe('isTranslationPullRequest', () => {
+  const label = { name: 'vocoder:translations' };
+
+  test('needs both a bot author and the translations label', () => {
+    expect(isTranslationPullRequest({ user: { type: 'Bot' }, labels: [label] })).toBe(true);
+    expect(isTranslationPullRequest({ user: { type: 'User' }, labels: [label] })).toBe(false);
+    expect(isTranslationPullRequest({ user: { type: 'Bot' }, labels: [] })).toBe(false);
+  });
+
+  test('does not go by the branch name', () => {
+    expect(isTranslationPullRequest({ ...pullRequest, head: { ...pullRequest.head, ref: 'vocoder/feature' }, user: { type: 'User' } }))
+      .toBe(false);
+  });
+});
+
+describe('getDeliveryPlan', () => {
+  test('commits onto the branch by default', () => {
+    expect(getDeliveryPlan(pullRequest, { delivery: 'commit' })).toEqual({ path: DELIVERY_PATHS.COMMIT, parentSha: 'head-sha' });
+  });
+
+  test('proposes a companion pull request against the head or the base', () => {
+    expect(getDeliveryPlan(pullRequest, { delivery: 'pull-request', deliveryTarget: 'head' }))
+      .toEqual({ path: DELIVERY_PATHS.COMPANION, parentSha: 'head-sha', baseBranch: 'feature' });
+    expect(getDeliveryPlan(pullRequest, { delivery: 'pull-request', deliveryTarget: 'base' }))
+      .toEqual({ path: DELIVERY_PATHS.COMPANION, parentSha: 'base-sha', baseBranch: 'main' });
+  });
+
+  test('follows the fork policy for pull requests from forks', () => {
+    expect(isForkPullRequest(forkPullRequest)).toBe(true);
+    expect(isForkPullRequest({ ...pullRequest, head: { ...pullRequest.head, repo: null } })).toBe(true);
+    expect(getDeliveryPlan(forkPullRequest, { forks: 'suggest' }).path).toBe(DELIVERY_PATHS.SUGGEST);
+    expect(getDeliveryPlan(forkPullRequest, { forks: 'post-merge' }).path).toBe(DELIVERY_PATHS.POST_MERGE);
+    expect(getDeliveryPlan(forkPullRequest, { forks: 'branch' }))
+      .toEqual({ path: DELIVERY_PATHS.COMPANION, parentSha: 'base-sha', baseBranch: 'main' });
+  });
+
+  test('builds merged fork pull requests on their merge commit', () => {
+    expect(getDeliveryPlan({ ...forkPullRequest, merge_commit_sha: 'merge-sha' }, { forks: 'post-merge' }, { postMerge: true }))
+      .toEqual({ path: DELIVERY_PATHS.COMPANION, parentSha: 'merge-sha', baseBranch: 'main' });
+  });
+
+  test('describes where the translations of a fork PR went', () => {
+    expect(describeForkDelivery({ delivery: DELIVERY_PATHS.SUGGEST })).toBe('Fork PR: translations posted as suggested changes');
+    expect(describeForkDelivery({ delivery: DELIVERY_PATHS.COMPANION, companionPullRequest: { number: 8 } }))
+      .toBe('Fork PR: translations proposed in #8');
+  });
+});
+
+describe('publishCompanionPullRequest', () => {
+  test('opens a pull request from the companion branch into the target', async() => {
+    const companion = await publishCompanionPullRequest(event, pullRequest, 'commit-sha', 'main');
+
+    expect(companion).toEqual({ number: 8 });
+    expect(api.createBranch).toHaveBeenCalledWith(event, 'vocoder/feature', 'commit-sha');
+    expect(api.createPullRequest).toHaveBeenCalledWith(event, expect.objectContaining({
+      head: 'vocoder/feature',
+      base: 'main',
+      title: '🌍 Translations for #7: Add settings page'
+    }));
+    expect(api.addLabels).toHaveBeenCalledWith(event, 8, ['vocoder:translations']);
+  });
+
+  test('moves an existing companion branch and keeps its pull request', async() => {
+    api.createBranch.mockRejectedValue(Object.assign(new Error('Reference already exists'), { status: 422 }));
+    api.getOpenPullRequests.mockResolvedValue([{ number: 5 }]);
+
+    const companion = await publishCompanionPullRequest(event, pullRequest, 'commit-sha', 'feature');
+
+    expect(companion).toEqual({ number: 5 });
+    expect(api.updateBranch).toHaveBeenCalledWith(event, 'vocoder/feature', 'commit-sha', { force: true });
+    expect(api.getOpenPullRequests).toHaveBeenCalledWith(event, 'feature', 'vocoder/feature');
+    expect(api.createPullRequest).not.toHaveBeenCalled();
+    expect(api.addLabels).toHaveBeenCalledWith(event, 5, ['vocoder:translations']);
+  });
+});
+
+describe('closeCompanionPullRequests', () => {
+  test('closes the companion pull requests and deletes their branch', async() => {
+    api.getOpenPullRequests.mockResolvedValue([{ number: 8 }]);
+    api.deleteBranch.mockRejectedValue(Object.assign(new Error('Reference does not exist'), { status: 422 }));
+
+    expect(await closeCompanionPullRequests(event, { ...pullRequest, merged: true })).toBe(1);
+    expect(api.createIssueComment).toHaveBeenCalledWith(event, 8, 'Closing: the source pull request #7 was merged.');
+    expect(api.closePullRequest).toHaveBeenCalledWith(event, 8);
+  });
+
+  test('leaves branches alone when there is no companion', async() => {
+    expect(await closeCompanionPullRequests(event, pullRequest)).toBe(0);
+    expect(api.deleteBranch).not.toHaveBeenCalled();
+  });
+});
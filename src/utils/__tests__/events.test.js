@@ -0,0 +1,227 @@
+import { describe, expect, test } from '@jest/globals';
+
+import { WebhookEvent } from '../webhook.js';
+import { createHash } from 'crypto';
+import { handleIssueCommentEvent, processPullRequest } from '../events.js';
+import { validateConfig } from '../validation.js';
+
+/**
+ * In-memory GitHub repository for the git data and contents APIs
+ * Commits hold a full { path: content } map and trees are named after their content, so an
+ * unchanged tree keeps its sha; API methods not listed here or in methods
+ * succeed with empty data. onCommit runs after each createCommit, e.g. to push concurrently.
+ */
+function createFakeGitHub(branches, methods = {}) {
+  let nextId = 1;
+  const commits = {};
+  const trees = {};
+  const blobs = {};
+  const refs = {};
+  const github = { commits, refs, onCommit: null };
+
+  github.push = (branch, files) => {
+    const sha = `commit-${nextId++}`;
+    commits[sha] = { files: { ...commits[refs[branch]]?.files, ...files }, parents: refs[branch] ? [refs[branch]] : [] };
+    refs[branch] = sha;
+    return sha;
+  };
+  github.getFiles = (branch) => commits[refs[branch]].files;
+
+  for (const [branch, files] of Object.entries(branches)) {
+    github.push(branch, files);
+  }
+
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 });
+  const getTreeSha = (files) => `tree-${createHash('sha1').update(JSON.stringify(Object.entries(files).sort())).digest('hex')}`;
+  const rest = {
+    repos: {
+      getContent: async({ path, ref }) => {
+        const content = commits[refs[ref] ?? ref]?.files[path];
+        if (content === undefined) {
+          throw notFound();
+        }
+        return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+      }
+    },
+    git: {
+      getRef: async({ ref }) => ({ data: { object: { sha: refs[ref.replace(/^heads\//, '')] } } }),
+      getCommit: async({ commit_sha: sha }) => ({ data: { tree: { sha: getTreeSha(commits[sha].files) } } }),
+      createBlob: async({ content }) => {
+        const sha = `blob-${nextId++}`;
+        blobs[sha] = content;
+        return { data: { sha } };
+      },
+      createTree: async({ base_tree: baseTree, tree }) => {
+        const files = { ...commits[baseTree].files };
+        for (const item of tree) {
+          if (item.sha === null) {
+            delete files[item.path];
+          } else {
+            files[item.path] = item.content ?? blobs[item.sha];
+          }
+        }
+        const sha = getTreeSha(files);
+        trees[sha] = files;
+        return { data: { sha } };
+      },
+      createCommit: async({ tree, parents }) => {
+        const sha = `commit-${nextId++}`;
+        commits[sha] = { files: trees[tree], parents };
+        await github.onCommit?.(sha);
+        return { data: { sha } };
+      },
+      updateRef: async({ ref, sha, force }) => {
+        const branch = ref.replace(/^heads\//, '');
+        if (!force && !commits[sha].parents.includes(refs[branch])) {
+          throw Object.assign(new Error('Update is not a fast forward'), { status: 422 });
+        }
+        refs[branch] = sha;
+        return { data: {} };
+      }
+    }
+  };
+
+  for (const [namespace, extra] of Object.entries(methods)) {
+    rest[namespace] = { ...rest[namespace], ...extra };
+  }
+
+  const fallback = new Proxy({}, { get: () => async() => ({ data: {} }) });
+  const octokit = {
+    rest: new Proxy(rest, {
+      get: (namespaces, name) => new Proxy(namespaces[name] || {}, { get: (methods, method) => methods[method] || fallback[method] })
+    }),
+    paginate: async() => []
+  };
+
+  return { github, octokit };
+}
+
+function createPullRequestEvent(octokit, github) {
+  const pullRequest = {
+    number: 7,
+    head: { ref: 'feature', sha: github.refs.feature },
+    base: { ref: 'main', sha: github.refs.main }
+  };
+  const payload = { repository: { name: 'app', owner: { login: 'acme' } }, pull_request: pullRequest };
+
+  return { event: new WebhookEvent(octokit, payload), pullRequest };
+}
+
+const config = validateConfig({
+  sourceFiles: ['locales/en.json'],
+  targetLocales: ['fr'],
+  outputPath: 'locales/{locale}.json',
+  providerOptions: { delay: 0 }
+});
+
+describe('processPullRequest', () => {
+  const base = { 'locales/en.json': '{\n  "title": "Welcome"\n}\n' };
+  const head = { 'locales/en.json': '{\n  "title": "Welcome",\n  "cta": "Buy now"\n}\n' };
+
+  test('commits the translations of the changed strings onto the branch', async() => {
+    const { github, octokit } = createFakeGitHub({ main: base, feature: head });
+    const { event, pullRequest } = createPullRequestEvent(octokit, github);
+
+    const result = await processPullRequest(event, pullRequest, config);
+
+    expect(result).toMatchObject({ success: true, changesProcessed: 1 });
+    expect(github.refs.feature).toBe(result.commitSha);
+    expect(JSON.parse(github.getFiles('feature')['locales/fr.json'])).toEqual({ cta: '[FR] Buy now' });
+  });
+
+  test('leaves the branch alone when it already has the translations', async() => {
+    const { github, octokit } = createFakeGitHub({ main: base, feature: head });
+    const first = createPullRequestEvent(octokit, github);
+    await processPullRequest(first.event, first.pullRequest, config);
+    const translatedSha = github.refs.feature;
+
+    // A redelivered webhook for the translated head retranslates the same strings
+    const { event, pullRequest } = createPullRequestEvent(octokit, github);
+    const result = await processPullRequest(event, pullRequest, config);
+
+    expect(result).toMatchObject({ success: true, commitSha: null });
+    expect(github.refs.feature).toBe(translatedSha);
+  });
+
+  test('redoes the diff on the new head when someone pushes while translating', async() => {
+    const { github, octokit } = createFakeGitHub({ main: base, feature: head });
+    const { event, pullRequest } = createPullRequestEvent(octokit, github);
+    let pushedSha;
+    github.onCommit = () => {
+      github.onCommit = null;
+      pushedSha = github.push('feature', {
+        'locales/en.json': '{\n  "title": "Welcome",\n  "cta": "Buy now",\n  "bye": "Goodbye"\n}\n'
+      });
+    };
+
+    const result = await processPullRequest(event, pullRequest, config);
+
+    expect(result.success).toBe(true);
+    expect(github.commits[github.refs.feature].parents).toEqual([pushedSha]);
+    expect(JSON.parse(github.getFiles('feature')['locales/fr.json'])).toEqual({ cta: '[FR] Buy now', bye: '[FR] Goodbye' });
+  });
+
+  test('gives up after MAX_COMMIT_ATTEMPTS pushes', async() => {
+    const { github, octokit } = createFakeGitHub({ main: base, feature: head });
+    const { event, pullRequest } = createPullRequestEvent(octokit, github);
+    github.onCommit = () => {
+      github.push('feature', {});
+    };
+
+    const result = await processPullRequest(event, pullRequest, config);
+
+    expect(result).toMatchObject({ success: false, conflict: true, error: 'PR branch moved during localization' });
+    expect(github.getFiles('feature')['locales/fr.json']).toBeUndefined();
+  });
+
+  test('keeps the hand-edited forms of a plural group a sync completes', async() => {
+    const { github, octokit } = createFakeGitHub({
+      main: base,
+      feature: {
+        'locales/en.json': '{\n  "items_one": "One item",\n  "items_other": "Many items"\n}\n',
+        'locales/de.json': '{}\n',
+        'locales/pl.json': '{\n  "items_one": "Jeden element",\n  "items_other": "Elementy"\n}\n',
+        '.vocoder/lock.json': '{\n  "version": 1,\n  "files": {}\n}\n'
+      }
+    });
+    const { event, pullRequest } = createPullRequestEvent(octokit, github);
+
+    const result = await processPullRequest(event, pullRequest, { ...config, targetLocales: ['de', 'pl'] }, { sync: true });
+
+    expect(result.success).toBe(true);
+    expect(result.issues).toContainEqual(expect.objectContaining({ type: 'stale', key: 'items_one', locale: 'pl' }));
+    expect(JSON.parse(github.getFiles('feature')['locales/pl.json'])).toMatchObject({ items_one: 'Jeden element', items_other: 'Elementy' });
+  });
+});
+
+describe('handleIssueCommentEvent', () => {
+  test('refuses to add the source locale or a target locale again, in any case', async() => {
+    const replies = [];
+    const { github, octokit } = createFakeGitHub({
+      main: {},
+      feature: { '.vocoder/config.json': JSON.stringify({ sourceLocale: 'en-US', targetLocales: ['pt-BR'] }) }
+    }, {
+      issues: {
+        createComment: async({ body }) => {
+          replies.push(body);
+          return { data: {} };
+        }
+      },
+      pulls: { get: async() => ({ data: createPullRequestEvent(octokit, github).pullRequest }) },
+      repos: { getCollaboratorPermissionLevel: async() => ({ data: { permission: 'write' } }) }
+    });
+    const comment = (body) => new WebhookEvent(octokit, {
+      action: 'created',
+      repository: { name: 'app', owner: { login: 'acme' } },
+      issue: { number: 7, pull_request: {} },
+      comment: { id: 1, body, user: { login: 'ada', type: 'User' } }
+    });
+
+    await handleIssueCommentEvent(comment('/vocoder add-locale en-us'));
+    await handleIssueCommentEvent(comment('/vocoder add-locale pt-br'));
+
+    expect(replies[0]).toContain('`en-US` is the source locale and cannot be a target locale.');
+    expect(replies[1]).toContain('`pt-BR` is already a target locale.');
+    expect(github.refs.feature).toBe('commit-2');
+  });
+});
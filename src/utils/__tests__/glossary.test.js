@@ -0,0 +1,143 @@
+import {
+  findGlossaryViolations,
+  getGlossary,
+  getLocaleGlossary,
+  isVerbatimKey,
+  parseGlossary,
+  verifyGlossary
+} from '../glossary.js';
+import { describe, expect, test } from '@jest/globals';
+
+const glossary = {
+  doNotTranslate: ['Vocoder'],
+  terms: [{ term: 'pull request', translations: { fr: 'demande de tirage', 'fr-CA': 'requête de tirage' } }]
+};
+
+describe('parseGlossary', () => {
+  test('reads JSON glossaries', () => {
+    const content = JSON.stringify({ doNotTranslate: ['Vocoder', ''], terms: { 'pull request': { fr: 'demande de tirage' } } });
+
+    expect(parseGlossary(content, 'glossary.json', 'en')).toEqual({
+      doNotTranslate: ['Vocoder'],
+      terms: [{ term: 'pull request', translations: { fr: 'demande de tirage' } }]
+    });
+  });
+
+  test('reads CSV glossaries with quoted fields and a doNotTranslate column', () => {
+    const content = 'term,fr,de,doNotTranslate\r\nVocoder,,,yes\r\n"pull request","demande de tirage, PR",Pull-Request,\r\n';
+
+    expect(parseGlossary(content, 'glossary.csv', 'en')).toEqual({
+      doNotTranslate: ['Vocoder'],
+      terms: [{ term: 'pull request', translations: { fr: 'demande de tirage, PR', de: 'Pull-Request' } }]
+    });
+    expect(() => parseGlossary('word,fr\n', 'glossary.csv', 'en')).toThrow('Glossary CSV needs a "term" column');
+  });
+
+  test('reads TBX glossaries, treating entries with only a source term as do-not-translate', () => {
+    const content = [
+      '<tbx><text><body>',
+      '<conceptEntry id="1"><langSec xml:lang="en"><termSec><term>Vocoder</term></termSec></langSec></conceptEntry>',
+      '<conceptEntry id="2">',
+      '<langSec xml:lang="en-US"><termSec><term>R&amp;D</term></termSec></langSec>',
+      '<langSec xml:lang="fr"><termSec><term>R-D</term></termSec></langSec>',
+      '</conceptEntry>',
+      '</body></text></tbx>'
+    ].join('\n');
+
+    expect(parseGlossary(content, 'glossary.tbx', 'en')).toEqual({
+      doNotTranslate: ['Vocoder'],
+      terms: [{ term: 'R&D', translations: { fr: 'R-D' } }]
+    });
+  });
+});
+
+describe('getLocaleGlossary', () => {
+  test('falls back from a regional locale to its language', () => {
+    expect(getLocaleGlossary(glossary, 'fr-CA')).toEqual([
+      { term: 'Vocoder', translation: 'Vocoder' },
+      { term: 'pull request', translation: 'requête de tirage' }
+    ]);
+    expect(getLocaleGlossary(glossary, 'fr-BE')[1].translation).toBe('demande de tirage');
+    expect(getLocaleGlossary(glossary, 'de')).toEqual([{ term: 'Vocoder', translation: 'Vocoder' }]);
+  });
+});
+
+describe('findGlossaryViolations', () => {
+  const entries = getLocaleGlossary(glossary, 'fr');
+
+  test('requires do-not-translate terms unchanged and translations in any case', () => {
+    expect(findGlossaryViolations(entries, 'Open a pull request with Vocoder', 'Ouvrez une Demande de tirage avec Vocoder')).toEqual([]);
+    expect(findGlossaryViolations(entries, 'Open a pull request with Vocoder', 'Ouvrez une PR avec vocoder')).toEqual([
+      '"Vocoder" must not be translated',
+      '"pull request" must be translated as "demande de tirage"'
+    ]);
+  });
+
+  test('only matches whole words', () => {
+    expect(findGlossaryViolations(entries, 'Vocoders everywhere', 'Des vocodeurs partout')).toEqual([]);
+  });
+});
+
+describe('verifyGlossary', () => {
+  test('returns one warning per violating string', () => {
+    const issues = verifyGlossary(glossary, { title: 'Vocoder', body: 'Body' }, { fr: { title: 'Vocodeur', body: 'Corps' } });
+
+    expect(issues).toEqual([{ key: 'title', locale: 'fr', level: 'warning', message: 'Glossary: "Vocoder" must not be translated' }]);
+    expect(verifyGlossary(null, {}, {})).toEqual([]);
+  });
+});
+
+describe('isVerbatimKey', () => {
+  test('matches * within a key segment and ** across segments', () => {
+    expect(isVerbatimKey('brand.name', ['brand.*'])).toBe(true);
+    expect(isVerbatimKey('brand.logo.alt', ['brand.*'])).toBe(false);
+    expect(isVerbatimKey('brand.logo.alt', ['brand.**'])).toBe(true);
+    expect(isVerbatimKey('title', [])).toBe(false);
+  });
+});
+
+describe('getGlossary', () => {
+  const createEvent = (files) => ({
+    owner: 'acme',
+    repo: 'app',
+    octokit: {
+      rest: {
+        repos: {
+          getContent: async({ owner, repo, path }) => {
+            const content = files[`${owner}/${repo}/${path}`];
+            if (content === undefined) {
+              throw Object.assign(new Error('Not Found'), { status: 404 });
+            }
+            return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+          }
+        }
+      }
+    }
+  });
+
+  test('reads the configured glossary file', async() => {
+    const event = createEvent({ 'acme/app/i18n/terms.csv': 'term,fr\npull request,demande de tirage\n' });
+
+    expect(await getGlossary(event, { glossary: 'i18n/terms.csv', sourceLocale: 'en' }, 'abc')).toEqual({
+      doNotTranslate: [],
+      terms: [{ term: 'pull request', translations: { fr: 'demande de tirage' } }]
+    });
+    expect(await getGlossary(event, { glossary: 'missing.json', sourceLocale: 'en' }, 'abc')).toBeNull();
+  });
+
+  test('names the file of an invalid glossary', async() => {
+    const event = createEvent({ 'acme/app/glossary.json': '{ not json' });
+
+    await expect(getGlossary(event, { glossary: 'glossary.json', sourceLocale: 'en' }, 'abc'))
+      .rejects.toThrow('Invalid glossary glossary.json');
+  });
+
+  test('falls back to the glossary of the inherited org config repository', async() => {
+    const event = createEvent({ 'acme/.github/.vocoder/glossary.json': '{ "doNotTranslate": ["Vocoder"] }' });
+    const config = { sourceLocale: 'en', inheritedFrom: { owner: 'acme', repo: '.github' } };
+
+    expect(await getGlossary(event, config, 'abc')).toEqual({ doNotTranslate: ['Vocoder'], terms: [] });
+    await expect(getGlossary(createEvent({ 'acme/.github/.vocoder/glossary.json': '{ not json' }), config, 'abc'))
+      .rejects.toThrow('Invalid glossary acme/.github/.vocoder/glossary.json');
+  });
+});
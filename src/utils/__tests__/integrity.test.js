@@ -0,0 +1,95 @@
+import {
+  checkTranslationIntegrity,
+  extractHtmlTags,
+  extractPlaceholders,
+  parseIcuArguments,
+  validateTranslations
+} from '../integrity.js';
+import { describe, expect, test } from '@jest/globals';
+
+describe('extractPlaceholders', () => {
+  test('finds mustache, Ruby and printf placeholders but not escaped percents', () => {
+    expect(extractPlaceholders('{{ count }} of %{total} in %s at %1$d, 100%%')).toEqual(['{{count}}', '%{total}', '%s', '%1$d']);
+  });
+});
+
+describe('extractHtmlTags', () => {
+  test('normalizes tags to their name and kind', () => {
+    expect(extractHtmlTags('<b class="x">Hi</b><br/>')).toEqual(['<b>', '</b>', '<br/>']);
+  });
+});
+
+describe('parseIcuArguments', () => {
+  test('returns every argument, nested ones included', () => {
+    const args = parseIcuArguments('{name} has {count, plural, one {# file} other {# files in {folder}}}');
+
+    expect(args).toEqual([
+      { name: 'name', type: null, options: [] },
+      { name: 'count', type: 'plural', options: ['one', 'other'] },
+      { name: 'folder', type: null, options: [] }
+    ]);
+  });
+
+  test('skips quoted braces and mustache placeholders', () => {
+    expect(parseIcuArguments('Use \'{\' for {{count}} {name}')).toEqual([{ name: 'name', type: null, options: [] }]);
+  });
+
+  test('throws on unbalanced braces and malformed options', () => {
+    expect(() => parseIcuArguments('{name')).toThrow('Unclosed "{"');
+    expect(() => parseIcuArguments('name}')).toThrow('Unexpected "}"');
+    expect(() => parseIcuArguments('{count, plural, one}')).toThrow('Expected a message after option "one" of "count"');
+  });
+});
+
+describe('checkTranslationIntegrity', () => {
+  test('accepts an intact translation', () => {
+    expect(checkTranslationIntegrity('<b>{{count}}</b> items for %s', '<b>{{count}}</b> éléments pour %s')).toEqual([]);
+  });
+
+  test('reports missing and unexpected placeholders and tags', () => {
+    expect(checkTranslationIntegrity('Hello <b>{{name}}</b>', 'Bonjour {{nom}}')).toEqual([
+      'Missing placeholder `{{name}}`',
+      'Unexpected placeholder `{{nom}}`',
+      'Missing HTML tag `<b>`',
+      'Missing HTML tag `</b>`'
+    ]);
+  });
+
+  test('asks for positional placeholders when printf placeholders change order', () => {
+    expect(checkTranslationIntegrity('%s sent %d files', '%d fichiers envoyés par %s')[0]).toContain('changed order');
+    expect(checkTranslationIntegrity('%1$s sent %2$d files', '%2$d fichiers envoyés par %1$s')).toEqual([]);
+  });
+
+  test('compares the ICU structure', () => {
+    const source = '{gender, select, female {She} male {He} other {They}} sent {count, plural, one {# file} other {# files}}';
+
+    expect(checkTranslationIntegrity(source, '{gender, select, female {Elle} other {Iel}} a envoyé {count, plural, one {# fichier}}'))
+      .toEqual(['Select `{gender}` is missing option `male`', 'Plural `{count}` is missing option `other`']);
+    expect(checkTranslationIntegrity('{count} files', '{count, number} fichiers'))
+      .toEqual(['Placeholder `{count}` should be a simple argument, got number']);
+    expect(checkTranslationIntegrity('{count} files', '{count fichiers')).toEqual(['Malformed ICU message: Unclosed "{"']);
+  });
+
+  test('only checks tokens when the source is not valid ICU', () => {
+    expect(checkTranslationIntegrity('Use } here', 'Utilisez } ici')).toEqual([]);
+  });
+});
+
+describe('validateTranslations', () => {
+  const sources = { title: 'Hello {name}', body: 'Body' };
+  const translations = { fr: { title: 'Bonjour', body: 'Corps' } };
+
+  test('drops broken translations in reject mode', () => {
+    const { translations: valid, issues } = validateTranslations(sources, translations, 'reject');
+
+    expect(valid).toEqual({ fr: { body: 'Corps' } });
+    expect(issues).toEqual([{ key: 'title', locale: 'fr', level: 'failure', message: 'Rejected translation: Missing placeholder `{name}`' }]);
+  });
+
+  test('keeps them with a warning in warn mode', () => {
+    const { translations: valid, issues } = validateTranslations(sources, translations, 'warn');
+
+    expect(valid).toEqual(translations);
+    expect(issues[0]).toMatchObject({ level: 'warning', message: 'Suspicious translation: Missing placeholder `{name}`' });
+  });
+});
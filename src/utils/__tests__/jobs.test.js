@@ -0,0 +1,93 @@
+import { describe, expect, jest, test } from '@jest/globals';
+
+const handlePullRequestSync = jest.fn();
+const handleIssueCommentEvent = jest.fn();
+const syncBranch = jest.fn();
+
+jest.unstable_mockModule('../events.js', () => ({
+  handleIssueCommentEvent,
+  handlePullRequestClosed: jest.fn(),
+  handlePullRequestEvent: jest.fn(),
+  handlePullRequestSync,
+  handlePushEvent: jest.fn(),
+  syncBranch
+}));
+
+const { createJobHandlers, enqueueSync, enqueueWebhook, getJobKey } = await import('../jobs.js');
+
+const repository = { name: 'app', full_name: 'acme/app', owner: { login: 'acme' } };
+const app = { getInstallationOctokit: async() => ({}) };
+
+describe('getJobKey', () => {
+  test('keys pull request work by head SHA so redeliveries collapse', () => {
+    const payload = { repository, pull_request: { number: 7, head: { sha: 'abc' } } };
+
+    expect(getJobKey('pull_request', payload)).toBe('acme/app#7@abc');
+    expect(getJobKey('push', { repository, ref: 'refs/heads/main', after: 'def' })).toBe('acme/app:refs/heads/main@def');
+    expect(getJobKey('pull_request_closed', payload)).toBe('acme/app#7:closed');
+    expect(() => getJobKey('unknown', payload)).toThrow('Unknown job type \'unknown\'');
+  });
+});
+
+describe('enqueueWebhook', () => {
+  test('stores the action, installation and payload of the delivery', async() => {
+    const queue = { enqueue: jest.fn(async() => ({})) };
+    const payload = { repository, installation: { id: 42 }, pull_request: { number: 7, head: { sha: 'abc' } } };
+
+    await enqueueWebhook(queue, 'pull_request', payload, 'opened');
+
+    expect(queue.enqueue).toHaveBeenCalledWith('pull_request', 'acme/app#7@abc', { action: 'opened', installationId: 42, payload });
+  });
+});
+
+describe('enqueueSync', () => {
+  test('keys syncs by branch so pending requests absorb new ones', async() => {
+    const queue = { enqueue: jest.fn(async() => ({})) };
+
+    await enqueueSync(queue, 42, { ...repository, default_branch: 'main', private: true }, 'main');
+
+    expect(queue.enqueue).toHaveBeenCalledWith('sync', 'acme/app:sync@main', {
+      installationId: 42,
+      payload: {
+        installation: { id: 42 },
+        repository: { name: 'app', full_name: 'acme/app', default_branch: 'main', owner: { login: 'acme' } }
+      },
+      branch: 'main'
+    });
+  });
+});
+
+describe('createJobHandlers', () => {
+  const job = { data: { installationId: 42, payload: { repository }, pullNumber: 7 } };
+
+  test('fail a job whose processing failed so the queue retries it', async() => {
+    const handlers = createJobHandlers(app);
+
+    handlePullRequestSync.mockResolvedValueOnce({ success: false, error: 'Provider unavailable' });
+    await expect(handlers.pull_request_sync(job)).rejects.toThrow('Provider unavailable');
+
+    handlePullRequestSync.mockResolvedValueOnce({ success: true });
+    await expect(handlers.pull_request_sync(job)).resolves.toBeUndefined();
+    expect(handlePullRequestSync).toHaveBeenLastCalledWith(expect.objectContaining({ owner: 'acme', repo: 'app' }), 7);
+  });
+
+  test('sync the branch of a sync job', async() => {
+    syncBranch.mockResolvedValueOnce({ success: true });
+
+    await createJobHandlers(app).sync({ data: { ...job.data, branch: 'main' } });
+
+    expect(syncBranch).toHaveBeenCalledWith(expect.objectContaining({ owner: 'acme', repo: 'app' }), 'main');
+  });
+
+  test('complete a job whose failure would repeat on every attempt', async() => {
+    handlePullRequestSync.mockResolvedValueOnce({ success: false, error: 'Invalid configuration', final: true });
+
+    await expect(createJobHandlers(app).pull_request_sync(job)).resolves.toBeUndefined();
+  });
+
+  test('do not retry comment commands', async() => {
+    handleIssueCommentEvent.mockResolvedValueOnce({ success: false, error: 'Command failed' });
+
+    await expect(createJobHandlers(app).issue_comment(job)).resolves.toBeUndefined();
+  });
+});
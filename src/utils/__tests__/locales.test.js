@@ -0,0 +1,42 @@
+import { describe, expect, test } from '@jest/globals';
+import { getFallbackChain, getInheritedValue, getOutputLocale, getTargetFilePath, orderByFallback } from '../locales.js';
+
+const fallbacks = { 'es-MX': 'es-419', 'es-419': 'es', 'pt-PT': 'pt-BR' };
+
+describe('locale fallbacks', () => {
+  test('follow the chain nearest first', () => {
+    expect(getFallbackChain('es-MX', fallbacks)).toEqual(['es-419', 'es']);
+    expect(getFallbackChain('fr', fallbacks)).toEqual([]);
+  });
+
+  test('stop at a loop', () => {
+    expect(getFallbackChain('a', { a: 'b', b: 'c', c: 'b' })).toEqual(['b', 'c']);
+  });
+
+  test('order locales after the locales they fall back to', () => {
+    expect(orderByFallback(['es-MX', 'pt-PT', 'es-419', 'pt-BR', 'fr'], fallbacks))
+      .toEqual(['pt-BR', 'fr', 'pt-PT', 'es-419', 'es-MX']);
+  });
+
+  test('inherit the value of the nearest locale that has the key', () => {
+    const strings = { 'es-419': { title: 'Hola' }, es: { title: 'Hola!', footer: 'Pie' } };
+
+    expect(getInheritedValue('title', ['es-419', 'es'], strings)).toBe('Hola');
+    expect(getInheritedValue('footer', ['es-419', 'es'], strings)).toBe('Pie');
+    expect(getInheritedValue('missing', ['es-419', 'es'], strings)).toBeUndefined();
+  });
+});
+
+describe('output locale names', () => {
+  const config = {
+    outputDir: 'locales',
+    outputPath: 'locales/{locale}/{namespace}.{ext}',
+    localeMapping: { 'zh-Hant': 'zh_TW' }
+  };
+
+  test('use the mapped name in target paths', () => {
+    expect(getOutputLocale('zh-Hant', config.localeMapping)).toBe('zh_TW');
+    expect(getOutputLocale('fr', config.localeMapping)).toBe('fr');
+    expect(getTargetFilePath(config, 'locales/en/common.json', 'zh-Hant')).toBe('locales/zh_TW/common.json');
+  });
+});
@@ -0,0 +1,93 @@
+import { applyTranslationLock, hashText, isMachineTranslation, seedTranslationLock, serializeLockFile } from '../lock.js';
+import { describe, expect, test } from '@jest/globals';
+
+const machineEntry = (source, target) => ({ origin: 'machine', source: hashText(source), target: hashText(target) });
+
+describe('applyTranslationLock', () => {
+  test('writes machine translations and records them', () => {
+    const lock = { version: 1, files: {} };
+
+    const result = applyTranslationLock(lock, 'fr.json', {
+      translatedStrings: { title: 'Bonjour' },
+      sourceStrings: { title: 'Hello' }
+    });
+
+    expect(result).toEqual({ accepted: { title: 'Bonjour' }, preserved: [] });
+    expect(lock.files['fr.json'].title).toEqual(machineEntry('Hello', 'Bonjour'));
+  });
+
+  test('keeps human edits unless told to overwrite them', () => {
+    const lock = { version: 1, files: { 'fr.json': { title: machineEntry('Hello', 'Bonjour') } } };
+    const options = {
+      existingStrings: { title: 'Salut !' },
+      translatedStrings: { title: 'Bonjour à tous' },
+      sourceStrings: { title: 'Hello all' }
+    };
+
+    const kept = applyTranslationLock(lock, 'fr.json', options);
+    expect(kept).toEqual({ accepted: {}, preserved: [{ key: 'title', existingValue: 'Salut !', machineValue: 'Bonjour à tous' }] });
+    expect(lock.files['fr.json'].title).toMatchObject({ origin: 'human', stale: true });
+
+    const overwritten = applyTranslationLock(lock, 'fr.json', { ...options, overwrite: true });
+    expect(overwritten.accepted).toEqual({ title: 'Bonjour à tous' });
+  });
+
+  test('drops deleted keys and empty files', () => {
+    const lock = { version: 1, files: { 'fr.json': { title: machineEntry('Hello', 'Bonjour') } } };
+
+    applyTranslationLock(lock, 'fr.json', { deletedKeys: ['title'] });
+
+    expect(lock.files).toEqual({});
+  });
+});
+
+describe('isMachineTranslation', () => {
+  test('matches only the value the app last wrote', () => {
+    const entry = machineEntry('Hello', 'Bonjour');
+
+    expect(isMachineTranslation(entry, 'Bonjour')).toBe(true);
+    expect(isMachineTranslation(entry, 'Salut')).toBe(false);
+    expect(isMachineTranslation({ ...entry, origin: 'human' }, 'Bonjour')).toBe(false);
+    expect(isMachineTranslation(undefined, 'Bonjour')).toBe(false);
+  });
+});
+
+describe('seedTranslationLock', () => {
+  test('migrates existing values into a new lock as machine output', () => {
+    const lock = { version: 1, files: {}, isNew: true };
+
+    seedTranslationLock(lock, 'fr.json', { title: 'Bonjour' }, { title: 'Hello' });
+
+    expect(isMachineTranslation(lock.files['fr.json'].title, 'Bonjour')).toBe(true);
+    const result = applyTranslationLock(lock, 'fr.json', {
+      existingStrings: { title: 'Bonjour' },
+      translatedStrings: { title: 'Salut' },
+      sourceStrings: { title: 'Hi' }
+    });
+    expect(result.accepted).toEqual({ title: 'Salut' });
+  });
+
+  test('leaves an existing lock alone', () => {
+    const lock = { version: 1, files: {} };
+
+    seedTranslationLock(lock, 'fr.json', { title: 'Bonjour' }, { title: 'Hello' });
+
+    expect(lock.files).toEqual({});
+  });
+});
+
+describe('serializeLockFile', () => {
+  test('sorts files and keys and leaves out runtime flags', () => {
+    const lock = {
+      version: 1,
+      isNew: true,
+      files: { 'it.json': { b: machineEntry('b', 'b') }, 'fr.json': { z: machineEntry('z', 'z'), a: machineEntry('a', 'a') } }
+    };
+
+    const parsed = JSON.parse(serializeLockFile(lock));
+
+    expect(Object.keys(parsed)).toEqual(['version', 'files']);
+    expect(Object.keys(parsed.files)).toEqual(['fr.json', 'it.json']);
+    expect(Object.keys(parsed.files['fr.json'])).toEqual(['a', 'z']);
+  });
+});
@@ -0,0 +1,88 @@
+import { MAX_FUZZY_CANDIDATES, MAX_FUZZY_SCORE } from '../constants.js';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { createTranslationMemory, getSimilarity } from '../memory.js';
+import { mkdtemp, rm } from 'fs/promises';
+
+import os from 'os';
+import path from 'path';
+
+const pair = { sourceLocale: 'en', targetLocale: 'fr' };
+let directory;
+
+beforeEach(async() => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'vocoder-memory-'));
+});
+
+afterEach(async() => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe('getSimilarity', () => {
+  test('scores strings by their edit distance', () => {
+    expect(getSimilarity('same', 'same')).toBe(1);
+    expect(getSimilarity('kitten', 'sitting')).toBeCloseTo(4 / 7);
+  });
+
+  test('stops early once the minimum score is out of reach', () => {
+    expect(getSimilarity('abcdef', 'uvwxyz', 0.9)).toBe(0);
+    expect(getSimilarity('Save changes', 'Save change', 0.9)).toBeCloseTo(11 / 12);
+  });
+});
+
+describe('createTranslationMemory', () => {
+  test('returns exact matches with a score of 1 and close ones as fuzzy matches', async() => {
+    const memory = createTranslationMemory({ directory, fuzzyThreshold: 0.9 });
+    await memory.load('en', 'fr');
+    memory.record('Save changes', 'Enregistrer les modifications', pair);
+
+    expect(memory.lookup('Save changes', pair)).toMatchObject({ score: 1, target: 'Enregistrer les modifications' });
+    const fuzzy = memory.lookup('Save change', pair);
+    expect(fuzzy).toMatchObject({ source: 'Save changes' });
+    expect(fuzzy.score).toBeLessThan(1);
+    expect(memory.lookup('Delete', pair)).toBeNull();
+    expect(memory.getStats()).toEqual({ lookups: 3, exact: 1, fuzzy: 1 });
+  });
+
+  test('only reuses matches of the exact source text', async() => {
+    const memory = createTranslationMemory({ directory, fuzzyThreshold: 0.9 });
+    await memory.load('en', 'fr');
+    memory.record('Save changes', 'Enregistrer les modifications', pair);
+
+    expect(memory.lookup('Save changes', pair)).toMatchObject({ exact: true, score: 1 });
+    const match = memory.lookup('SAVE  changes', pair);
+    expect(match).toMatchObject({ source: 'Save changes', score: MAX_FUZZY_SCORE });
+    expect(match.exact).toBeUndefined();
+  });
+
+  test('keeps strings with different context apart', async() => {
+    const memory = createTranslationMemory({ directory, fuzzyThreshold: 0.9 });
+    await memory.load('en', 'fr');
+    memory.record('Book', 'Réserver', { ...pair, context: 'verb' });
+
+    expect(memory.lookup('Book', { ...pair, context: 'noun' })).toBeNull();
+    expect(memory.lookup('Book', { ...pair, context: 'verb' }).target).toBe('Réserver');
+  });
+
+  test('only compares the entries closest in length', async() => {
+    const memory = createTranslationMemory({ directory, fuzzyThreshold: 0.5 });
+    await memory.load('en', 'fr');
+    for (let index = 0; index < MAX_FUZZY_CANDIDATES; index++) {
+      memory.record(`Item ${index}`.padEnd(20, 'x'), `Élément ${index}`, pair);
+    }
+    memory.record('Item 1'.padEnd(24, 'y'), 'Close, but longer than the others', pair);
+
+    // The closest entry is 3 characters longer, behind the candidates 1 character shorter
+    expect(memory.lookup('Item 1'.padEnd(21, 'y'), pair)).toBeNull();
+  });
+
+  test('persists entries per locale pair', async() => {
+    const memory = createTranslationMemory({ directory, fuzzyThreshold: 0.9 });
+    await memory.load('en', 'fr');
+    memory.record('Hello', 'Bonjour', pair);
+    await memory.save();
+
+    const reloaded = createTranslationMemory({ directory, fuzzyThreshold: 0.9 });
+    await reloaded.load('en', 'fr');
+    expect(reloaded.lookup('Hello', pair).target).toBe('Bonjour');
+  });
+});
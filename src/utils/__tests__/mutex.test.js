@@ -0,0 +1,46 @@
+import { describe, expect, test } from '@jest/globals';
+import { getBranchLockKey, withLock } from '../mutex.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withLock', () => {
+  test('runs holders of the same key one after another', async() => {
+    const steps = [];
+    const run = (name) => withLock('acme/app:main', async() => {
+      steps.push(`${name} start`);
+      await sleep(5);
+      steps.push(`${name} end`);
+      return name;
+    });
+
+    expect(await Promise.all([run('a'), run('b')])).toEqual(['a', 'b']);
+    expect(steps).toEqual(['a start', 'a end', 'b start', 'b end']);
+  });
+
+  test('runs different keys side by side', async() => {
+    const steps = [];
+    const run = (key) => withLock(key, async() => {
+      steps.push(`${key} start`);
+      await sleep(5);
+      steps.push(`${key} end`);
+    });
+
+    await Promise.all([run('acme/app:main'), run('acme/app:feature')]);
+
+    expect(steps.slice(0, 2)).toEqual(['acme/app:main start', 'acme/app:feature start']);
+  });
+
+  test('releases the lock when the holder throws', async() => {
+    await expect(withLock('acme/app:main', async() => {
+      throw new Error('Boom');
+    })).rejects.toThrow('Boom');
+
+    await expect(withLock('acme/app:main', async() => 'next')).resolves.toBe('next');
+  });
+});
+
+describe('getBranchLockKey', () => {
+  test('scopes the key to the repository', () => {
+    expect(getBranchLockKey({ owner: 'acme', repo: 'app' }, 'main')).toBe('acme/app:main');
+  });
+});
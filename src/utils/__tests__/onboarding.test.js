@@ -0,0 +1,122 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const api = {
+  createBranch: jest.fn(),
+  createOrUpdateFile: jest.fn(),
+  createPullRequest: jest.fn(),
+  getBranchHead: jest.fn(),
+  getOpenPullRequests: jest.fn(),
+  getRawFileContent: jest.fn(),
+  getRepository: jest.fn(),
+  listRepositoryFiles: jest.fn()
+};
+
+jest.unstable_mockModule('../api.js', () => api);
+
+const { buildOnboardingConfig, createOnboardingPullRequest, detectSourceFiles } = await import('../onboarding.js');
+
+const event = { owner: 'acme', repo: 'app' };
+
+describe('detectSourceFiles', () => {
+  test('orders candidates by layout and then by depth', () => {
+    const files = [
+      'android/app/src/main/res/values/strings.xml',
+      'web/src/locales/en.json',
+      'locales/en.json',
+      'README.md'
+    ];
+
+    expect(detectSourceFiles(files)).toEqual([
+      { sourceFile: 'locales/en.json', outputPath: 'locales/{locale}.json' },
+      { sourceFile: 'web/src/locales/en.json', outputPath: 'web/src/locales/{locale}.json' },
+      { sourceFile: 'android/app/src/main/res/values/strings.xml', outputPath: 'android/app/src/main/res/values-{locale}/strings.xml' }
+    ]);
+  });
+
+  test('turns one file per namespace into a glob', () => {
+    expect(detectSourceFiles(['public/locales/en/common.json', 'public/locales/en/home.json'])).toEqual([
+      { sourceFile: 'public/locales/en/*.json', outputPath: 'public/locales/{locale}/{namespace}.json' }
+    ]);
+  });
+
+  test('recognizes ARB, Apple strings, gettext and XLIFF sources', () => {
+    expect(detectSourceFiles(['lib/l10n/app_en.arb'])[0].outputPath).toBe('lib/l10n/app_{locale}.arb');
+    expect(detectSourceFiles(['ios/en.lproj/Localizable.strings'])[0].outputPath).toBe('ios/{locale}.lproj/Localizable.strings');
+    expect(detectSourceFiles(['po/messages.pot'])[0].outputPath).toBe('po/{locale}.po');
+    expect(detectSourceFiles(['src/messages.en.xlf'])[0].outputPath).toBe('src/messages.{locale}.xlf');
+  });
+
+  test('ignores dependencies and build output', () => {
+    expect(detectSourceFiles(['node_modules/lib/locales/en.json', 'dist/locales/en.json'])).toEqual([]);
+  });
+});
+
+describe('buildOnboardingConfig', () => {
+  test('uses the detected source file and the default branch', () => {
+    const config = buildOnboardingConfig({ sourceFile: 'locales/en.json', outputPath: 'locales/{locale}.json' }, 'main');
+
+    expect(config).toMatchObject({
+      targetBranches: ['main'],
+      sourceFiles: ['locales/en.json'],
+      outputPath: 'locales/{locale}.json'
+    });
+  });
+
+  test('falls back to the default source files without an output path', () => {
+    const config = buildOnboardingConfig(undefined, 'main');
+
+    expect(config.sourceFiles.length).toBeGreaterThan(0);
+    expect(config).not.toHaveProperty('outputPath');
+  });
+});
+
+describe('createOnboardingPullRequest', () => {
+  beforeEach(() => {
+    Object.values(api).forEach(mock => mock.mockReset());
+    api.getRepository.mockResolvedValue({ default_branch: 'main', archived: false, size: 10 });
+    api.getRawFileContent.mockResolvedValue(null);
+    api.getOpenPullRequests.mockResolvedValue([]);
+    api.getBranchHead.mockResolvedValue('abc');
+    api.listRepositoryFiles.mockResolvedValue(['locales/en.json']);
+    api.createPullRequest.mockResolvedValue({ number: 5 });
+  });
+
+  test('commits the detected config to the onboarding branch and opens a pull request', async() => {
+    const result = await createOnboardingPullRequest(event);
+
+    expect(result).toEqual({ success: true, pullRequest: { number: 5 } });
+    expect(api.createBranch).toHaveBeenCalledWith(event, expect.any(String), 'abc');
+
+    const [, file] = api.createOrUpdateFile.mock.calls[0];
+    expect(JSON.parse(file.content)).toMatchObject({ sourceFiles: ['locales/en.json'], outputPath: 'locales/{locale}.json' });
+
+    const [, pullRequest] = api.createPullRequest.mock.calls[0];
+    expect(pullRequest.base).toBe('main');
+    expect(pullRequest.body).toContain('Source strings were detected in `locales/en.json`');
+  });
+
+  test('skips repositories that already have a config', async() => {
+    api.getRawFileContent.mockResolvedValue('{}');
+
+    expect(await createOnboardingPullRequest(event)).toEqual({ success: true, skipped: true });
+    expect(api.createBranch).not.toHaveBeenCalled();
+  });
+
+  test('skips repositories with an open onboarding pull request', async() => {
+    api.getOpenPullRequests.mockResolvedValue([{ number: 3 }]);
+
+    expect(await createOnboardingPullRequest(event)).toEqual({ success: true, skipped: true });
+    expect(api.createPullRequest).not.toHaveBeenCalled();
+  });
+
+  test('reuses the branch and config of a previous attempt', async() => {
+    api.createBranch.mockRejectedValue(Object.assign(new Error('Reference already exists'), { status: 422 }));
+    api.getRawFileContent.mockImplementation(async(event, path, ref) => (ref === 'main' ? null : '{}'));
+
+    const result = await createOnboardingPullRequest(event);
+
+    expect(result.success).toBe(true);
+    expect(api.createOrUpdateFile).not.toHaveBeenCalled();
+    expect(api.createPullRequest).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+import {
+  addPluralSources,
+  expandPluralChanges,
+  expandPluralMessage,
+  findMissingPluralForms,
+  findPluralGroups,
+  getMessageVariants,
+  getPluralCategories,
+  getPluralForms,
+  getUnusedPluralKeys,
+  joinPluralForms,
+  preparePluralStrings,
+  restorePluralStrings,
+  usesNestedPlurals
+} from '../plurals.js';
+import { describe, expect, test } from '@jest/globals';
+
+describe('findPluralGroups', () => {
+  test('groups i18next suffixes, including ordinals', () => {
+    const groups = findPluralGroups(['items_one', 'items_other', 'place_ordinal_one', 'place_ordinal_other', 'title']);
+
+    expect(groups).toEqual([
+      { key: 'items_other', base: 'items', separator: '_', type: 'cardinal', forms: { one: 'items_one', other: 'items_other' } },
+      {
+        key: 'place_ordinal_other',
+        base: 'place_ordinal',
+        separator: '_',
+        type: 'ordinal',
+        forms: { one: 'place_ordinal_one', other: 'place_ordinal_other' }
+      }
+    ]);
+  });
+
+  test('ignores nested category objects unless nested plurals are enabled', () => {
+    const keys = ['menu.one', 'menu.two', 'menu.other'];
+
+    expect(findPluralGroups(keys)).toEqual([]);
+    expect(findPluralGroups(keys, { nested: true })).toHaveLength(1);
+  });
+
+  test('needs an other form and one more', () => {
+    expect(findPluralGroups(['status_other', 'count_one'])).toEqual([]);
+  });
+});
+
+describe('usesNestedPlurals', () => {
+  test('is on for Android plurals and repositories that opt in', () => {
+    expect(usesNestedPlurals({}, 'android')).toBe(true);
+    expect(usesNestedPlurals({ nestedPlurals: true }, 'json')).toBe(true);
+    expect(usesNestedPlurals({ nestedPlurals: false }, 'json')).toBe(false);
+  });
+});
+
+describe('plural messages', () => {
+  test('follow the CLDR categories of the target locale', () => {
+    expect(getPluralCategories('pl')).toEqual(['one', 'few', 'many', 'other']);
+    expect(getPluralCategories('ja')).toEqual(['other']);
+    expect(expandPluralMessage('{count, plural, one {# file} other {# files}}', 'ja'))
+      .toBe('{count, plural, other {# files}}');
+    expect(expandPluralMessage('{count, plural, =0 {none} one {# file} other {# files}}', 'pl'))
+      .toBe('{count, plural, =0 {none} one {# file} few {# files} many {# files} other {# files}}');
+  });
+
+  test('travel as one ICU message and are split back into their keys', () => {
+    const { strings, groups } = preparePluralStrings({ items_one: '{{count}} item', items_other: '{{count}} items', title: 'Hi' }, 'pl');
+
+    expect(strings).toEqual({
+      items_other: '{count, plural, one {{{count}} item} few {{{count}} items} many {{{count}} items} other {{{count}} items}}',
+      title: 'Hi'
+    });
+
+    const translated = {
+      items_other: '{count, plural, one {{{count}} plik} few {{{count}} pliki} many {{{count}} plików} other {{{count}} pliku}}',
+      title: 'Cześć'
+    };
+    expect(restorePluralStrings(translated, groups)).toEqual({
+      strings: {
+        items_one: '{{count}} plik',
+        items_few: '{{count}} pliki',
+        items_many: '{{count}} plików',
+        items_other: '{{count}} pliku',
+        title: 'Cześć'
+      },
+      failed: []
+    });
+  });
+
+  test('report a group whose translation is no longer a plural message', () => {
+    const { groups } = preparePluralStrings({ items_one: 'One item', items_other: 'Many items' }, 'fr');
+
+    expect(restorePluralStrings({ items_other: 'Des éléments' }, groups)).toEqual({ strings: {}, failed: ['items_other'] });
+  });
+
+  test('convert between plural forms and ICU messages', () => {
+    expect(joinPluralForms({ one: 'One file', other: '%d files' })).toBe('{count, plural, one {One file} other {%d files}}');
+    expect(joinPluralForms({ one: '1st', other: '#th' }, 'ordinal')).toBe('{count, selectordinal, one {1st} other {#th}}');
+    expect(getPluralForms('{count, plural, one {One file} other {%d files}}')).toEqual({ one: 'One file', other: '%d files' });
+    expect(getPluralForms('Just text')).toBeNull();
+  });
+});
+
+describe('plural changes', () => {
+  const source = { items_one: 'One item', items_other: '{{count}} items', title: 'Title' };
+
+  test('retranslate the whole group when one form changes', () => {
+    const changes = { added: {}, updated: { items_one: 'One item' }, deleted: {} };
+
+    expect(expandPluralChanges(changes, source).updated).toEqual({ items_one: 'One item', items_other: '{{count}} items' });
+  });
+
+  test('find the groups a locale lacks forms of and the forms it does not use', () => {
+    expect(findMissingPluralForms(source, { items_one: 'x', items_other: 'y' }, 'pl').map(group => group.key)).toEqual(['items_other']);
+    expect(findMissingPluralForms(source, { items_other: 'y' }, 'ja')).toEqual([]);
+    expect(getUnusedPluralKeys(Object.keys(source), 'ja')).toEqual(new Set(['items_one']));
+  });
+
+  test('check generated forms against the other form of their source', () => {
+    const sources = addPluralSources({ items_other: '{{count}} items' }, { pl: { items_few: '{{count}} pliki' } });
+
+    expect(sources.items_few).toBe('{{count}} items');
+  });
+});
+
+describe('getMessageVariants', () => {
+  test('renders every option combination and keeps other text as is', () => {
+    expect(getMessageVariants('{count, plural, one {# file} other {# files}} left')).toEqual(['# file left', '# files left']);
+    expect(getMessageVariants('Hello {name}')).toEqual(['Hello {name}']);
+    expect(getMessageVariants('Broken {count, plural, one {x}')).toEqual(['Broken {count, plural, one {x}']);
+  });
+});
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { createJobQueue, getRetryDelay } from '../queue.js';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+
+import os from 'os';
+import path from 'path';
+
+// Short delays so retries happen within the test
+const limits = { maxAttempts: 3, baseDelay: 1, maxDelay: 1, pollInterval: 5 };
+
+let directory;
+let queue;
+
+beforeEach(async() => {
+  directory = await mkdtemp(path.join(os.tmpdir(), 'vocoder-queue-'));
+});
+
+afterEach(async() => {
+  await queue?.stop();
+  queue = null;
+  await rm(directory, { recursive: true, force: true });
+});
+
+async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!(await check())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+async function readDeadJobs() {
+  const files = await readdir(path.join(directory, 'dead'));
+  return Promise.all(files.map(async file => JSON.parse(await readFile(path.join(directory, 'dead', file), 'utf8'))));
+}
+
+describe('getRetryDelay', () => {
+  test('backs off exponentially up to the maximum', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+
+    expect(getRetryDelay(1, options)).toBeGreaterThanOrEqual(500);
+    expect(getRetryDelay(1, options)).toBeLessThanOrEqual(1000);
+    expect(getRetryDelay(3, options)).toBeGreaterThanOrEqual(2000);
+    expect(getRetryDelay(10, options)).toBeLessThanOrEqual(5000);
+  });
+});
+
+describe('createJobQueue', () => {
+  test('runs a job once and removes it', async() => {
+    const runs = [];
+    queue = createJobQueue({ directory, handlers: { greet: async(job) => runs.push(job.data) }, ...limits });
+    await queue.start();
+
+    await queue.enqueue('greet', 'a', { name: 'Ada' });
+    await waitFor(async() => runs.length === 1 && (await queue.getStats()).pending === 0);
+
+    expect(runs).toEqual([{ name: 'Ada' }]);
+  });
+
+  test('does not queue a key that is already pending', async() => {
+    queue = createJobQueue({ directory, handlers: {}, ...limits });
+
+    const first = await queue.enqueue('greet', 'a', { name: 'Ada' });
+    const second = await queue.enqueue('greet', 'a', { name: 'Grace' });
+
+    expect(second).toEqual(first);
+    expect(await queue.getStats()).toEqual({ pending: 1, dead: 0 });
+  });
+
+  test('runs jobs left over from a previous run', async() => {
+    await createJobQueue({ directory, handlers: {}, ...limits }).enqueue('greet', 'a', { name: 'Ada' });
+    const runs = [];
+
+    queue = createJobQueue({ directory, handlers: { greet: async(job) => runs.push(job.key) }, ...limits });
+    await queue.start();
+    await waitFor(() => runs.length === 1);
+
+    expect(runs).toEqual(['a']);
+  });
+
+  test('retries a failing job and moves it to the dead letter after maxAttempts', async() => {
+    let attempts = 0;
+    queue = createJobQueue({
+      directory,
+      handlers: {
+        flaky: async() => {
+          attempts++;
+          throw new Error(`Failure ${attempts}`);
+        }
+      },
+      ...limits
+    });
+    await queue.start();
+
+    await queue.enqueue('flaky', 'a', {});
+    await waitFor(async() => (await queue.getStats()).dead === 1);
+
+    expect(attempts).toBe(3);
+    expect(await queue.getStats()).toEqual({ pending: 0, dead: 1 });
+    expect((await readDeadJobs())[0]).toMatchObject({ key: 'a', attempts: 3, lastError: 'Failure 3' });
+  });
+
+  test('keeps every dead-letter failure of a key', async() => {
+    queue = createJobQueue({ directory, handlers: {}, ...limits });
+    await queue.start();
+
+    await queue.enqueue('unknown', 'a', {});
+    await waitFor(async() => (await queue.getStats()).dead === 1);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await queue.enqueue('unknown', 'a', {});
+    await waitFor(async() => (await queue.getStats()).dead === 2);
+
+    expect((await readDeadJobs()).map(job => job.key)).toEqual(['a', 'a']);
+  });
+
+  test('moves a job without a handler to the dead letter right away', async() => {
+    queue = createJobQueue({ directory, handlers: {}, ...limits });
+    await queue.start();
+
+    await queue.enqueue('unknown', 'a', {});
+    await waitFor(async() => (await queue.getStats()).dead === 1);
+
+    expect((await readDeadJobs())[0]).toMatchObject({ attempts: 1, lastError: 'No handler for job type \'unknown\'' });
+  });
+});
@@ -0,0 +1,150 @@
+import { Logger, redact, registerSecret } from '../logger.js';
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import {
+  canUseProjectApiKey,
+  decryptSecret,
+  encryptSecret,
+  getInstallationSecret,
+  getSecretEnvironmentVariable,
+  isSecretReference,
+  resolveProjectApiKey,
+  setInstallationSecret
+} from '../secrets.js';
+import { mkdtemp, rm } from 'fs/promises';
+
+import { ENV_VARS } from '../constants.js';
+import { getConfig } from '../api.js';
+import { tmpdir } from 'os';
+import { validateConfigSchema } from '../schema.js';
+
+let directory;
+const saved = { ...process.env };
+
+beforeAll(async() => {
+  directory = await mkdtemp(`${tmpdir()}/vocoder-secrets-`);
+});
+
+afterEach(() => {
+  process.env = { ...saved };
+});
+
+afterAll(async() => {
+  await rm(directory, { recursive: true, force: true });
+});
+
+describe('secret references', () => {
+  test('recognizes "secret:<name>" values', () => {
+    expect(isSecretReference('secret:acme-prod')).toBe(true);
+    expect(isSecretReference('sk-123')).toBe(false);
+    expect(isSecretReference('secret:')).toBe(false);
+  });
+
+  test('maps a secret name to the environment variable of its installation', () => {
+    expect(getSecretEnvironmentVariable(42, 'acme-prod')).toBe('VOCODER_SECRET_42_ACME_PROD');
+  });
+});
+
+describe('secrets file', () => {
+  test('encrypts secrets so they cannot be altered', () => {
+    const key = Buffer.alloc(32, 1);
+    const encrypted = encryptSecret('sk-123', key);
+
+    expect(encrypted).not.toContain('sk-123');
+    expect(decryptSecret(encrypted, key)).toBe('sk-123');
+    expect(() => decryptSecret(encrypted, Buffer.alloc(32, 2))).toThrow();
+  });
+
+  test('stores secrets per installation', async() => {
+    process.env[ENV_VARS.SECRETS_KEY] = 'passphrase';
+    const filePath = `${directory}/secrets.json`;
+
+    await setInstallationSecret(42, 'default', 'sk-42', filePath);
+    await setInstallationSecret(43, 'default', 'sk-43', filePath);
+
+    expect(await getInstallationSecret(42, 'default', filePath)).toBe('sk-42');
+    expect(await getInstallationSecret(43, 'default', filePath)).toBe('sk-43');
+    expect(await getInstallationSecret(44, 'default', filePath)).toBeNull();
+  });
+});
+
+describe('resolveProjectApiKey', () => {
+  test('reads referenced secrets of the installation from the environment', async() => {
+    process.env[ENV_VARS.SECRETS_FILE] = `${directory}/missing.json`;
+    process.env.VOCODER_SECRET_42_ACME_PROD = 'key-prod';
+
+    expect(await resolveProjectApiKey('secret:acme-prod', 42)).toEqual({ apiKey: 'key-prod', error: null });
+    expect((await resolveProjectApiKey('secret:acme-prod', 43)).error).toContain('not defined');
+    expect((await resolveProjectApiKey('secret:acme-staging', 42)).error).toContain('not defined');
+  });
+
+  test('only hands PROJECT_API_KEY to installations that opted in', async() => {
+    process.env[ENV_VARS.SECRETS_FILE] = `${directory}/missing.json`;
+    process.env[ENV_VARS.PROJECT_API_KEY] = 'shared';
+    process.env[ENV_VARS.PROJECT_API_KEY_INSTALLATIONS] = '41, 42';
+
+    expect(canUseProjectApiKey(42)).toBe(true);
+    expect(canUseProjectApiKey(43)).toBe(false);
+    expect(await resolveProjectApiKey('', 42)).toEqual({ apiKey: 'shared', error: null });
+    expect(await resolveProjectApiKey('', 43)).toEqual({ apiKey: '', error: null });
+
+    process.env[ENV_VARS.PROJECT_API_KEY_INSTALLATIONS] = '*';
+    expect(canUseProjectApiKey(43)).toBe(true);
+  });
+});
+
+describe('projectApiKey', () => {
+  test('only accepts secret references in the repository config', () => {
+    expect(validateConfigSchema({ projectApiKey: 'secret:acme-prod' }).errors).toEqual([]);
+    expect(validateConfigSchema({ projectApiKey: 'sk-123' }).errors[0].message).toContain('must not contain a plaintext API key');
+  });
+
+  test('reports a reference that cannot be resolved on the config file', async() => {
+    process.env[ENV_VARS.SECRETS_FILE] = `${directory}/missing.json`;
+    const content = '{\n  "projectApiKey": "secret:acme-staging"\n}\n';
+    const event = {
+      owner: 'acme',
+      repo: 'app',
+      payload: { installation: { id: 42 } },
+      octokit: {
+        rest: {
+          repos: {
+            getContent: async({ repo }) => {
+              if (repo !== 'app') {
+                throw Object.assign(new Error('Not Found'), { status: 404 });
+              }
+              return { data: { type: 'file', content: Buffer.from(content).toString('base64') } };
+            }
+          }
+        }
+      }
+    };
+
+    const config = await getConfig(event, 'main');
+
+    expect(config.projectApiKey).toBe('');
+    expect(config.configIssues).toEqual([expect.objectContaining({ key: 'projectApiKey', line: 2, level: 'failure' })]);
+  });
+});
+
+describe('log redaction', () => {
+  test('masks registered secrets and sensitive fields', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    registerSecret('sk-live-123');
+
+    new Logger('Test').info('Calling with sk-live-123', { apiKey: 'other', token: 'abc', locale: 'fr' });
+
+    const output = log.mock.calls[0][0];
+    log.mockRestore();
+    expect(output).not.toContain('sk-live-123');
+    expect(output).not.toContain('other');
+    expect(output).not.toContain('abc');
+    expect(output).toContain('"locale": "fr"');
+    expect(redact('key sk-live-123')).toBe('key [REDACTED]');
+  });
+
+  test('ignores values too short to mask safely', () => {
+    registerSecret('fr');
+
+    expect(redact('fr')).toBe('fr');
+  });
+});
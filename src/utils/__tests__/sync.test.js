@@ -0,0 +1,96 @@
+import { DEFAULT_LOCK_FILE, MAX_TIMER_DELAY } from '../constants.js';
+import { describe, expect, test } from '@jest/globals';
+import { findMissingTranslations, getSyncBranch, getSyncInterval, isAuthorizedSyncRequest } from '../sync.js';
+
+import { hashText } from '../lock.js';
+import { validateConfig } from '../validation.js';
+
+// Minimal octokit serving files by path; other paths are not found
+const createEvent = (files) => ({
+  owner: 'acme',
+  repo: 'app',
+  octokit: {
+    rest: {
+      repos: {
+        getContent: async({ path }) => {
+          if (!(path in files)) {
+            throw Object.assign(new Error('Not Found'), { status: 404 });
+          }
+          return { data: { type: 'file', content: Buffer.from(files[path]).toString('base64') } };
+        }
+      }
+    }
+  }
+});
+
+const config = validateConfig({
+  sourceFiles: ['locales/en.json'],
+  targetLocales: ['fr', 'de'],
+  outputPath: 'locales/{locale}.json'
+});
+
+describe('getSyncBranch', () => {
+  test('keeps sync branches apart from companion branches', () => {
+    expect(getSyncBranch('main')).toBe('vocoder/sync/main');
+  });
+});
+
+describe('isAuthorizedSyncRequest', () => {
+  test('needs the configured bearer token', () => {
+    expect(isAuthorizedSyncRequest('Bearer s3cret', 's3cret')).toBe(true);
+    expect(isAuthorizedSyncRequest('Bearer wrong', 's3cret')).toBe(false);
+    expect(isAuthorizedSyncRequest('s3cret', 's3cret')).toBe(false);
+  });
+
+  test('refuses every request without a configured token', () => {
+    expect(isAuthorizedSyncRequest('Bearer ', '')).toBe(false);
+    expect(isAuthorizedSyncRequest('Bearer anything', undefined)).toBe(false);
+  });
+});
+
+describe('getSyncInterval', () => {
+  test('converts hours to ms and disables the schedule for 0 or invalid values', () => {
+    expect(getSyncInterval(24)).toBe(24 * 60 * 60 * 1000);
+    expect(getSyncInterval('0.5')).toBe(30 * 60 * 1000);
+    expect(getSyncInterval(0)).toBeNull();
+    expect(getSyncInterval('daily')).toBeNull();
+    expect(getSyncInterval(-1)).toBeNull();
+  });
+
+  test('caps intervals longer than a timer can wait', () => {
+    expect(getSyncInterval(24 * 30)).toBe(MAX_TIMER_DELAY);
+  });
+});
+
+describe('findMissingTranslations', () => {
+  test('finds missing keys and stale machine translations, keeping human edits', async() => {
+    const lock = {
+      version: 1,
+      files: {
+        'locales/fr.json': {
+          title: { origin: 'machine', source: hashText('Welcome'), target: hashText('Bienvenue') },
+          farewell: { origin: 'machine', source: hashText('Bye'), target: hashText('Salut') }
+        }
+      }
+    };
+    const event = createEvent({
+      'locales/en.json': JSON.stringify({ title: 'Welcome!', farewell: 'Goodbye', greeting: 'Hello' }),
+      'locales/fr.json': JSON.stringify({ title: 'Bienvenue', farewell: 'Au revoir' }),
+      'locales/de.json': JSON.stringify({ title: 'Willkommen', farewell: 'Tschüss', greeting: 'Hallo' }),
+      [DEFAULT_LOCK_FILE]: JSON.stringify(lock)
+    });
+
+    const { namespaces, sourceFilesFound } = await findMissingTranslations(event, config, 'main');
+
+    expect(sourceFilesFound).toBe(1);
+    expect(namespaces).toEqual([expect.objectContaining({
+      sourceFile: 'locales/en.json',
+      locales: ['fr'],
+      changes: { added: { greeting: 'Hello' }, updated: { title: 'Welcome!' }, deleted: {} }
+    })]);
+  });
+
+  test('reports source files that do not exist', async() => {
+    expect(await findMissingTranslations(createEvent({}), config, 'main')).toEqual({ namespaces: [], sourceFilesFound: 0 });
+  });
+});
@@ -1,17 +1,28 @@
-import { DEFAULT_CONFIG_FILE, STATUS_CONTEXT_VOCODER } from './constants.js';
+import {
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_ORG_CONFIG_REPO,
+  ENV_VARS,
+  ISSUE_LEVELS,
+  MAX_ANNOTATIONS_PER_REQUEST,
+  STATUS_CONTEXT_VOCODER
+} from './constants.js';
+import { findKeyLine, parseLocaleFile } from './formats/index.js';
+import { isGlobPattern, matchPaths, normalizePath } from './paths.js';
+import { mergeConfigs, migrateDeprecatedKeys, validateConfig } from './validation.js';
 
 import { ErrorHandler } from './errors.js';
 import { Logger } from './logger.js';
 import { detectStringChanges } from './localization.js';
-import { validateConfig } from './validation.js';
+import { parseConfigFile } from './schema.js';
+import { resolveProjectApiKey } from './secrets.js';
 
 /**
- * Get file content from a specific commit/branch
- * Returns parsed JSON content or null if file doesn't exist
+ * Get raw file content from a specific commit/branch
+ * Returns the decoded text or null if file doesn't exist
  */
-export async function getFileContent(event, filePath, ref) {
+export async function getRawFileContent(event, filePath, ref) {
   try {
-    const normalizedFilePath = filePath.replace(/^\/+|\/+$/g, '');
+    const normalizedFilePath = normalizePath(filePath);
 
     const { data: fileContent } = await event.octokit.rest.repos.getContent({
       owner: event.owner,
@@ -21,7 +32,7 @@ export async function getFileContent(event, filePath, ref) {
     });
 
     if (fileContent.type === 'file') {
-      return JSON.parse(Buffer.from(fileContent.content, 'base64').toString());
+      return Buffer.from(fileContent.content, 'base64').toString();
     }
   } catch (error) {
     return ErrorHandler.handleFileError(error, filePath, 'API');
@@ -29,6 +40,24 @@ export async function getFileContent(event, filePath, ref) {
   return null;
 }
 
+/**
+ * Get file content from a specific commit/branch
+ * Returns parsed JSON content or null if file doesn't exist
+ */
+export async function getFileContent(event, filePath, ref) {
+  const content = await getRawFileContent(event, filePath, ref);
+  return content === null ? null : JSON.parse(content);
+}
+
+/**
+ * Get a localization file from a specific commit/branch in any supported format
+ * Returns { format, strings, metadata } or null if file doesn't exist
+ */
+export async function getLocaleFile(event, filePath, ref, { format, locale, isSource } = {}) {
+  const content = await getRawFileContent(event, filePath, ref);
+  return content === null ? null : parseLocaleFile(content, filePath, { format, locale, isSource });
+}
+
 /**
  * Set commit status with consistent error handling
  */
@@ -58,14 +87,211 @@ export async function setCommitStatus(
 }
 
 /**
- * Get open pull requests for a specific base branch
+ * Create a check run for a commit
+ * Returns the created check run or null if it could not be created
+ */
+export async function createCheckRun(event, sha, checkRun) {
+  try {
+    const { data } = await event.octokit.rest.checks.create({
+      owner: event.owner,
+      repo: event.repo,
+      head_sha: sha,
+      ...checkRun
+    });
+
+    const logger = new Logger('API');
+    logger.info(`Created check run '${checkRun.name}' (${checkRun.status})`);
+    return data;
+  } catch (error) {
+    await ErrorHandler.handleCheckRunError(error, sha, 'API');
+    return null;
+  }
+}
+
+/**
+ * Update an existing check run
+ * Annotations are sent in chunks because the Checks API accepts at most 50 per request
+ */
+export async function updateCheckRun(event, checkRunId, checkRun) {
+  const { output, ...fields } = checkRun;
+  const annotations = output?.annotations || [];
+
+  try {
+    let offset = 0;
+    do {
+      await event.octokit.rest.checks.update({
+        owner: event.owner,
+        repo: event.repo,
+        check_run_id: checkRunId,
+        ...fields,
+        ...(output && {
+          output: {
+            ...output,
+            annotations: annotations.slice(offset, offset + MAX_ANNOTATIONS_PER_REQUEST)
+          }
+        })
+      });
+      offset += MAX_ANNOTATIONS_PER_REQUEST;
+    } while (offset < annotations.length);
+
+    const logger = new Logger('API');
+    logger.info(`Updated check run ${checkRunId}`, {
+      conclusion: fields.conclusion,
+      annotations: annotations.length
+    });
+  } catch (error) {
+    await ErrorHandler.handleCheckRunError(error, checkRunId, 'API');
+  }
+}
+
+/**
+ * Create or update the comment identified by a hidden marker on an issue or pull request
+ * Keeps a single sticky comment instead of posting a new one on every run
+ */
+export async function upsertIssueComment(event, issueNumber, marker, body) {
+  const logger = new Logger('API');
+  const comments = await event.octokit.paginate(event.octokit.rest.issues.listComments, {
+    owner: event.owner,
+    repo: event.repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+
+  const existing = comments.find(
+    comment => comment.user?.type === 'Bot' && comment.body?.includes(marker)
+  );
+  const fullBody = `${marker}\n${body}`;
+
+  if (existing) {
+    const { data } = await event.octokit.rest.issues.updateComment({
+      owner: event.owner,
+      repo: event.repo,
+      comment_id: existing.id,
+      body: fullBody
+    });
+    logger.info(`Updated comment ${existing.id} on #${issueNumber}`);
+    return data;
+  }
+
+  const { data } = await event.octokit.rest.issues.createComment({
+    owner: event.owner,
+    repo: event.repo,
+    issue_number: issueNumber,
+    body: fullBody
+  });
+  logger.info(`Created comment ${data.id} on #${issueNumber}`);
+  return data;
+}
+
+/**
+ * Post a new comment on an issue or pull request
+ */
+export async function createIssueComment(event, issueNumber, body) {
+  const { data } = await event.octokit.rest.issues.createComment({
+    owner: event.owner,
+    repo: event.repo,
+    issue_number: issueNumber,
+    body
+  });
+  return data;
+}
+
+/**
+ * React to an issue or pull request comment
+ */
+export async function addCommentReaction(event, commentId, content) {
+  try {
+    await event.octokit.rest.reactions.createForIssueComment({
+      owner: event.owner,
+      repo: event.repo,
+      comment_id: commentId,
+      content
+    });
+  } catch (error) {
+    const logger = new Logger('API');
+    logger.warn(`Failed to add reaction to comment ${commentId}`, { error: error.message });
+  }
+}
+
+/**
+ * Add labels to an issue or pull request
+ */
+export async function addLabels(event, issueNumber, labels) {
+  await event.octokit.rest.issues.addLabels({
+    owner: event.owner,
+    repo: event.repo,
+    issue_number: issueNumber,
+    labels
+  });
+}
+
+/**
+ * Get a user's permission level on the repository (admin, maintain, write, triage, read or none)
+ */
+export async function getUserPermission(event, username) {
+  try {
+    const { data } = await event.octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: event.owner,
+      repo: event.repo,
+      username
+    });
+    // role_name distinguishes maintain/triage, which permission folds into write/read
+    return data.role_name || data.permission;
+  } catch (error) {
+    if (error.status === 404) {
+      return 'none';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a single pull request
+ */
+export async function getPullRequest(event, pullNumber) {
+  const { data: pullRequest } = await event.octokit.rest.pulls.get({
+    owner: event.owner,
+    repo: event.repo,
+    pull_number: pullNumber
+  });
+  return pullRequest;
+}
+
+/**
+ * Create a pull request review with optional line comments
+ */
+export async function createReview(event, pullNumber, review) {
+  const { data } = await event.octokit.rest.pulls.createReview({
+    owner: event.owner,
+    repo: event.repo,
+    pull_number: pullNumber,
+    ...review
+  });
+  return data;
+}
+
+/**
+ * List the files changed by a pull request, with their status and patch
+ */
+export async function listPullRequestFiles(event, pullNumber) {
+  return event.octokit.paginate(event.octokit.rest.pulls.listFiles, {
+    owner: event.owner,
+    repo: event.repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+}
+
+/**
+ * Get open pull requests for a specific base branch, optionally from one head branch
  */
-export async function getOpenPullRequests(event, baseBranch) {
+export async function getOpenPullRequests(event, baseBranch, headBranch = null) {
   const { data: openPRs } = await event.octokit.rest.pulls.list({
     owner: event.owner,
     repo: event.repo,
     state: 'open',
-    base: baseBranch
+    base: baseBranch,
+    ...(headBranch && { head: `${event.owner}:${headBranch}` })
   });
   return openPRs;
 }
@@ -82,37 +308,214 @@ export async function getBranchHead(event, branchName) {
   return branchRef.object.sha;
 }
 
+/**
+ * Get repository details (default branch, visibility...)
+ */
+export async function getRepository(event) {
+  const { data: repository } = await event.octokit.rest.repos.get({
+    owner: event.owner,
+    repo: event.repo
+  });
+  return repository;
+}
+
+/**
+ * Create a branch pointing at a commit
+ */
+export async function createBranch(event, branchName, sha) {
+  await event.octokit.rest.git.createRef({
+    owner: event.owner,
+    repo: event.repo,
+    ref: `refs/heads/${branchName}`,
+    sha
+  });
+}
+
+/**
+ * Move a branch to a commit; without force the update must be a fast-forward
+ */
+export async function updateBranch(event, branchName, sha, { force = false } = {}) {
+  await event.octokit.rest.git.updateRef({
+    owner: event.owner,
+    repo: event.repo,
+    ref: `heads/${branchName}`,
+    sha,
+    force
+  });
+}
+
+/**
+ * Delete a branch
+ */
+export async function deleteBranch(event, branchName) {
+  await event.octokit.rest.git.deleteRef({
+    owner: event.owner,
+    repo: event.repo,
+    ref: `heads/${branchName}`
+  });
+}
+
+/**
+ * Create or update a single file on a branch with its own commit
+ */
+export async function createOrUpdateFile(event, { path, content, branch, message, sha }) {
+  const { data } = await event.octokit.rest.repos.createOrUpdateFileContents({
+    owner: event.owner,
+    repo: event.repo,
+    path,
+    branch,
+    message,
+    content: Buffer.from(content).toString('base64'),
+    ...(sha && { sha })
+  });
+  return data;
+}
+
+/**
+ * Open a pull request
+ */
+export async function createPullRequest(event, { title, head, base, body }) {
+  const { data: pullRequest } = await event.octokit.rest.pulls.create({
+    owner: event.owner,
+    repo: event.repo,
+    title,
+    head,
+    base,
+    body
+  });
+  return pullRequest;
+}
+
+/**
+ * Close a pull request without merging it
+ */
+export async function closePullRequest(event, pullNumber) {
+  await event.octokit.rest.pulls.update({
+    owner: event.owner,
+    repo: event.repo,
+    pull_number: pullNumber,
+    state: 'closed'
+  });
+}
+
+/**
+ * Get the repository holding organization-wide config defaults as { owner, repo }
+ * ORG_CONFIG_REPO names a repository of the owner of the event's repository. The setting
+ * is shared by every installation, so an "owner/repo" value only keeps its owner for
+ * that account; other accounts read the repository of the same name they own.
+ */
+export function getOrgConfigRepository(event) {
+  const name = process.env[ENV_VARS.ORG_CONFIG_REPO] || DEFAULT_ORG_CONFIG_REPO;
+  const [owner, repo] = name.includes('/') ? name.split('/') : [event.owner, name];
+  return owner.toLowerCase() === event.owner?.toLowerCase() ? { owner, repo } : { owner: event.owner, repo };
+}
+
+/**
+ * Read organization-wide config defaults from the default branch of the org config repository
+ * Returns { config, issues, repository } or null if there are none
+ * Issues cannot be annotated on another repository, so they name the file in their message
+ */
+export async function getOrgConfig(event) {
+  const logger = new Logger('API');
+  const repository = getOrgConfigRepository(event);
+
+  if (repository.owner === event.owner && repository.repo === event.repo) {
+    return null;
+  }
+
+  const orgEvent = { octokit: event.octokit, ...repository };
+  const content = await getRawFileContent(orgEvent, DEFAULT_CONFIG_FILE);
+  if (content === null) {
+    return null;
+  }
+
+  const source = `${repository.owner}/${repository.repo}/${DEFAULT_CONFIG_FILE}`;
+  const { config, issues } = parseConfigFile(content, DEFAULT_CONFIG_FILE);
+  logger.info(`Loaded organization config defaults from ${source}`);
+
+  return {
+    config,
+    repository,
+    issues: issues.map(({ type, level, key, line, message }) => ({
+      type,
+      level,
+      key,
+      message: `${message} (${source}, line ${line})`
+    }))
+  };
+}
+
 /**
  * Get configuration for the repository
+ * The repository config is deep-merged over the organization defaults, if any. A
+ * repository without its own config file is not localized.
  * @param {WebhookEvent} event - The webhook event
  * @param {string} ref - Optional branch/commit reference (defaults to main)
- * Returns null if no config file exists
+ * Returns null if no config file exists; GitHub API errors are thrown
  */
 export async function getConfig(event, ref = 'main') {
   const logger = new Logger('API');
 
   try {
     const configPath = DEFAULT_CONFIG_FILE;
-    const configContent = await getFileContent(event, configPath, ref);
+    const content = await getRawFileContent(event, configPath, ref);
 
-    if (configContent) {
-      const validatedConfig = validateConfig(configContent);
+    if (content === null) {
+      logger.info(`No ${configPath} found in repository at ref: ${ref}`);
+      return null;
+    }
 
-      logger.info('Repository configuration loaded', {
-        ref,
-        targetBranches: validatedConfig.targetBranches,
-        sourceFile: validatedConfig.sourceFile,
-        targetLocales: validatedConfig.targetLocales,
-        hasApiKey: !!validatedConfig.projectApiKey
+    // Invalid configs are still returned so their errors can be reported on the PR
+    const { config, issues } = parseConfigFile(content, configPath);
+    const orgConfig = await getOrgConfig(event);
+    const merged = orgConfig
+      ? mergeConfigs(migrateDeprecatedKeys(orgConfig.config), migrateDeprecatedKeys(config))
+      : config;
+    const configIssues = [...(orgConfig?.issues || []), ...issues];
+    const validatedConfig = {
+      ...validateConfig(merged),
+      configIssues,
+      inheritedFrom: orgConfig?.repository || null
+    };
+
+    // Provider credentials come from server-side secrets, never from the repository
+    const { apiKey, error } = await resolveProjectApiKey(validatedConfig.projectApiKey, event.payload?.installation?.id);
+    validatedConfig.projectApiKey = apiKey;
+    if (error) {
+      configIssues.push({
+        type: 'config',
+        level: ISSUE_LEVELS.FAILURE,
+        sourceFile: configPath,
+        key: 'projectApiKey',
+        line: findKeyLine(content, 'projectApiKey'),
+        message: error
       });
+    }
 
-      return validatedConfig;
+    if (configIssues.length > 0) {
+      logger.warn(`Configuration has ${configIssues.length} problem(s)`, {
+        ref,
+        issues: configIssues.map(({ key, message }) => `${key}: ${message}`)
+      });
     }
 
-    logger.info(`No ${configPath} found in repository at ref: ${ref}`);
-    return null;
+    logger.info('Repository configuration loaded', {
+      ref,
+      inheritedFrom: orgConfig && `${orgConfig.repository.owner}/${orgConfig.repository.repo}`,
+      targetBranches: validatedConfig.targetBranches,
+      sourceFiles: validatedConfig.sourceFiles,
+      targetLocales: validatedConfig.targetLocales,
+      hasApiKey: !!validatedConfig.projectApiKey
+    });
+
+    return validatedConfig;
   } catch (error) {
-    return ErrorHandler.handleConfigError(error, process.env.CONFIG_FILE_PATH, 'API');
+    // Missing files are null above; a failed GitHub request (outage, rate limit) must fail
+    // the run so it is retried, not make the repository look unconfigured
+    if (error.status) {
+      throw error;
+    }
+    return ErrorHandler.handleConfigError(error, DEFAULT_CONFIG_FILE, 'API');
   }
 }
 
@@ -152,20 +555,89 @@ export async function getConfigWithFallback(event) {
 }
 
 /**
- * Compare source file content between two commits
+ * List every file path in the repository at a specific commit/branch
+ */
+export async function listRepositoryFiles(event, ref) {
+  const { data: tree } = await event.octokit.rest.git.getTree({
+    owner: event.owner,
+    repo: event.repo,
+    tree_sha: ref,
+    recursive: 'true'
+  });
+
+  if (tree.truncated) {
+    const logger = new Logger('API');
+    logger.warn('Repository tree is truncated, some files may not be matched', { ref });
+  }
+
+  return tree.tree.filter(item => item.type === 'blob').map(item => item.path);
+}
+
+/**
+ * Resolve configured source files and globs to concrete file paths at a ref
+ * Literal paths are returned as-is without listing the repository
+ */
+export async function resolveSourceFiles(event, sourceFiles, ref) {
+  const literalPaths = sourceFiles.filter(file => !isGlobPattern(file)).map(normalizePath);
+  const globPatterns = sourceFiles.filter(isGlobPattern);
+
+  if (globPatterns.length === 0) {
+    return literalPaths;
+  }
+
+  const repositoryFiles = await listRepositoryFiles(event, ref);
+  return [...new Set([...literalPaths, ...matchPaths(repositoryFiles, globPatterns)])];
+}
+
+/**
+ * Compare all configured source files between two commits
+ * Returns true as soon as one of them changed
  */
 export async function compareSourceFiles(
+  event,
+  sourceFiles,
+  previousSha,
+  currentSha,
+  options = {}
+) {
+  const logger = new Logger('API');
+
+  try {
+    const [previousPaths, currentPaths] = await Promise.all([
+      resolveSourceFiles(event, sourceFiles, previousSha),
+      resolveSourceFiles(event, sourceFiles, currentSha)
+    ]);
+    const sourceFilePaths = [...new Set([...previousPaths, ...currentPaths])];
+
+    for (const sourceFilePath of sourceFilePaths) {
+      if (await compareSourceFile(event, sourceFilePath, previousSha, currentSha, options)) {
+        return true;
+      }
+    }
+
+    return false;
+  } catch (error) {
+    logger.warn('Error resolving source files', error);
+    return true; // Assume change if we can't compare
+  }
+}
+
+/**
+ * Compare source file content between two commits
+ */
+export async function compareSourceFile(
   event,
   sourceFilePath,
   previousSha,
-  currentSha
+  currentSha,
+  { format, locale } = {}
 ) {
   const logger = new Logger('API');
 
   try {
     const [previousFile, currentFile] = await Promise.all([
-      getFileContent(event, sourceFilePath, previousSha),
-      getFileContent(event, sourceFilePath, currentSha)
+      getLocaleFile(event, sourceFilePath, previousSha, { format, locale, isSource: true }),
+      getLocaleFile(event, sourceFilePath, currentSha, { format, locale, isSource: true })
     ]);
 
     // Handle file existence cases
@@ -178,7 +650,7 @@ export async function compareSourceFiles(
       return true;
     }
 
-    const changes = detectStringChanges(previousFile, currentFile);
+    const changes = detectStringChanges(previousFile.strings, currentFile.strings);
 
     // Check if there are any actual changes
     const hasChanges =
@@ -188,12 +660,13 @@ export async function compareSourceFiles(
 
     if (hasChanges) {
       logger.debug('Source file changes detected', {
+        sourceFile: sourceFilePath,
         added: Object.keys(changes.added).length,
         updated: Object.keys(changes.updated).length,
         deleted: Object.keys(changes.deleted).length
       });
     } else {
-      logger.debug('No source file changes detected');
+      logger.debug('No source file changes detected', { sourceFile: sourceFilePath });
     }
 
     return hasChanges;
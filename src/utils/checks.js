@@ -0,0 +1,194 @@
+import {
+  CHECK_RUN_CONCLUSIONS,
+  CHECK_RUN_STATUS,
+  ISSUE_LEVELS,
+  MAX_CHECK_OUTPUT_LENGTH,
+  MAX_SUMMARY_TABLE_ROWS,
+  STATUS_CONTEXT_APP
+} from './constants.js';
+import { createCheckRun, updateCheckRun } from './api.js';
+import { escapeTableCell, formatEffectiveConfig, formatMemoryStats, truncate } from './markdown.js';
+
+import { DELIVERY_PATHS } from './delivery.js';
+import { findKeyLine } from './formats/index.js';
+
+/**
+ * Start the localization check run on a commit
+ */
+export async function startCheckRun(event, sha) {
+  return createCheckRun(event, sha, {
+    name: STATUS_CONTEXT_APP,
+    status: CHECK_RUN_STATUS.IN_PROGRESS,
+    started_at: new Date().toISOString(),
+    output: {
+      title: 'Localization in progress',
+      summary: 'Detecting string changes and generating translations...'
+    }
+  });
+}
+
+/**
+ * Complete the localization check run with the result of processPullRequest
+ */
+export async function completeCheckRun(event, checkRun, result) {
+  if (!checkRun) {
+    return;
+  }
+
+  await updateCheckRun(event, checkRun.id, {
+    status: CHECK_RUN_STATUS.COMPLETED,
+    completed_at: new Date().toISOString(),
+    conclusion: getCheckConclusion(result),
+    output: buildCheckOutput(result)
+  });
+}
+
+/**
+ * Check if a processing result contains issues that should fail the check
+ */
+export function hasFailureIssues(result) {
+  return (result.issues || []).some(issue => issue.level === ISSUE_LEVELS.FAILURE);
+}
+
+/**
+ * Get the check run conclusion for a processing result
+ */
+export function getCheckConclusion(result) {
+  return result.success && !hasFailureIssues(result)
+    ? CHECK_RUN_CONCLUSIONS.SUCCESS
+    : CHECK_RUN_CONCLUSIONS.FAILURE;
+}
+
+/**
+ * Build the check run output: title, markdown summary, translation table and annotations
+ */
+export function buildCheckOutput(result) {
+  const { namespaces = [], issues = [] } = result;
+  const failures = issues.filter(issue => issue.level === ISSUE_LEVELS.FAILURE);
+
+  let title;
+  if (!result.success) {
+    title = `Localization failed: ${result.error}`;
+  } else if (failures.length > 0) {
+    title = `Localization finished with ${failures.length} failed string(s)`;
+  } else {
+    title = `Localization complete: ${result.changesProcessed || 0} changes processed`;
+  }
+
+  return {
+    title: truncate(title, 255),
+    summary: truncate(buildSummary(result), MAX_CHECK_OUTPUT_LENGTH),
+    text: truncate(buildTranslationTable(namespaces), MAX_CHECK_OUTPUT_LENGTH),
+    annotations: buildAnnotations(issues, namespaces)
+  };
+}
+
+/**
+ * Build the markdown summary with change counts per namespace and locale
+ */
+export function buildSummary(result) {
+  const { namespaces = [], issues = [], commitSha } = result;
+  const lines = [];
+
+  if (!result.success) {
+    lines.push(`**Error:** ${result.error}`, '');
+  }
+
+  if (namespaces.length === 0) {
+    lines.push(result.message || 'No string changes detected.');
+  } else {
+    lines.push('| Source file | Locale | Added | Updated | Deleted |');
+    lines.push('| --- | --- | ---: | ---: | ---: |');
+
+    for (const { sourceFile, changes, translations = {} } of namespaces) {
+      for (const locale of Object.keys(translations)) {
+        lines.push(
+          `| \`${sourceFile}\` | ${locale} | ${Object.keys(changes.added).length} | ${Object.keys(changes.updated).length} | ${Object.keys(changes.deleted).length} |`
+        );
+      }
+    }
+  }
+
+  if (result.companionPullRequest) {
+    lines.push('', `Translations proposed in #${result.companionPullRequest.number} (${commitSha}).`);
+  } else if (commitSha) {
+    lines.push('', `Translations committed in ${commitSha}.`);
+  } else if (result.delivery === DELIVERY_PATHS.SUGGEST) {
+    lines.push('', 'This pull request comes from a fork, so translations were posted as suggested changes in a review.');
+  }
+
+  const memorySummary = formatMemoryStats(result.memory);
+  if (memorySummary) {
+    lines.push('', `${memorySummary}.`);
+  }
+
+  if (issues.length > 0) {
+    lines.push('', `### Issues (${issues.length})`, '');
+    for (const issue of issues) {
+      lines.push(`- **${issue.level}** \`${issue.key}\`${issue.locale ? ` (${issue.locale})` : ''}: ${issue.message}`);
+    }
+  }
+
+  const configLines = formatEffectiveConfig(result.config);
+  if (configLines.length > 0) {
+    lines.push('', ...configLines);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Build the markdown table of translated values
+ */
+export function buildTranslationTable(namespaces) {
+  const rows = [];
+
+  for (const { changes, translations = {} } of namespaces) {
+    const sourceStrings = { ...changes.added, ...changes.updated };
+
+    for (const [locale, strings] of Object.entries(translations)) {
+      for (const [key, value] of Object.entries(strings)) {
+        rows.push(`| \`${key}\` | ${locale} | ${escapeTableCell(sourceStrings[key])} | ${escapeTableCell(value)} |`);
+      }
+    }
+  }
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const lines = [
+    '### Translations',
+    '',
+    '| Key | Locale | Source | Translation |',
+    '| --- | --- | --- | --- |',
+    ...rows.slice(0, MAX_SUMMARY_TABLE_ROWS)
+  ];
+
+  if (rows.length > MAX_SUMMARY_TABLE_ROWS) {
+    lines.push('', `_${rows.length - MAX_SUMMARY_TABLE_ROWS} more translations not shown._`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Map issues to line-level annotations on their source files
+ */
+export function buildAnnotations(issues, namespaces = []) {
+  return issues
+    .filter(issue => issue.sourceFile)
+    .map(issue => {
+      const namespace = namespaces.find(({ sourceFile }) => sourceFile === issue.sourceFile);
+      const line = issue.line || findKeyLine(namespace?.source?.content, issue.key);
+
+      return {
+        path: issue.sourceFile,
+        start_line: line,
+        end_line: line,
+        annotation_level: issue.level,
+        title: truncate(`${issue.key}${issue.locale ? ` (${issue.locale})` : ''}`, 255),
+        message: truncate(issue.message, MAX_CHECK_OUTPUT_LENGTH)
+      };
+    });
+}
@@ -0,0 +1,79 @@
+import { COMMANDS, COMMAND_PREFIX, SKIP_LABEL, WRITE_PERMISSIONS } from './constants.js';
+
+/**
+ * Parse "/vocoder <command> [args...]" lines out of a comment body
+ * Lines inside quotes ("> ...") and fenced code blocks are ignored
+ */
+export function parseCommands(body = '') {
+  const commands = [];
+  let inCodeBlock = false;
+
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+
+    if (inCodeBlock || !line.startsWith(`${COMMAND_PREFIX} `)) {
+      continue;
+    }
+
+    const [name, ...args] = line.slice(COMMAND_PREFIX.length).trim().split(/\s+/);
+    commands.push({ name: name.toLowerCase(), args, raw: line });
+  }
+
+  return commands;
+}
+
+/**
+ * Parse the commands an edit added to a comment body
+ * Commands already in the previous body ran when it was posted, so they are left out
+ */
+export function parseAddedCommands(body, previousBody = '') {
+  const previous = new Set(parseCommands(previousBody).map(command => command.raw));
+  return parseCommands(body).filter(command => !previous.has(command.raw));
+}
+
+/**
+ * Check if a command name is supported
+ */
+export function isKnownCommand(name) {
+  return Object.values(COMMANDS).includes(name);
+}
+
+/**
+ * Check if a permission level allows controlling the app
+ */
+export function hasWritePermission(permission) {
+  return WRITE_PERMISSIONS.includes(permission);
+}
+
+/**
+ * Check if a pull request was marked with "/vocoder skip"
+ */
+export function hasSkipLabel(pullRequest) {
+  return (pullRequest.labels || []).some(label => label.name === SKIP_LABEL);
+}
+
+/**
+ * Build the help text listing the supported commands
+ */
+export function getCommandHelp() {
+  return [
+    'Supported commands:',
+    `- \`${COMMAND_PREFIX} ${COMMANDS.RETRANSLATE}\` re-runs localization for this pull request`,
+    `- \`${COMMAND_PREFIX} ${COMMANDS.RETRANSLATE} <locale> [keys...]\` retranslates keys (or key prefixes) for one locale`,
+    `- \`${COMMAND_PREFIX} ${COMMANDS.SKIP}\` skips localization for this pull request (remove the \`${SKIP_LABEL}\` label to resume)`,
+    `- \`${COMMAND_PREFIX} ${COMMANDS.ADD_LOCALE} <locale>\` adds a target locale and translates every string into it`,
+    `- \`${COMMAND_PREFIX} ${COMMANDS.SYNC} [locale]\` translates every string missing or out of date in the target locale files`
+  ].join('\n');
+}
+
+/**
+ * Quote the command a reply answers
+ */
+export function formatCommandReply(command, message) {
+  return `> ${command.raw}\n\n${message}`;
+}
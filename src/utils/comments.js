@@ -0,0 +1,280 @@
+import { ISSUE_LEVELS, MAX_COMMENT_LENGTH, SUMMARY_COMMENT_MARKER } from './constants.js';
+import { createReview, getRawFileContent, listPullRequestFiles, upsertIssueComment } from './api.js';
+import { escapeTableCell, formatEffectiveConfig, formatMemoryStats, shortSha, truncate } from './markdown.js';
+
+import { DELIVERY_PATHS } from './delivery.js';
+import { Logger } from './logger.js';
+import { formatContext } from './context.js';
+
+const ISSUE_ICONS = {
+  [ISSUE_LEVELS.FAILURE]: '❌',
+  [ISSUE_LEVELS.WARNING]: '⚠️',
+  [ISSUE_LEVELS.NOTICE]: 'ℹ️'
+};
+
+/**
+ * Post or update the sticky localization summary comment on a pull request
+ * Failures are logged and swallowed since the comment is informational
+ */
+export async function postSummaryComment(event, pullRequest, result) {
+  const logger = new Logger('Comments');
+
+  try {
+    await upsertIssueComment(
+      event,
+      pullRequest.number,
+      SUMMARY_COMMENT_MARKER,
+      buildSummaryComment(result, { headSha: pullRequest.head.sha })
+    );
+  } catch (error) {
+    logger.error(`Failed to post summary comment on PR #${pullRequest.number}`, error);
+  }
+}
+
+/**
+ * Propose machine translations for human-edited values as review suggestions
+ * Only lines that are part of the pull request diff can carry suggestions, so a
+ * failed review is logged and the suggestions remain listed in the summary comment
+ */
+export async function postTranslationSuggestions(event, pullRequest, commitSha, preserved) {
+  const logger = new Logger('Comments');
+  const comments = preserved
+    .map(item => ({ item, suggestedLine: buildSuggestedLine(item) }))
+    .filter(({ suggestedLine }) => suggestedLine !== null)
+    .map(({ item, suggestedLine }) => ({
+      path: item.path,
+      line: item.line,
+      side: 'RIGHT',
+      body: [
+        `The source of \`${item.key}\` changed. This value was edited by hand, so it was kept. Machine translation:`,
+        '',
+        '```suggestion',
+        suggestedLine,
+        '```'
+      ].join('\n')
+    }));
+
+  if (comments.length === 0) {
+    return false;
+  }
+
+  try {
+    await createReview(event, pullRequest.number, {
+      commit_id: commitSha,
+      event: 'COMMENT',
+      body: `${comments.length} human-edited translation(s) may be stale.`,
+      comments
+    });
+    logger.info(`Posted ${comments.length} translation suggestion(s) on PR #${pullRequest.number}`);
+    return true;
+  } catch (error) {
+    logger.warn(`Could not post translation suggestions on PR #${pullRequest.number}`, {
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Propose the translation files of a fork PR in a review, since its branch cannot be written to
+ * Files the pull request adds get a suggestion replacing the whole file, which the author
+ * can apply; files outside the diff cannot carry suggestions and are listed in the review body
+ * Returns the number of files proposed, or 0 when the review could not be posted
+ */
+export async function postForkSuggestions(event, pullRequest, files) {
+  const logger = new Logger('Comments');
+  const headSha = pullRequest.head.sha;
+
+  try {
+    const pullRequestFiles = await listPullRequestFiles(event, pullRequest.number);
+    const addedFiles = new Set(pullRequestFiles.filter(({ status }) => status === 'added').map(({ filename }) => filename));
+
+    const comments = [];
+    const listed = [];
+    for (const file of files) {
+      const current = await getRawFileContent(event, file.path, headSha);
+      if (current === file.content) {
+        continue;
+      }
+
+      if (current !== null && addedFiles.has(file.path)) {
+        const lineCount = current.replace(/\n$/, '').split('\n').length;
+        comments.push({
+          path: file.path,
+          ...(lineCount > 1 && { start_line: 1, start_side: 'RIGHT' }),
+          line: lineCount,
+          side: 'RIGHT',
+          body: ['Updated translations:', '', '````suggestion', file.content.replace(/\n$/, ''), '````'].join('\n')
+        });
+      } else {
+        listed.push(file);
+      }
+    }
+
+    if (comments.length === 0 && listed.length === 0) {
+      return 0;
+    }
+
+    await createReview(event, pullRequest.number, {
+      commit_id: headSha,
+      event: 'COMMENT',
+      body: buildForkReviewBody(comments.length, listed),
+      comments
+    });
+    logger.info(`Proposed ${comments.length + listed.length} translation file(s) on fork PR #${pullRequest.number}`);
+    return comments.length + listed.length;
+  } catch (error) {
+    logger.warn(`Could not post translation suggestions on fork PR #${pullRequest.number}`, {
+      error: error.message
+    });
+    return 0;
+  }
+}
+
+/**
+ * Build the review body of a fork PR, with the files that could not be suggested inline
+ */
+function buildForkReviewBody(suggestedCount, listed) {
+  const lines = [
+    'This pull request comes from a fork, so Vocoder cannot commit its translations.'
+  ];
+
+  if (suggestedCount > 0) {
+    lines.push('', `Apply the ${suggestedCount} suggested change(s) below to add them.`);
+  }
+
+  if (listed.length > 0) {
+    lines.push('', 'Add these files to the pull request:');
+    for (const { path, content } of listed) {
+      lines.push('', `<details><summary><code>${path}</code></summary>`, '', '````', content.replace(/\n$/, ''), '````', '', '</details>');
+    }
+  }
+
+  return truncate(lines.join('\n'), MAX_COMMENT_LENGTH);
+}
+
+/**
+ * Replace the kept value with the machine value on its line, if it can be found there
+ */
+function buildSuggestedLine({ lineText, existingValue, machineValue }) {
+  const escapedExisting = JSON.stringify(existingValue).slice(1, -1);
+  if (!lineText || !lineText.includes(escapedExisting)) {
+    return null;
+  }
+
+  const escapedMachine = JSON.stringify(machineValue).slice(1, -1);
+  return lineText.replace(escapedExisting, () => escapedMachine);
+}
+
+/**
+ * Build the markdown body of the summary comment
+ */
+export function buildSummaryComment(result, { headSha } = {}) {
+  const { namespaces = [], issues = [], commitSha } = result;
+  const lines = ['## 🌍 Localization summary', ''];
+
+  if (!result.success) {
+    lines.push(`❌ **Localization failed:** ${result.error}`);
+  } else if (result.companionPullRequest) {
+    lines.push(`✅ Translations proposed in #${result.companionPullRequest.number} (${commitSha})`);
+  } else if (commitSha) {
+    lines.push(`✅ Translations committed in ${commitSha}`);
+  } else if (result.delivery === DELIVERY_PATHS.SUGGEST) {
+    lines.push('✅ This pull request comes from a fork, so translations were posted as suggested changes in a review');
+  } else {
+    lines.push(`✅ ${result.message || 'No string changes detected'}`);
+  }
+
+  const memorySummary = formatMemoryStats(result.memory);
+  if (memorySummary) {
+    lines.push('', `♻️ ${memorySummary}`);
+  }
+
+  if (headSha) {
+    lines.push('', `<sub>Last processed commit: ${shortSha(headSha)}</sub>`);
+  }
+
+  if (namespaces.length > 0) {
+    lines.push('', '### String changes', '');
+    for (const namespace of namespaces) {
+      lines.push(...buildChangesSection(namespace));
+    }
+
+    lines.push('### Translations', '');
+    for (const namespace of namespaces) {
+      lines.push(...buildTranslationsSection(namespace, namespaces.length > 1));
+    }
+  }
+
+  if (issues.length > 0) {
+    lines.push('### Warnings', '');
+    for (const issue of issues) {
+      const location = [issue.sourceFile && `\`${issue.sourceFile}\``, issue.locale].filter(Boolean).join(', ');
+      lines.push(
+        `- ${ISSUE_ICONS[issue.level] || ''} \`${issue.key}\`${location ? ` (${location})` : ''}: ${issue.message}`
+      );
+    }
+  }
+
+  const configLines = formatEffectiveConfig(result.config);
+  if (configLines.length > 0) {
+    lines.push('', ...configLines);
+  }
+
+  return truncate(lines.join('\n'), MAX_COMMENT_LENGTH - SUMMARY_COMMENT_MARKER.length - 1);
+}
+
+/**
+ * Build the collapsible table of added, updated and deleted source strings
+ * The context sent to the provider is shown so reviewers can judge the translations
+ */
+function buildChangesSection({ sourceFile, changes, context = {} }) {
+  const rows = [
+    ...Object.entries(changes.added).map(([key, value]) => ['Added', key, value]),
+    ...Object.entries(changes.updated).map(([key, value]) => ['Updated', key, value]),
+    ...Object.keys(changes.deleted).map(key => ['Deleted', key, ''])
+  ];
+  const hasContext = rows.some(([, key]) => context[key]);
+
+  return [
+    `<details><summary><code>${sourceFile}</code>: ${Object.keys(changes.added).length} added, ${Object.keys(changes.updated).length} updated, ${Object.keys(changes.deleted).length} deleted</summary>`,
+    '',
+    hasContext ? '| Change | Key | Source | Context |' : '| Change | Key | Source |',
+    hasContext ? '| --- | --- | --- | --- |' : '| --- | --- | --- |',
+    ...rows.map(([change, key, value]) => {
+      const cells = [change, `\`${key}\``, escapeTableCell(value)];
+      if (hasContext) {
+        cells.push(escapeTableCell(formatContext(context[key])));
+      }
+      return `| ${cells.join(' | ')} |`;
+    }),
+    '',
+    '</details>',
+    ''
+  ];
+}
+
+/**
+ * Build one collapsible table of generated translations per locale
+ */
+function buildTranslationsSection({ namespace, translations = {} }, showNamespace) {
+  const lines = [];
+
+  for (const [locale, strings] of Object.entries(translations)) {
+    const entries = Object.entries(strings);
+    const label = showNamespace ? `${locale} / ${namespace}` : locale;
+
+    lines.push(
+      `<details><summary>${label} (${entries.length})</summary>`,
+      '',
+      '| Key | Translation |',
+      '| --- | --- |',
+      ...entries.map(([key, value]) => `| \`${key}\` | ${escapeTableCell(value)} |`),
+      '',
+      '</details>',
+      ''
+    );
+  }
+
+  return lines;
+}
@@ -2,16 +2,95 @@
 export const DEFAULT_CONFIG_FILE = process.env.CONFIG_FILE_PATH || '.vocoder/config.json';
 export const DEFAULT_SOURCE_FILE = 'src/locales/en.json';
 export const DEFAULT_OUTPUT_DIR = 'locales';
+export const DEFAULT_LOCK_FILE = '.vocoder/lock.json';
+export const DEFAULT_GLOSSARY_FILES = ['.vocoder/glossary.json', '.vocoder/glossary.csv', '.vocoder/glossary.tbx'];
+export const DEFAULT_CONTEXT_FILE = '.vocoder/context.json';
+
+// Repository of the same owner holding organization-wide config defaults
+export const DEFAULT_ORG_CONFIG_REPO = '.github';
+
+// Output path templates ({outputDir}, {locale}, {namespace} and {ext} are replaced per file)
+export const DEFAULT_OUTPUT_PATH = '{outputDir}/{locale}.{ext}';
+export const DEFAULT_NAMESPACED_OUTPUT_PATH = '{outputDir}/{locale}/{namespace}.{ext}';
+
+// Localization file formats
+export const FILE_FORMATS = {
+  ANDROID: 'android',
+  ARB: 'arb',
+  JSON: 'json',
+  PO: 'po',
+  STRINGS: 'strings',
+  XLIFF: 'xliff',
+  YAML: 'yaml'
+};
+
+// File extensions mapped to their format
+export const FORMAT_EXTENSIONS = {
+  arb: FILE_FORMATS.ARB,
+  json: FILE_FORMATS.JSON,
+  po: FILE_FORMATS.PO,
+  pot: FILE_FORMATS.PO,
+  strings: FILE_FORMATS.STRINGS,
+  xlf: FILE_FORMATS.XLIFF,
+  xliff: FILE_FORMATS.XLIFF,
+  xml: FILE_FORMATS.ANDROID,
+  yaml: FILE_FORMATS.YAML,
+  yml: FILE_FORMATS.YAML
+};
 
 // Webhook events
 export const SUPPORTED_PR_EVENTS = ['opened', 'synchronize', 'reopened'];
+export const SUPPORTED_COMMENT_EVENTS = ['created', 'edited'];
+export const ONBOARDING_BRANCH = 'vocoder/onboarding';
+export const COMPANION_BRANCH_PREFIX = 'vocoder/';
 export const WEBHOOK_PATH = '/api/webhook';
 
 // Server configuration
 export const DEFAULT_PORT = 3011;
 export const HEALTH_CHECK_PATH = '/health';
+export const SYNC_PATH = '/api/sync';
 export const DEBUG_TEST_PATH = '/debug/test';
 
+// Translation memory: remembered translations are stored per account under TRANSLATION_MEMORY_DIR
+export const DEFAULT_MEMORY_DIR = '.data/memory';
+export const DEFAULT_FUZZY_THRESHOLD = 0.95;
+export const MAX_FUZZY_CANDIDATES = 50;
+// Fuzzy matches score below an exact match even when only case or whitespace differs
+export const MAX_FUZZY_SCORE = 0.99;
+
+// Secrets: provider credentials are stored encrypted per installation in SECRETS_FILE
+// and referenced from the config as "secret:<name>"
+export const DEFAULT_SECRETS_FILE = '.data/secrets.json';
+export const SECRET_REFERENCE_PREFIX = 'secret:';
+export const DEFAULT_SECRET_NAME = 'default';
+
+// Full sync: every repository's default branch is checked for missing translations
+// every SYNC_INTERVAL_HOURS (0 disables the schedule); timers cannot wait longer than
+// MAX_TIMER_DELAY ms (about 24.8 days), so longer intervals are capped to it
+export const DEFAULT_SYNC_INTERVAL_HOURS = 24;
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Attempts to commit translations when the PR branch keeps moving during processing
+export const MAX_COMMIT_ATTEMPTS = 3;
+
+// Job queue: webhooks are stored as jobs under QUEUE_DIR and processed in the background
+export const DEFAULT_QUEUE_DIR = '.data/queue';
+export const JOB_TYPES = {
+  ISSUE_COMMENT: 'issue_comment',
+  ONBOARDING: 'onboarding',
+  PULL_REQUEST: 'pull_request',
+  PULL_REQUEST_CLOSED: 'pull_request_closed',
+  PULL_REQUEST_SYNC: 'pull_request_sync',
+  PUSH: 'push',
+  SYNC: 'sync'
+};
+export const QUEUE_LIMITS = {
+  maxAttempts: 5,
+  baseDelay: 30 * 1000,
+  maxDelay: 60 * 60 * 1000,
+  pollInterval: 1000
+};
+
 // Status check contexts
 export const STATUS_CONTEXT_VOCODER = 'Vocoder';
 export const STATUS_CONTEXT_APP = process.env.APP_NAME || 'Vocoder Localization';
@@ -24,14 +103,173 @@ export const STATUS_STATES = {
   SUCCESS: 'success'
 };
 
+// Translation providers
+export const TRANSLATION_PROVIDERS = {
+  DEEPL: 'deepl',
+  GOOGLE: 'google',
+  MOCK: 'mock',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  PSEUDO: 'pseudo',
+  VOCODER: 'vocoder'
+};
+
+// Default provider API endpoints (the server may override the OpenAI-compatible one with PROVIDER_BASE_URL)
+export const PROVIDER_BASE_URLS = {
+  [TRANSLATION_PROVIDERS.DEEPL]: 'https://api.deepl.com',
+  DEEPL_FREE: 'https://api-free.deepl.com',
+  [TRANSLATION_PROVIDERS.GOOGLE]: 'https://translation.googleapis.com',
+  [TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE]: 'https://api.openai.com/v1',
+  [TRANSLATION_PROVIDERS.VOCODER]: 'https://api.vocoder.app'
+};
+
+// Per-provider request limits
+// maxBatchSize: strings per request, maxBatchCharacters: source characters per request,
+// minRequestInterval: milliseconds between consecutive requests
+export const PROVIDER_LIMITS = {
+  [TRANSLATION_PROVIDERS.DEEPL]: { maxBatchSize: 50, maxBatchCharacters: 100000, minRequestInterval: 0 },
+  [TRANSLATION_PROVIDERS.GOOGLE]: { maxBatchSize: 128, maxBatchCharacters: 5000, minRequestInterval: 0 },
+  [TRANSLATION_PROVIDERS.MOCK]: { maxBatchSize: 1000, maxBatchCharacters: Infinity, minRequestInterval: 0 },
+  [TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE]: { maxBatchSize: 40, maxBatchCharacters: 8000, minRequestInterval: 250 },
+  [TRANSLATION_PROVIDERS.PSEUDO]: { maxBatchSize: 1000, maxBatchCharacters: Infinity, minRequestInterval: 0 },
+  [TRANSLATION_PROVIDERS.VOCODER]: { maxBatchSize: 500, maxBatchCharacters: 200000, minRequestInterval: 0 }
+};
+
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+export const MOCK_TRANSLATION_DELAY = 1000;
+
+// Upper bounds of the waits a repository may configure, so no repository stalls the
+// shared job queue: providerOptions.delay (mock) and providerOptions.limits.minRequestInterval
+export const MAX_PROVIDER_DELAY = 1000;
+
+// Pseudo-locales are always pseudo-localized, whatever the provider:
+// en-XA gets accented, expanded text and ar-XB right-to-left text
+export const PSEUDO_LOCALE_REGIONS = {
+  ACCENTED: 'XA',
+  RTL: 'XB'
+};
+export const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+export const DEFAULT_PSEUDO_EXPANSION = 0.3;
+
+// Check run statuses and conclusions
+export const CHECK_RUN_STATUS = {
+  COMPLETED: 'completed',
+  IN_PROGRESS: 'in_progress',
+  QUEUED: 'queued'
+};
+
+// Issue levels map directly onto Checks API annotation levels
+export const ISSUE_LEVELS = {
+  FAILURE: 'failure',
+  NOTICE: 'notice',
+  WARNING: 'warning'
+};
+
+export const CHECK_RUN_CONCLUSIONS = {
+  FAILURE: 'failure',
+  NEUTRAL: 'neutral',
+  SKIPPED: 'skipped',
+  SUCCESS: 'success'
+};
+
+// Checks API limits
+export const MAX_ANNOTATIONS_PER_REQUEST = 50;
+export const MAX_CHECK_OUTPUT_LENGTH = 65535;
+export const MAX_SUMMARY_TABLE_ROWS = 200;
+
+// Hidden marker identifying the sticky pull request summary comment
+export const SUMMARY_COMMENT_MARKER = '<!-- vocoder-localization-summary -->';
+export const MAX_COMMENT_LENGTH = 65536;
+
+// Pull request slash commands
+export const COMMAND_PREFIX = '/vocoder';
+export const COMMANDS = {
+  ADD_LOCALE: 'add-locale',
+  RETRANSLATE: 'retranslate',
+  SKIP: 'skip',
+  SYNC: 'sync'
+};
+export const SKIP_LABEL = 'vocoder:skip';
+export const TRANSLATIONS_LABEL = 'vocoder:translations';
+export const WRITE_PERMISSIONS = ['admin', 'maintain', 'write'];
+
+// Where a target value came from, as recorded in the lock file
+export const TRANSLATION_ORIGINS = {
+  HUMAN: 'human',
+  MACHINE: 'machine'
+};
+
+// How to treat human-edited translations when their source string changes
+// keep: keep the human value and flag it as stale
+// suggest: keep the human value and propose the machine value as a review suggestion
+// overwrite: replace it with the machine value
+export const HUMAN_EDIT_POLICIES = {
+  KEEP: 'keep',
+  OVERWRITE: 'overwrite',
+  SUGGEST: 'suggest'
+};
+
+// How to handle translations that lose placeholders, ICU structure or HTML tags
+// reject: leave the key untranslated and fail the check
+// warn: commit the translation and report a warning
+export const INTEGRITY_MODES = {
+  REJECT: 'reject',
+  WARN: 'warn'
+};
+
+// CLDR plural categories, in CLDR order; each locale uses a subset
+// Plural keys end with one of them: items_one (i18next) or items.one (nested objects, Android)
+export const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// Where translation commits go
+// commit: onto the pull request branch
+// pull-request: onto a companion "vocoder/<branch>" branch, proposed in its own pull request
+export const DELIVERY_MODES = {
+  COMMIT: 'commit',
+  PULL_REQUEST: 'pull-request'
+};
+
+// Base of the companion pull request: the source PR branch or the branch it targets
+export const DELIVERY_TARGETS = {
+  BASE: 'base',
+  HEAD: 'head'
+};
+
+// How to deliver translations for pull requests from forks, whose branch the app cannot write to
+// suggest: post the translated files as suggested changes in a review
+// branch: propose them in a follow-up pull request against the base branch
+// post-merge: propose them against the base branch once the pull request is merged
+export const FORK_POLICIES = {
+  BRANCH: 'branch',
+  POST_MERGE: 'post-merge',
+  SUGGEST: 'suggest'
+};
+
 // Default configuration values
 export const DEFAULT_CONFIG = {
   targetBranches: ['main'],
-  sourceFile: DEFAULT_SOURCE_FILE,
+  sourceFiles: [DEFAULT_SOURCE_FILE],
   sourceLocale: 'en',
   targetLocales: ['fr', 'it'],
+  localeMapping: {},
+  localeFallbacks: {},
   outputDir: DEFAULT_OUTPUT_DIR,
-  projectApiKey: ''
+  outputPath: null,
+  format: null,
+  nestedPlurals: false,
+  projectApiKey: '',
+  humanEdits: HUMAN_EDIT_POLICIES.KEEP,
+  integrity: INTEGRITY_MODES.REJECT,
+  delivery: DELIVERY_MODES.COMMIT,
+  deliveryTarget: DELIVERY_TARGETS.HEAD,
+  forks: FORK_POLICIES.SUGGEST,
+  translationMemory: { enabled: true, fuzzyThreshold: DEFAULT_FUZZY_THRESHOLD },
+  glossary: null,
+  context: null,
+  verbatimKeys: [],
+  constraints: {},
+  provider: TRANSLATION_PROVIDERS.MOCK,
+  providerOptions: {},
+  pseudoLocalization: { accents: true, expansion: DEFAULT_PSEUDO_EXPANSION, brackets: true }
 };
 
 // Environment variable names
@@ -43,8 +281,18 @@ export const ENV_VARS = {
   CONFIG_FILE_PATH: 'CONFIG_FILE_PATH',
   DEBUG: 'DEBUG',
   ENTERPRISE_HOSTNAME: 'ENTERPRISE_HOSTNAME',
+  ORG_CONFIG_REPO: 'ORG_CONFIG_REPO',
   PORT: 'PORT',
   PRIVATE_KEY_PATH: 'PRIVATE_KEY_PATH',
+  PROJECT_API_KEY: 'PROJECT_API_KEY',
+  PROJECT_API_KEY_INSTALLATIONS: 'PROJECT_API_KEY_INSTALLATIONS',
+  PROVIDER_BASE_URL: 'PROVIDER_BASE_URL',
+  QUEUE_DIR: 'QUEUE_DIR',
+  SECRETS_FILE: 'SECRETS_FILE',
+  SECRETS_KEY: 'SECRETS_KEY',
+  SYNC_INTERVAL_HOURS: 'SYNC_INTERVAL_HOURS',
+  SYNC_TOKEN: 'SYNC_TOKEN',
+  TRANSLATION_MEMORY_DIR: 'TRANSLATION_MEMORY_DIR',
   WEBHOOK_SECRET: 'WEBHOOK_SECRET'
 };
 
@@ -61,6 +309,7 @@ export const LOG_LEVELS = {
 export const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   NOT_FOUND: 404,
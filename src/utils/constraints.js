@@ -0,0 +1,121 @@
+import { findPluralGroups, getMessageVariants, splitPluralMessage } from './plurals.js';
+
+import { matchesKeyPattern } from './glossary.js';
+
+/**
+ * Combine several constraints into the strictest: the lowest limits and every
+ * forbidden character; invalid fields are ignored
+ * Returns { maxLength, maxLines, forbiddenCharacters }, or null when nothing applies
+ */
+function mergeConstraints(...list) {
+  const merged = {};
+
+  for (const constraints of list.filter(Boolean)) {
+    for (const field of ['maxLength', 'maxLines']) {
+      if (Number.isInteger(constraints[field]) && constraints[field] > 0) {
+        merged[field] = Math.min(merged[field] ?? Infinity, constraints[field]);
+      }
+    }
+
+    if (typeof constraints.forbiddenCharacters === 'string' && constraints.forbiddenCharacters) {
+      merged.forbiddenCharacters = [...new Set([
+        ...Array.from(merged.forbiddenCharacters || ''),
+        ...Array.from(constraints.forbiddenCharacters)
+      ])].join('');
+    }
+  }
+
+  return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Collect the UI constraints of the strings of one namespace
+ * A key gets every config.constraints entry whose pattern matches it, with the verbatimKeys
+ * syntax and optionally prefixed with the namespace ("push:*.title"), and the max length
+ * of its context; when several apply, the strictest wins. The forms of a plural group
+ * share the constraints of the whole group (pluralOptions, see findPluralGroups).
+ * Returns { [key]: { maxLength, maxLines, forbiddenCharacters } }
+ */
+export function getNamespaceConstraints(namespace, sourceStrings = {}, rules = {}, context = {}, pluralOptions = {}) {
+  const constraints = {};
+  const keys = Object.keys(sourceStrings);
+
+  for (const key of keys) {
+    const matching = Object.entries(rules)
+      .filter(([pattern]) => matchesKeyPattern(pattern.includes(':') ? `${namespace}:${key}` : key, pattern))
+      .map(([, rule]) => rule);
+    const merged = mergeConstraints(...matching, context[key]?.maxLength && { maxLength: context[key].maxLength });
+    if (merged) {
+      constraints[key] = merged;
+    }
+  }
+
+  for (const group of findPluralGroups(keys, pluralOptions)) {
+    const merged = mergeConstraints(...Object.values(group.forms).map(key => constraints[key]));
+    for (const key of merged ? Object.values(group.forms) : []) {
+      constraints[key] = merged;
+    }
+  }
+
+  return constraints;
+}
+
+/**
+ * Check a translation against the constraints of its key
+ * Length counts characters as written, placeholders included
+ * Returns a list of problem descriptions, empty when the translation fits
+ */
+export function findConstraintViolations(text, { maxLength, maxLines, forbiddenCharacters = '' } = {}) {
+  const problems = [];
+  const characters = Array.from(text);
+
+  if (maxLength && characters.length > maxLength) {
+    problems.push(`${characters.length} characters, more than the ${maxLength} allowed`);
+  }
+
+  const lines = text.split(/\r\n|\r|\n/).length;
+  if (maxLines && lines > maxLines) {
+    problems.push(`${lines} lines, more than the ${maxLines} allowed`);
+  }
+
+  const forbidden = Array.from(forbiddenCharacters);
+  const found = [...new Set(characters.filter(char => forbidden.includes(char)))];
+  if (found.length > 0) {
+    problems.push(`forbidden character(s) ${found.map(char => JSON.stringify(char)).join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Check the translations of one locale against the constraints of their keys
+ * translations may hold plural groups as one message (see preparePluralStrings), which are
+ * checked form by form. ICU messages are checked as each text they can render, not as
+ * their source with its syntax.
+ * Returns { [key]: problems } for the translations that break their constraints
+ */
+export function checkConstraints(translations, groups, constraints) {
+  const violations = {};
+
+  for (const [key, value] of Object.entries(translations)) {
+    if (!constraints[key]) {
+      continue;
+    }
+
+    const group = groups.find(item => item.key === key);
+    const forms = group ? splitPluralMessage(value, group) || {} : { [key]: value };
+    const problems = Object.entries(forms).flatMap(([formKey, text]) => {
+      const variants = getMessageVariants(text);
+      return variants.flatMap(variant => findConstraintViolations(variant, constraints[key]).map(problem => {
+        const described = variants.length > 1 ? `"${variant}": ${problem}` : problem;
+        return group ? `${formKey}: ${described}` : described;
+      }));
+    });
+
+    if (problems.length > 0) {
+      violations[key] = problems;
+    }
+  }
+
+  return violations;
+}
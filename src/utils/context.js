@@ -0,0 +1,122 @@
+import { DEFAULT_CONTEXT_FILE } from './constants.js';
+
+import { Logger } from './logger.js';
+import { getRawFileContent } from './api.js';
+
+// i18next has no notes of its own; by convention "book_description" describes "book"
+const DESCRIPTION_SUFFIX = '_description';
+
+/**
+ * Read the context file at a ref: the configured file or .vocoder/context.json
+ * Keys map to a description or to { description, maxLength, screenshot }; keys of one
+ * namespace can be prefixed with it ("checkout:total") when several source files are used
+ * Returns { [key]: context }, empty when there is no context file
+ */
+export async function getContextFile(event, config, ref) {
+  const logger = new Logger('Context');
+  const filePath = config.context || DEFAULT_CONTEXT_FILE;
+  const content = await getRawFileContent(event, filePath, ref);
+  if (content === null) {
+    return {};
+  }
+
+  let context;
+  try {
+    context = parseContextFile(content);
+  } catch (error) {
+    throw new Error(`Invalid context file ${filePath}: ${error.message}`);
+  }
+
+  logger.info(`Loaded context file ${filePath}`, { keys: Object.keys(context).length });
+  return context;
+}
+
+/**
+ * Parse a context file, dropping fields that are not a description, max length or screenshot
+ */
+export function parseContextFile(content) {
+  const data = JSON.parse(content);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('must be a JSON object mapping keys to their context');
+  }
+
+  return Object.fromEntries(
+    Object.entries(data)
+      .map(([key, value]) => [key, normalizeContext(typeof value === 'string' ? { description: value } : value)])
+      .filter(([, context]) => context)
+  );
+}
+
+/**
+ * Keep the known context fields with a valid value, or return null if none is left
+ */
+function normalizeContext(value) {
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+
+  const context = {
+    ...(typeof value.description === 'string' && value.description.trim() && { description: value.description.trim() }),
+    ...(Number.isInteger(value.maxLength) && value.maxLength > 0 && { maxLength: value.maxLength }),
+    ...(typeof value.screenshot === 'string' && value.screenshot && { screenshot: value.screenshot })
+  };
+
+  return Object.keys(context).length > 0 ? context : null;
+}
+
+/**
+ * Check if a source key is the description of another key (book_description for book)
+ * Descriptions are notes for translators, never translated themselves
+ */
+export function isDescriptionKey(key, sourceStrings) {
+  return key.endsWith(DESCRIPTION_SUFFIX) && key.slice(0, -DESCRIPTION_SUFFIX.length) in sourceStrings;
+}
+
+/**
+ * Leave description keys out of a change set
+ */
+export function removeDescriptionKeys(changes, sourceStrings = {}) {
+  const keep = strings => Object.fromEntries(
+    Object.entries(strings).filter(([key]) => !isDescriptionKey(key, sourceStrings))
+  );
+
+  return { added: keep(changes.added), updated: keep(changes.updated), deleted: keep(changes.deleted) };
+}
+
+/**
+ * Collect the context of the strings of one namespace
+ * Descriptions come from i18next description keys and ARB "@key" metadata; the context
+ * file adds to and overrides them, unprefixed keys applying to every namespace
+ * Returns { [key]: { description, maxLength, screenshot } }
+ */
+export function getNamespaceContext(namespace, source, contextFile = {}) {
+  const strings = source?.strings || {};
+  const attributes = source?.metadata?.attributes || {};
+  const context = {};
+
+  for (const key of Object.keys(strings)) {
+    const description = strings[`${key}${DESCRIPTION_SUFFIX}`] ?? attributes[`@${key}`]?.description;
+    const entry = {
+      ...normalizeContext({ description }),
+      ...contextFile[key],
+      ...contextFile[`${namespace}:${key}`]
+    };
+
+    if (Object.keys(entry).length > 0) {
+      context[key] = entry;
+    }
+  }
+
+  return context;
+}
+
+/**
+ * Format a context for a markdown table cell
+ */
+export function formatContext({ description, maxLength, screenshot } = {}) {
+  return [
+    description,
+    maxLength && `max ${maxLength} characters`,
+    screenshot && (/^https?:\/\//.test(screenshot) ? `[screenshot](${screenshot})` : `screenshot: \`${screenshot}\``)
+  ].filter(Boolean).join('; ');
+}
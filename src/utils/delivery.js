@@ -0,0 +1,206 @@
+import {
+  COMPANION_BRANCH_PREFIX,
+  DELIVERY_MODES,
+  DELIVERY_TARGETS,
+  FORK_POLICIES,
+  TRANSLATIONS_LABEL
+} from './constants.js';
+import {
+  addLabels,
+  closePullRequest,
+  createBranch,
+  createIssueComment,
+  createPullRequest,
+  deleteBranch,
+  getOpenPullRequests,
+  updateBranch
+} from './api.js';
+
+import { Logger } from './logger.js';
+
+// Where the translations of a run go
+// commit: onto the pull request branch
+// companion: onto a companion branch, proposed in its own pull request
+// suggest: into a review with suggested changes (pull requests from forks)
+// post-merge: nowhere yet; they are proposed once the pull request is merged
+export const DELIVERY_PATHS = {
+  COMMIT: 'commit',
+  COMPANION: 'companion',
+  POST_MERGE: 'post-merge',
+  SUGGEST: 'suggest'
+};
+
+/**
+ * Check if a pull request comes from another repository, whose branch the app cannot write to
+ * A deleted fork leaves head.repo empty
+ */
+export function isForkPullRequest(pullRequest) {
+  const headRepo = pullRequest.head?.repo;
+  const baseRepo = pullRequest.base?.repo;
+  if (!baseRepo) {
+    return false;
+  }
+  return !headRepo || headRepo.full_name !== baseRepo.full_name;
+}
+
+/**
+ * Get the companion branch holding the translations of a pull request
+ * Fork branch names can clash with each other, so fork PRs use their number
+ */
+export function getCompanionBranch(pullRequest) {
+  return isForkPullRequest(pullRequest)
+    ? `${COMPANION_BRANCH_PREFIX}pull-${pullRequest.number}`
+    : `${COMPANION_BRANCH_PREFIX}${pullRequest.head.ref}`;
+}
+
+/**
+ * Check if a pull request was opened by the app to propose translations
+ * The app labels its pull requests when it publishes them (see publishPullRequest); the
+ * label only counts on a pull request authored by a bot, so anyone can name a branch
+ * vocoder/... or add the label to their own pull request and still get it translated
+ */
+export function isTranslationPullRequest(pullRequest) {
+  return pullRequest.user?.type === 'Bot' &&
+    (pullRequest.labels || []).some(label => label.name === TRANSLATIONS_LABEL);
+}
+
+/**
+ * Decide where the translations of a pull request go
+ * Returns { path, parentSha, baseBranch }: the commit translations are built on and, for
+ * companion pull requests, the branch they target. postMerge is set when a merged fork
+ * PR is translated on its merge commit.
+ */
+export function getDeliveryPlan(pullRequest, config, { postMerge = false } = {}) {
+  const { base, head } = pullRequest;
+
+  if (postMerge) {
+    return { path: DELIVERY_PATHS.COMPANION, parentSha: pullRequest.merge_commit_sha, baseBranch: base.ref };
+  }
+
+  if (isForkPullRequest(pullRequest)) {
+    if (config.forks === FORK_POLICIES.BRANCH) {
+      return { path: DELIVERY_PATHS.COMPANION, parentSha: base.sha, baseBranch: base.ref };
+    }
+    if (config.forks === FORK_POLICIES.POST_MERGE) {
+      return { path: DELIVERY_PATHS.POST_MERGE };
+    }
+    return { path: DELIVERY_PATHS.SUGGEST, parentSha: head.sha };
+  }
+
+  if (config.delivery === DELIVERY_MODES.PULL_REQUEST) {
+    return config.deliveryTarget === DELIVERY_TARGETS.BASE
+      ? { path: DELIVERY_PATHS.COMPANION, parentSha: base.sha, baseBranch: base.ref }
+      : { path: DELIVERY_PATHS.COMPANION, parentSha: head.sha, baseBranch: head.ref };
+  }
+
+  return { path: DELIVERY_PATHS.COMMIT, parentSha: head.sha };
+}
+
+/**
+ * Explain in a few words where the translations of a fork PR went, for the commit status
+ */
+export function describeForkDelivery(result) {
+  if (result.delivery === DELIVERY_PATHS.SUGGEST) {
+    return 'Fork PR: translations posted as suggested changes';
+  }
+  if (result.delivery === DELIVERY_PATHS.POST_MERGE) {
+    return 'Fork PR: translations will be proposed after merge';
+  }
+  return result.companionPullRequest
+    ? `Fork PR: translations proposed in #${result.companionPullRequest.number}`
+    : 'Fork PR: translations already up to date';
+}
+
+/**
+ * Build the companion pull request description, linking back to the source PR
+ */
+function buildCompanionBody(pullRequest) {
+  return [
+    `Translations for #${pullRequest.number}, generated by Vocoder.`,
+    '',
+    pullRequest.merged
+      ? 'The source pull request came from a fork and has been merged; merge this one to add its translations.'
+      : 'This branch is rebuilt whenever the source pull request changes, so edits pushed here are replaced on the next run. It is closed automatically when the source pull request is closed.'
+  ].join('\n');
+}
+
+/**
+ * Point an app-owned branch at a commit and open its pull request into base if needed
+ * The branch belongs to the app, so it is moved with force on every run. The pull request
+ * is labeled so the app skips it (see isTranslationPullRequest).
+ * Returns the open pull request
+ */
+export async function publishPullRequest(event, { branch, base, commitSha, title, body }) {
+  const logger = new Logger('Delivery');
+
+  try {
+    await createBranch(event, branch, commitSha);
+  } catch (error) {
+    if (error.status !== 422) {
+      throw error;
+    }
+    await updateBranch(event, branch, commitSha, { force: true });
+  }
+
+  const [existing] = await getOpenPullRequests(event, base, branch);
+  if (existing) {
+    // Pull requests opened before the label existed get it on their next run
+    if (!(existing.labels || []).some(label => label.name === TRANSLATIONS_LABEL)) {
+      await addLabels(event, existing.number, [TRANSLATIONS_LABEL]);
+    }
+    logger.info(`Updated PR #${existing.number} from ${branch}`, { commitSha });
+    return existing;
+  }
+
+  const pullRequest = await createPullRequest(event, { title, head: branch, base, body });
+  await addLabels(event, pullRequest.number, [TRANSLATIONS_LABEL]);
+  logger.success(`Opened PR #${pullRequest.number} from ${branch}`, { base });
+  return pullRequest;
+}
+
+/**
+ * Point the companion branch at a translation commit and open its pull request if needed
+ * Returns the open companion pull request
+ */
+export async function publishCompanionPullRequest(event, pullRequest, commitSha, base) {
+  return publishPullRequest(event, {
+    branch: getCompanionBranch(pullRequest),
+    base,
+    commitSha,
+    title: `🌍 Translations for #${pullRequest.number}: ${pullRequest.title}`,
+    body: buildCompanionBody(pullRequest)
+  });
+}
+
+/**
+ * Close the companion pull requests of a closed source PR and delete the companion branch
+ * Returns the number of companion pull requests closed
+ */
+export async function closeCompanionPullRequests(event, pullRequest) {
+  const logger = new Logger('Delivery');
+  const branch = getCompanionBranch(pullRequest);
+  const companions = await getOpenPullRequests(event, undefined, branch);
+
+  for (const companion of companions) {
+    await createIssueComment(
+      event,
+      companion.number,
+      `Closing: the source pull request #${pullRequest.number} was ${pullRequest.merged ? 'merged' : 'closed'}.`
+    );
+    await closePullRequest(event, companion.number);
+    logger.info(`Closed companion PR #${companion.number} of PR #${pullRequest.number}`);
+  }
+
+  if (companions.length > 0) {
+    try {
+      await deleteBranch(event, branch);
+    } catch (error) {
+      // Already deleted, e.g. by "automatically delete head branches"
+      if (error.status !== 422 && error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+
+  return companions.length;
+}
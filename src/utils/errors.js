@@ -110,6 +110,15 @@ export class ErrorHandler {
     // Don't throw - commit status is not critical
   }
 
+  /**
+   * Handle check run errors
+   */
+  static async handleCheckRunError(error, checkRun, context = 'CheckRun') {
+    const logger = new Logger(context);
+    logger.error('Failed to create or update check run', error, { checkRun });
+    // Don't throw - check runs are not critical
+  }
+
   /**
    * Wrap async function with error handling
    */
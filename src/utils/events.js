@@ -1,19 +1,77 @@
-import { ENV_VARS, STATUS_STATES } from './constants.js';
 import {
-  commitTranslationsToPR,
-  detectStringChanges,
-  translateChanges
-} from './localization.js';
+  COMMANDS,
+  COMMAND_PREFIX,
+  DEFAULT_CONFIG_FILE,
+  DEFAULT_MEMORY_DIR,
+  ENV_VARS,
+  HUMAN_EDIT_POLICIES,
+  ISSUE_LEVELS,
+  MAX_COMMIT_ATTEMPTS,
+  SKIP_LABEL,
+  STATUS_STATES
+} from './constants.js';
+import {
+  DELIVERY_PATHS,
+  closeCompanionPullRequests,
+  describeForkDelivery,
+  getDeliveryPlan,
+  isForkPullRequest,
+  isTranslationPullRequest
+} from './delivery.js';
+import { completeCheckRun, hasFailureIssues, startCheckRun } from './checks.js';
+import { WebhookEvent, isTargetBranch } from './webhook.js';
 import {
+  addCommentReaction,
+  addLabels,
+  createIssueComment,
+  getBranchHead,
+  getConfig,
   getConfigWithFallback,
-  getFileContent,
+  getLocaleFile,
   getOpenPullRequests,
+  getPullRequest,
+  getRawFileContent,
+  getRepository,
+  getUserPermission,
+  resolveSourceFiles,
   setCommitStatus
 } from './api.js';
+import { addPluralSources, expandPluralChanges, usesNestedPlurals } from './plurals.js';
+import {
+  buildTranslationFiles,
+  combineStringChanges,
+  commitTranslationsToPR,
+  createScopedChanges,
+  createTranslationCommit,
+  detectStringChanges,
+  generateCommitMessage,
+  hasStringChanges,
+  translateChanges
+} from './localization.js';
+import { findMissingTranslations, getSyncBranch, publishSyncPullRequest } from './sync.js';
+import {
+  formatCommandReply,
+  getCommandHelp,
+  hasSkipLabel,
+  hasWritePermission,
+  isKnownCommand,
+  parseAddedCommands,
+  parseCommands
+} from './commands.js';
+import { getBranchLockKey, withLock } from './mutex.js';
+import { canonicalizeLocale, toCanonicalLocale } from './validation.js';
+import { getContextFile, getNamespaceContext, removeDescriptionKeys } from './context.js';
+import { getGlossary, verifyGlossary } from './glossary.js';
+import { postForkSuggestions, postSummaryComment, postTranslationSuggestions } from './comments.js';
 
 import { ErrorHandler } from './errors.js';
 import { Logger } from './logger.js';
-import { isTargetBranch } from './webhook.js';
+import { createTranslationMemory } from './memory.js';
+import { getConfigErrors } from './schema.js';
+import { getNamespace } from './paths.js';
+import { getNamespaceConstraints } from './constraints.js';
+import path from 'path';
+import { validateTranslations } from './integrity.js';
 
 /**
  * Handle pull request events with functional approach
@@ -31,6 +89,12 @@ export async function handlePullRequestEvent(event, action) {
       `Processing PR #${prNumber} ${action} for ${owner}/${repo}`
     );
 
+    // Companion pull requests only carry the app's own translation commits
+    if (isTranslationPullRequest(pullRequest)) {
+      logger.info(`PR #${prNumber} is a companion translation PR, skipping`);
+      return;
+    }
+
     // Get configuration
     const config = await getConfigWithFallback(event);
     if (!config) {
@@ -52,6 +116,68 @@ export async function handlePullRequestEvent(event, action) {
       `PR targets monitored branch '${event.baseBranch}', proceeding with localization`
     );
 
+    // Respect a previous "/vocoder skip" on this pull request
+    if (hasSkipLabel(pullRequest)) {
+      logger.info(`PR #${prNumber} has the '${SKIP_LABEL}' label, skipping localization`);
+      await setCommitStatus(
+        event,
+        pullRequest.head.sha,
+        STATUS_STATES.SUCCESS,
+        'Localization skipped',
+        process.env[ENV_VARS.APP_NAME]
+      );
+      return;
+    }
+
+    const result = await runLocalization(event, pullRequest, config);
+
+    timer.end();
+    return result;
+  } catch (error) {
+    logger.error(`Error processing PR #${prNumber}`, error);
+    await setErrorStatus(event, pullRequest.head.sha, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Close the companion translation pull request of a closed pull request
+ * A merged fork PR under the post-merge policy gets its translations proposed now
+ */
+export async function handlePullRequestClosed(event) {
+  const { pull_request: pullRequest } = event.payload;
+  const logger = new Logger('PR:closed');
+
+  try {
+    const closed = await closeCompanionPullRequests(event, pullRequest);
+
+    if (pullRequest.merged && isForkPullRequest(pullRequest)) {
+      const config = await getConfigWithFallback(event);
+      if (config && getDeliveryPlan(pullRequest, config).path === DELIVERY_PATHS.POST_MERGE) {
+        logger.info(`Fork PR #${pullRequest.number} was merged, proposing its translations`);
+        const result = await processPullRequest(event, pullRequest, config, { postMerge: true });
+        await postSummaryComment(event, pullRequest, result);
+        return { success: result.success, closed, result };
+      }
+    }
+
+    return { success: true, closed };
+  } catch (error) {
+    logger.error(`Error closing the companion PR of PR #${pullRequest.number}`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Run localization for a pull request and report it through the commit status,
+ * the check run and the summary comment
+ * scope optionally narrows the run (see processPullRequest)
+ */
+export async function runLocalization(event, pullRequest, config, scope = {}) {
+  const logger = new Logger(`PR:${pullRequest.number}`);
+  let checkRun = null;
+
+  try {
     // Set status check and process
     await setCommitStatus(
       event,
@@ -60,16 +186,35 @@ export async function handlePullRequestEvent(event, action) {
       'Localization processing in progress...',
       process.env[ENV_VARS.APP_NAME]
     );
+    checkRun = await startCheckRun(event, pullRequest.head.sha);
 
-    const result = await processPullRequest(event, pullRequest, config);
+    const result = await processPullRequest(event, pullRequest, config, scope);
+    await completeCheckRun(event, checkRun, result);
+    await postSummaryComment(event, pullRequest, result);
 
     // Update status check based on result
-    if (result.success) {
+    if (result.success && hasFailureIssues(result)) {
+      const failedCount = result.issues.filter(issue => issue.level === ISSUE_LEVELS.FAILURE).length;
+      await setCommitStatus(
+        event,
+        pullRequest.head.sha,
+        STATUS_STATES.FAILURE,
+        `Localization incomplete: ${failedCount} string(s) failed, see check run for details`,
+        process.env[ENV_VARS.APP_NAME]
+      );
+      logger.warn('Localization processing completed with failures', {
+        failed: failedCount
+      });
+    } else if (result.success) {
+      const warningCount = (result.issues || []).filter(issue => issue.level === ISSUE_LEVELS.WARNING).length;
+      const summary = isForkPullRequest(pullRequest)
+        ? describeForkDelivery(result)
+        : `Localization complete: ${result.changesProcessed} changes processed`;
       await setCommitStatus(
         event,
         pullRequest.head.sha,
         STATUS_STATES.SUCCESS,
-        `Localization complete: ${result.changesProcessed} changes processed`,
+        `${summary}${warningCount > 0 ? `, ${warningCount} warning(s)` : ''}`,
         process.env[ENV_VARS.APP_NAME]
       );
       logger.success('Localization processing completed successfully', {
@@ -87,17 +232,98 @@ export async function handlePullRequestEvent(event, action) {
       logger.error('Localization processing failed', result.error);
     }
 
-    timer.end();
+    return result;
   } catch (error) {
-    logger.error(`Error processing PR #${prNumber}`, error);
+    logger.error(`Error processing PR #${pullRequest.number}`, error);
     await setErrorStatus(event, pullRequest.head.sha, error);
+    await completeCheckRun(event, checkRun, { success: false, error: error.message });
+    await postSummaryComment(event, pullRequest, { success: false, error: error.message });
+    return { success: false, error: error.message, changesProcessed: 0, localesUpdated: 0 };
+  }
+}
+
+/**
+ * Translate every string missing from the target locale files of a branch and propose
+ * them in a sync pull request into that branch (see findMissingTranslations)
+ * Used by the scheduled sync and the sync endpoint; branch defaults to the default branch.
+ * A missing or invalid config skips the branch, since retrying would not help.
+ */
+export async function syncBranch(event, branch = null) {
+  const logger = new Logger('Sync');
+
+  try {
+    const targetBranch = branch || (await getRepository(event)).default_branch;
+    const config = await getConfig(event, targetBranch);
+
+    if (!config) {
+      logger.info(`No configuration on ${event.owner}/${event.repo}@${targetBranch}, nothing to sync`);
+      return { success: true, skipped: true };
+    }
+
+    if (getConfigErrors(config).length > 0) {
+      logger.warn(`Configuration on ${targetBranch} is invalid, skipping sync`);
+      return { success: true, skipped: true };
+    }
+
+    return await withLock(getBranchLockKey(event, getSyncBranch(targetBranch)), async() => {
+      const headSha = await getBranchHead(event, targetBranch);
+      const { namespaces, sourceFilesFound } = await findMissingTranslations(event, config, headSha);
+
+      if (sourceFilesFound === 0) {
+        logger.warn(`No source localization file found on ${targetBranch}, skipping sync`);
+        return { success: true, skipped: true };
+      }
+
+      if (namespaces.length === 0) {
+        logger.info(`Translations on ${event.owner}/${event.repo}@${targetBranch} are up to date`);
+        return { success: true, changesProcessed: 0 };
+      }
+
+      const { issues, error } = await translateNamespaces(event, namespaces, config, headSha);
+      if (error) {
+        return { success: false, error };
+      }
+
+      const { files, lockFile } = await buildTranslationFiles(event, namespaces, config, headSha, {
+        overwrite: config.humanEdits === HUMAN_EDIT_POLICIES.OVERWRITE
+      });
+      const changes = combineStringChanges(namespaces);
+      const commit = await createTranslationCommit(
+        event,
+        headSha,
+        [...files, lockFile],
+        generateCommitMessage(changes, config.targetLocales),
+        { skipUnchanged: true }
+      );
+
+      // Nothing changed, e.g. every missing string failed to translate
+      if (!commit) {
+        logger.warn(`Nothing could be translated for ${targetBranch}`, { issues: issues.length });
+        return { success: true, changesProcessed: 0, issues };
+      }
+
+      const pullRequest = await publishSyncPullRequest(event, targetBranch, commit.sha, namespaces);
+      const changesProcessed = Object.keys(changes.added).length + Object.keys(changes.updated).length;
+      logger.success(`Proposed ${changesProcessed} missing translation(s) in PR #${pullRequest.number}`, {
+        branch: targetBranch,
+        commitSha: commit.sha,
+        issues: issues.length
+      });
+
+      return { success: true, changesProcessed, commitSha: commit.sha, pullRequest, issues };
+    });
+  } catch (error) {
+    logger.error(`Error syncing ${event.owner}/${event.repo}`, error);
+    return { success: false, error: error.message };
   }
 }
 
 /**
  * Handle push events with functional approach
+ * Each open PR targeting the pushed branch is passed to reprocess, which runs it
+ * inline by default; the job queue passes a callback that enqueues one job per PR
  */
-export async function handlePushEvent(event) {
+export async function handlePushEvent(event, reprocess = reprocessPullRequest) {
   const { owner, repo } = event;
   const branch = event.currentBranch;
 
@@ -119,6 +345,11 @@ export async function handlePushEvent(event) {
       return;
     }
 
+    if (getConfigErrors(config).length > 0) {
+      logger.warn('Configuration is invalid, skipping re-processing of open PRs');
+      return;
+    }
+
     logger.info(
       `Push to monitored branch '${branch}' detected, checking for open PRs`
     );
@@ -141,19 +372,7 @@ export async function handlePushEvent(event) {
         `Re-processing PR #${pr.number} due to base branch changes`
       );
       try {
-        const result = await processPullRequest(event, pr, config);
-
-        if (result.success) {
-          logger.success(`Re-processed PR #${pr.number} successfully`, {
-            changesProcessed: result.changesProcessed,
-            localesUpdated: result.localesUpdated
-          });
-        } else {
-          logger.warn(
-            `Re-processing PR #${pr.number} failed`,
-            result.error
-          );
-        }
+        await reprocess(event, pr, config);
       } catch (error) {
         logger.error(`Error re-processing PR #${pr.number}`, error);
       }
@@ -162,16 +381,345 @@ export async function handlePushEvent(event) {
     timer.end();
   } catch (error) {
     logger.error('Error processing push event', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Re-process a pull request after its base branch changed and update its summary comment
+ */
+export async function reprocessPullRequest(event, pullRequest, config) {
+  const logger = new Logger('PushEvent');
+
+  // Push payloads carry no pull request, so rebuild the event from it
+  const prEvent = new WebhookEvent(event.octokit, { ...event.payload, pull_request: pullRequest });
+  const result = await processPullRequest(prEvent, pullRequest, config);
+  await postSummaryComment(prEvent, pullRequest, result);
+
+  if (result.success) {
+    logger.success(`Re-processed PR #${pullRequest.number} successfully`, {
+      changesProcessed: result.changesProcessed,
+      localesUpdated: result.localesUpdated
+    });
+  } else {
+    logger.warn(
+      `Re-processing PR #${pullRequest.number} failed`,
+      result.error
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Re-process an open pull request by number, reading its latest state and config
+ */
+export async function handlePullRequestSync(event, pullNumber) {
+  const logger = new Logger('PushEvent');
+  const pullRequest = await getPullRequest(event, pullNumber);
+
+  if (pullRequest.state !== 'open' || hasSkipLabel(pullRequest)) {
+    logger.info(`PR #${pullNumber} is closed or skipped, nothing to re-process`);
+    return { success: true, changesProcessed: 0, localesUpdated: 0 };
+  }
+
+  const prEvent = new WebhookEvent(event.octokit, { ...event.payload, pull_request: pullRequest });
+  const config = await getConfigWithFallback(prEvent);
+  if (!config) {
+    logger.warn('No configuration found, skipping localization processing');
+    return { success: true, changesProcessed: 0, localesUpdated: 0 };
+  }
+
+  return reprocessPullRequest(prEvent, pullRequest, config);
+}
+
+/**
+ * Handle "/vocoder ..." commands posted as pull request comments
+ * An edited comment only runs the commands the edit added, on behalf of whoever edited it
+ */
+export async function handleIssueCommentEvent(event) {
+  const { payload } = event;
+  const { issue, comment } = payload;
+  const sender = payload.sender || comment?.user;
+
+  // Only pull request comments from people can carry commands
+  if (!issue?.pull_request || sender?.type === 'Bot') {
+    return;
+  }
+
+  // An edit that leaves the body alone has no changes.body and adds no commands
+  const commands = payload.action === 'edited'
+    ? parseAddedCommands(comment.body, payload.changes?.body?.from ?? comment.body)
+    : parseCommands(comment.body);
+  if (commands.length === 0) {
+    return;
+  }
+
+  const logger = new Logger('Commands');
+  const username = sender.login;
+
+  try {
+    logger.info(`Received ${commands.length} command(s) from @${username} on PR #${issue.number}`, {
+      commands: commands.map(command => command.raw)
+    });
+
+    const permission = await getUserPermission(event, username);
+    if (!hasWritePermission(permission)) {
+      logger.warn(`@${username} lacks write permission (${permission}), ignoring commands`);
+      await addCommentReaction(event, comment.id, 'confused');
+      await createIssueComment(
+        event,
+        issue.number,
+        formatCommandReply(commands[0], `@${username} you need write access to this repository to run Vocoder commands.`)
+      );
+      return;
+    }
+
+    await addCommentReaction(event, comment.id, 'eyes');
+
+    // Rebuild the event from the pull request so the usual processing applies
+    const pullRequest = await getPullRequest(event, issue.number);
+    const prEvent = new WebhookEvent(event.octokit, { ...payload, pull_request: pullRequest });
+
+    const config = await getConfigWithFallback(prEvent);
+    if (!config) {
+      await createIssueComment(
+        event,
+        issue.number,
+        formatCommandReply(commands[0], `No \`${DEFAULT_CONFIG_FILE}\` found, so there is nothing to run.`)
+      );
+      return;
+    }
+
+    for (const command of commands) {
+      await runCommand(prEvent, pullRequest, config, command, username);
+    }
+  } catch (error) {
+    logger.error(`Error handling commands on PR #${issue.number}`, error);
+    await addCommentReaction(event, comment.id, 'confused');
+  }
+}
+
+/**
+ * Run a single slash command against a pull request
+ */
+async function runCommand(event, pullRequest, config, command, username) {
+  const logger = new Logger('Commands');
+  const reply = (message) => createIssueComment(event, pullRequest.number, formatCommandReply(command, message));
+
+  if (!isKnownCommand(command.name)) {
+    await reply(`Unknown command \`${command.name}\`.\n\n${getCommandHelp()}`);
+    return;
+  }
+
+  logger.info(`Running '${command.raw}' for @${username} on PR #${pullRequest.number}`);
+
+  if (command.name === COMMANDS.SKIP) {
+    await addLabels(event, pullRequest.number, [SKIP_LABEL]);
+    await setCommitStatus(
+      event,
+      pullRequest.head.sha,
+      STATUS_STATES.SUCCESS,
+      `Localization skipped by @${username}`,
+      process.env[ENV_VARS.APP_NAME]
+    );
+    await reply(`Localization skipped. Remove the \`${SKIP_LABEL}\` label to resume automatic translation.`);
+    return;
+  }
+
+  if (command.name === COMMANDS.RETRANSLATE) {
+    const [rawLocale, ...keys] = command.args;
+    const locale = rawLocale && (canonicalizeLocale(rawLocale) || rawLocale);
+
+    if (locale && !config.targetLocales.includes(locale)) {
+      await reply(`\`${locale}\` is not a target locale. Configured locales: ${config.targetLocales.join(', ')}.`);
+      return;
+    }
+
+    const scope = {
+      ...(locale && { locales: [locale] }),
+      ...(keys.length > 0 && { keys })
+    };
+    const result = await runLocalization(event, pullRequest, config, scope);
+    await reply(formatRunReply(result));
+    return;
+  }
+
+  if (command.name === COMMANDS.SYNC) {
+    const [rawLocale] = command.args;
+    const locale = rawLocale && (canonicalizeLocale(rawLocale) || rawLocale);
+
+    if (locale && !config.targetLocales.includes(locale)) {
+      await reply(`\`${locale}\` is not a target locale. Configured locales: ${config.targetLocales.join(', ')}.`);
+      return;
+    }
+
+    const result = await runLocalization(event, pullRequest, config, {
+      ...(locale && { locales: [locale] }),
+      sync: true
+    });
+    await reply(formatRunReply(result));
+    return;
+  }
+
+  if (command.name === COMMANDS.ADD_LOCALE) {
+    const locale = command.args[0] && canonicalizeLocale(command.args[0]);
+
+    if (!locale) {
+      await reply(`Please provide a valid locale, e.g. \`${COMMAND_PREFIX} ${COMMANDS.ADD_LOCALE} de\`.`);
+      return;
+    }
+
+    if (locale === toCanonicalLocale(config.sourceLocale)) {
+      await reply(`\`${locale}\` is the source locale and cannot be a target locale.`);
+      return;
+    }
+
+    if (config.targetLocales.map(toCanonicalLocale).includes(locale)) {
+      await reply(`\`${locale}\` is already a target locale.`);
+      return;
+    }
+
+    // Persist the new locale in the config as part of the translation commit
+    const configFile = await buildConfigWithLocale(event, pullRequest.head.sha, locale, config);
+    const result = await runLocalization(event, pullRequest, config, {
+      locales: [locale],
+      full: true,
+      extraFiles: [configFile]
+    });
+    await reply(formatRunReply(result));
   }
 }
 
+/**
+ * Build the updated config file with an additional target locale
+ * Locales inherited from the organization config are written out so none are lost
+ */
+async function buildConfigWithLocale(event, ref, locale, config) {
+  const rawConfig = await getRawFileContent(event, DEFAULT_CONFIG_FILE, ref);
+  const repoConfig = rawConfig ? JSON.parse(rawConfig) : {};
+  const targetLocales = Array.isArray(repoConfig.targetLocales)
+    ? repoConfig.targetLocales
+    : [...config.targetLocales];
+
+  return {
+    path: DEFAULT_CONFIG_FILE,
+    content: `${JSON.stringify({ ...repoConfig, targetLocales: [...targetLocales, locale] }, null, 2)}\n`
+  };
+}
+
+/**
+ * Summarize a command-triggered run for the reply comment
+ */
+function formatRunReply(result) {
+  if (!result.success) {
+    return `❌ Localization failed: ${result.error}`;
+  }
+
+  if (result.delivery === DELIVERY_PATHS.SUGGEST) {
+    return `✅ Translations posted as suggested changes (${result.changesProcessed} strings).`;
+  }
+
+  if (!result.commitSha) {
+    return `✅ ${result.message || 'Nothing to translate.'}`;
+  }
+
+  if (result.companionPullRequest) {
+    return `✅ Translations proposed in #${result.companionPullRequest.number} (${result.changesProcessed} strings).`;
+  }
+
+  return `✅ Translations committed in ${result.commitSha} (${result.changesProcessed} strings).`;
+}
+
 /**
  * Main processing function for pull requests
+ * Holds the PR branch lock for the whole run. If someone pushes to the branch while
+ * translations are in flight, the commit is not applied; the diff is redone on the
+ * new head and committed again, up to MAX_COMMIT_ATTEMPTS times.
+ * scope is set by slash commands:
+ *   locales - only translate into these locales
+ *   keys - retranslate these keys from the current source whether or not they changed
+ *   full - translate every source string (used when a locale is added)
+ *   extraFiles - additional files to include in the translation commit
+ *   sync - translate every string missing from the target locale files instead of the diff
+ * and by handlePullRequestClosed:
+ *   postMerge - translate a merged fork PR onto its merge commit
+ * Pull requests from forks are delivered according to the forks policy.
+ * Failures that would repeat on every attempt (an invalid config, no source file) are
+ * marked final, so the job queue does not retry them.
  */
-export async function processPullRequest(event, pullRequest, config) {
+export async function processPullRequest(event, pullRequest, config, scope = {}) {
+  const logger = new Logger('Events');
+
+  // An invalid config fails the run with its errors annotated on the config file
+  const configErrors = getConfigErrors(config);
+  if (configErrors.length > 0) {
+    logger.warn(`PR #${pullRequest.number} has an invalid configuration`, { errors: configErrors.length });
+    return {
+      success: false,
+      error: `Invalid configuration: ${configErrors.length} error(s), see the check run for details`,
+      final: true,
+      issues: config.configIssues,
+      changesProcessed: 0,
+      localesUpdated: 0,
+      config
+    };
+  }
+
+  const plan = getDeliveryPlan(pullRequest, config, { postMerge: scope.postMerge });
+  if (plan.path === DELIVERY_PATHS.POST_MERGE) {
+    logger.info(`PR #${pullRequest.number} comes from a fork, translations will be proposed after merge`);
+    return {
+      success: true,
+      changesProcessed: 0,
+      localesUpdated: 0,
+      delivery: plan.path,
+      message: 'This pull request comes from a fork; translations will be proposed in a new pull request once it is merged',
+      config
+    };
+  }
+
+  // Fork branch names live in another repository and may match a branch of this one
+  const lockBranch = isForkPullRequest(pullRequest) ? `pull/${pullRequest.number}` : event.headBranch;
+
+  const result = await withLock(getBranchLockKey(event, lockBranch), async() => {
+    let current = pullRequest;
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await processPullRequestHead(event, current, config, scope);
+      if (!result.conflict || attempt >= MAX_COMMIT_ATTEMPTS) {
+        return result;
+      }
+
+      const headSha = await getBranchHead(event, event.headBranch);
+      logger.warn(`PR #${pullRequest.number} branch moved, redoing localization on ${headSha}`, {
+        attempt,
+        previousHeadSha: current.head.sha
+      });
+      current = { ...current, head: { ...current.head, sha: headSha } };
+    }
+  });
+
+  // Deprecation warnings are reported alongside the run
+  const configWarnings = config.configIssues || [];
+  return {
+    ...result,
+    ...(configWarnings.length > 0 && { issues: [...configWarnings, ...(result.issues || [])] }),
+    config
+  };
+}
+
+/**
+ * Detect, translate and commit string changes for one PR head
+ */
+async function processPullRequestHead(event, pullRequest, config, scope) {
   const logger = new Logger('Events');
   const timer = logger.time('Processing pull request');
 
+  if (scope.locales) {
+    config = { ...config, targetLocales: scope.locales };
+  }
+
   try {
     logger.info(`Processing PR #${pullRequest.number}`, {
       baseBranch: event.baseBranch,
@@ -179,42 +727,24 @@ export async function processPullRequest(event, pullRequest, config) {
       headSha: pullRequest.head.sha
     });
 
-    // Get source file content from both branches
-    const [sourceContent, baseContent] = await Promise.all([
-      getFileContent(event, config.sourceFile, pullRequest.head.sha),
-      getFileContent(event, config.sourceFile, pullRequest.base.sha)
-    ]);
+    // A sync compares the target files with the source instead of diffing the source
+    const { namespaces, sourceFilesFound } = scope.sync
+      ? await findMissingTranslations(event, config, pullRequest.head.sha)
+      : await detectPullRequestChanges(event, pullRequest, config, scope);
 
-    if (!sourceContent) {
+    if (sourceFilesFound === 0) {
       return {
         success: false,
         error: 'No source localization file found in PR branch',
+        final: true,
         changesProcessed: 0,
         localesUpdated: 0
       };
     }
 
-    if (!baseContent) {
-      return {
-        success: false,
-        error: 'No source localization file found in base branch',
-        changesProcessed: 0,
-        localesUpdated: 0
-      };
-    }
+    const changes = combineStringChanges(namespaces);
 
-    logger.success(`Found source file: ${config.sourceFile}`, {
-      stringCount: Object.keys(sourceContent).length
-    });
-
-    // Compare source strings to detect changes
-    const changes = detectStringChanges(baseContent, sourceContent);
-
-    if (
-      Object.keys(changes.added).length === 0 &&
-      Object.keys(changes.updated).length === 0 &&
-      Object.keys(changes.deleted).length === 0
-    ) {
+    if (namespaces.length === 0) {
       logger.info(
         'No string changes detected, skipping translation processing'
       );
@@ -222,52 +752,78 @@ export async function processPullRequest(event, pullRequest, config) {
         success: true,
         changesProcessed: 0,
         localesUpdated: 0,
-        message: 'No changes detected'
+        message: scope.sync ? 'All translations are up to date' : 'No changes detected'
       };
     }
 
     logger.info('String changes detected', {
+      namespaces: namespaces.map(({ namespace }) => namespace),
       added: Object.keys(changes.added).length,
       updated: Object.keys(changes.updated).length,
       deleted: Object.keys(changes.deleted).length
     });
 
-    // Send changes to translation API
-    const translationTimer = logger.time('Translation API call');
-    const translations = await translateChanges(
-      changes,
-      config.projectApiKey,
-      config.targetLocales
-    );
-    translationTimer.end();
-
-    if (!translations) {
-      return {
-        success: false,
-        error: 'Translation API call failed',
-        changesProcessed: 0,
-        localesUpdated: 0
-      };
+    const { issues, memory, error } = await translateNamespaces(event, namespaces, config, pullRequest.head.sha);
+    if (error) {
+      return { success: false, error, changesProcessed: 0, localesUpdated: 0 };
     }
 
-    // Commit translation files directly to PR branch
+    // Commit all namespace translation files to the PR branch in a single commit
     const commitResult = await commitTranslationsToPR(
       event,
       pullRequest,
-      translations,
-      config.outputDir,
-      changes
+      namespaces,
+      config,
+      {
+        extraFiles: scope.extraFiles,
+        postMerge: scope.postMerge,
+        // Retranslating specific keys is an explicit request to replace them
+        overwriteHumanEdits: Boolean(scope.keys)
+      }
     );
 
     if (!commitResult.success) {
       return {
         success: false,
         error: commitResult.error,
+        conflict: commitResult.conflict,
         changesProcessed: 0,
-        languagesUpdated: 0
+        localesUpdated: 0
       };
     }
 
+    // Human-edited values were kept: report them and leave them out of the summary tables
+    // A sync has one namespace per source file and locale, so both must match
+    for (const item of commitResult.preserved) {
+      const namespace = namespaces.find(({ sourceFile, translations }) =>
+        sourceFile === item.sourceFile && item.locale in translations
+      );
+      delete namespace.translations[item.locale][item.key];
+
+      issues.push({
+        type: 'stale',
+        level: ISSUE_LEVELS.WARNING,
+        sourceFile: item.sourceFile,
+        key: item.key,
+        locale: item.locale,
+        message: `Kept the human translation "${item.existingValue}" in ${item.path}, but the source changed. Machine suggestion: "${item.machineValue}"`
+      });
+    }
+
+    if (commitResult.delivery === DELIVERY_PATHS.SUGGEST) {
+      await postForkSuggestions(event, pullRequest, commitResult.suggestedFiles);
+    }
+
+    // Suggestions go where the translation files changed: the companion PR, if any
+    if (config.humanEdits === HUMAN_EDIT_POLICIES.SUGGEST && commitResult.preserved.length > 0) {
+      await postTranslationSuggestions(
+        event,
+        commitResult.companionPullRequest || pullRequest,
+        commitResult.commitSha || pullRequest.head.sha,
+        commitResult.preserved
+      );
+    }
+
     timer.end();
 
     return {
@@ -276,7 +832,13 @@ export async function processPullRequest(event, pullRequest, config) {
         Object.keys(changes.added).length +
         Object.keys(changes.updated).length +
         Object.keys(changes.deleted).length,
-      localesUpdated: Object.keys(translations).length,
+      localesUpdated: config.targetLocales.length,
+      commitSha: commitResult.commitSha,
+      companionPullRequest: commitResult.companionPullRequest,
+      delivery: commitResult.delivery,
+      namespaces,
+      issues,
+      memory: memory?.getStats(),
       message: `Successfully processed ${
         Object.keys(changes.added).length
       } additions, ${Object.keys(changes.updated).length} updates, and ${
@@ -294,6 +856,170 @@ export async function processPullRequest(event, pullRequest, config) {
   }
 }
 
+/**
+ * Diff the source files of a PR head against its base, one namespace per changed source file
+ * With scope.full or scope.keys, the current strings are used instead of the diff
+ */
+async function detectPullRequestChanges(event, pullRequest, config, scope) {
+  const logger = new Logger('Events');
+
+  // Resolve source files on both sides so added and removed namespaces are seen
+  const [headSourceFiles, baseSourceFiles] = await Promise.all([
+    resolveSourceFiles(event, config.sourceFiles, pullRequest.head.sha),
+    resolveSourceFiles(event, config.sourceFiles, pullRequest.base.sha)
+  ]);
+  const sourceFilePaths = [...new Set([...headSourceFiles, ...baseSourceFiles])];
+
+  const namespaces = [];
+  let sourceFilesFound = 0;
+
+  for (const sourceFile of sourceFilePaths) {
+    // Get source file content from both branches
+    const fileOptions = { format: config.format, locale: config.sourceLocale, isSource: true };
+    const [sourceContent, baseContent] = await Promise.all([
+      getLocaleFile(event, sourceFile, pullRequest.head.sha, fileOptions),
+      getLocaleFile(event, sourceFile, pullRequest.base.sha, fileOptions)
+    ]);
+
+    if (!sourceContent) {
+      logger.warn(`Source file ${sourceFile} not found in PR branch, skipping`);
+      continue;
+    }
+
+    sourceFilesFound++;
+    logger.success(`Found source file: ${sourceFile}`, {
+      format: sourceContent.format,
+      stringCount: Object.keys(sourceContent.strings).length,
+      isNew: !baseContent
+    });
+
+    // Compare source strings to detect changes (a new file is all additions)
+    const changes = scope.full || scope.keys
+      ? createScopedChanges(sourceContent.strings, scope)
+      : detectStringChanges(baseContent?.strings || {}, sourceContent.strings);
+
+    if (hasStringChanges(changes)) {
+      namespaces.push({
+        sourceFile,
+        namespace: getNamespace(sourceFile),
+        source: sourceContent,
+        changes
+      });
+    }
+  }
+
+  return { namespaces, sourceFilesFound };
+}
+
+/**
+ * Translate the changes of every namespace and check the translations
+ * A namespace with locales is only translated into those locales (see findMissingTranslations)
+ * Returns { issues, memory, error }, where error is set when the provider call failed
+ */
+async function translateNamespaces(event, namespaces, config, ref) {
+  const logger = new Logger('Events');
+
+  // Send changes to translation API, one namespace at a time
+  const issues = [];
+  const memory = config.translationMemory.enabled
+    ? createTranslationMemory({
+      // Shared by the repositories of one account, never across accounts
+      directory: path.join(process.env[ENV_VARS.TRANSLATION_MEMORY_DIR] || DEFAULT_MEMORY_DIR, event.owner),
+      fuzzyThreshold: config.translationMemory.fuzzyThreshold
+    })
+    : null;
+  const glossary = await getGlossary(event, config, ref);
+  const contextFile = await getContextFile(event, config, ref);
+  const translationTimer = logger.time('Translation API call');
+  for (const namespace of namespaces) {
+    const failures = [];
+    const matches = [];
+    const violations = [];
+    const localeConfig = namespace.locales ? { ...config, targetLocales: namespace.locales } : config;
+    const nestedPlurals = usesNestedPlurals(config, namespace.source.format);
+
+    // The forms of a plural group are translated together; descriptions are only context
+    namespace.changes = removeDescriptionKeys(
+      expandPluralChanges(namespace.changes, namespace.source.strings, { nested: nestedPlurals }),
+      namespace.source.strings
+    );
+    namespace.context = getNamespaceContext(namespace.namespace, namespace.source, contextFile);
+    namespace.translations = await translateChanges(namespace.changes, localeConfig, {
+      failures,
+      memory,
+      matches,
+      glossary,
+      context: namespace.context,
+      constraints: getNamespaceConstraints(
+        namespace.namespace,
+        namespace.source.strings,
+        config.constraints,
+        namespace.context,
+        { nested: nestedPlurals }
+      ),
+      violations,
+      nestedPlurals
+    });
+    issues.push(...failures.map(failure => ({
+      ...failure,
+      type: 'translation',
+      level: ISSUE_LEVELS.FAILURE,
+      sourceFile: namespace.sourceFile
+    })));
+
+    // Fuzzy matches come from a slightly different source text, so they are only suggestions
+    issues.push(...matches.filter(match => !match.exact).map(match => ({
+      type: 'memory',
+      level: ISSUE_LEVELS.NOTICE,
+      sourceFile: namespace.sourceFile,
+      key: match.key,
+      locale: match.locale,
+      message: `Suggested a ${Math.round(match.score * 100)}% translation memory match for "${match.source}": "${match.target}"`
+    })));
+
+    if (!namespace.translations) {
+      return { issues, memory, error: 'Translation API call failed' };
+    }
+
+    // Strings too long for their button or notification are committed, but fail the check
+    issues.push(...violations.map(violation => ({
+      ...violation,
+      type: 'constraint',
+      level: ISSUE_LEVELS.FAILURE,
+      sourceFile: namespace.sourceFile
+    })));
+
+    // Keep translations that broke placeholders, ICU structure or HTML tags out of the commit
+    const sources = addPluralSources(
+      { ...namespace.changes.added, ...namespace.changes.updated },
+      namespace.translations,
+      { nested: nestedPlurals }
+    );
+    const integrity = validateTranslations(
+      sources,
+      namespace.translations,
+      config.integrity
+    );
+    namespace.translations = integrity.translations;
+    issues.push(...integrity.issues.map(issue => ({
+      ...issue,
+      type: 'integrity',
+      sourceFile: namespace.sourceFile
+    })));
+
+    // Brand names and product terms must follow the glossary
+    const glossaryIssues = verifyGlossary(glossary, sources, namespace.translations);
+    issues.push(...glossaryIssues.map(issue => ({
+      ...issue,
+      type: 'glossary',
+      sourceFile: namespace.sourceFile
+    })));
+  }
+  translationTimer.end();
+
+  return { issues, memory, error: null };
+}
+
 /**
  * Set error status for failed operations
  */
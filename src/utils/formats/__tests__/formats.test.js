@@ -0,0 +1,201 @@
+import { describe, expect, test } from '@jest/globals';
+import { getFormatAdapter, parseLocaleFile, serializeLocaleFile } from '../index.js';
+
+const SAMPLES = {
+  'en.json': [
+    '{',
+    '  "home": {',
+    '    "title": "Welcome",',
+    '    "items_one": "{{count}} item",',
+    '    "items_other": "{{count}} items"',
+    '  }',
+    '}',
+    ''
+  ],
+  'en.arb': [
+    '{',
+    '  "@@locale": "en",',
+    '  "title": "Welcome",',
+    '  "@title": {',
+    '    "description": "Home title"',
+    '  }',
+    '}',
+    ''
+  ],
+  'en.yml': [
+    'en:',
+    '  # Home page',
+    '  home:',
+    '    title: Welcome',
+    '    greeting: "Hello, %{name}"',
+    ''
+  ],
+  'strings.xml': [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    '  <!-- Home -->',
+    '  <string name="title">Welcome &amp; hi</string>',
+    '  <plurals name="items">',
+    '    <item quantity="one">%d item</item>',
+    '    <item quantity="other">%d items</item>',
+    '  </plurals>',
+    '</resources>',
+    ''
+  ],
+  'en.strings': [
+    '/* Home title */',
+    '"title" = "Welcome";',
+    '"quote" = "Say \\"hi\\"";',
+    ''
+  ],
+  'en.xlf': [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    '  <file source-language="en" target-language="en" datatype="plaintext" original="messages">',
+    '    <body>',
+    '      <trans-unit id="title">',
+    '        <source>Welcome home</source>',
+    '      </trans-unit>',
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ],
+  'messages.po': [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Language: en\\n"',
+    '',
+    '#. Home title',
+    'msgid "Welcome"',
+    'msgstr "Welcome"',
+    ''
+  ]
+};
+
+const parseSample = (file) => parseLocaleFile(SAMPLES[file].join('\n'), file, { locale: 'en' });
+const translate = (strings, prefix) =>
+  Object.fromEntries(Object.entries(strings).map(([key, value]) => [key, `${prefix} ${value}`]));
+
+describe('format adapters', () => {
+  test.each(Object.keys(SAMPLES))('%s: translated strings survive serializing and parsing', (file) => {
+    const source = parseSample(file);
+    const translated = translate(source.strings, '[FR]');
+    const targetFile = file.replace(/^en\./, 'fr.');
+
+    const content = serializeLocaleFile(translated, targetFile, { locale: 'fr', source });
+
+    expect(parseLocaleFile(content, targetFile, { locale: 'fr' }).strings).toEqual(translated);
+  });
+
+  test.each(['en.json', 'en.arb', 'en.yml', 'strings.xml', 'messages.po'])('%s: an unchanged file is written back as is', (file) => {
+    const parsed = parseSample(file);
+
+    expect(serializeLocaleFile(parsed.strings, file, { locale: 'en', template: parsed, source: parsed }))
+      .toBe(SAMPLES[file].join('\n'));
+  });
+
+  test('writes new Android strings with the indentation of the template', () => {
+    const source = parseSample('strings.xml');
+
+    const content = serializeLocaleFile({ ...source.strings, 'tabs.0': 'Home' }, 'strings.xml', { locale: 'fr', source });
+
+    expect(content).toContain('\n  <string-array name="tabs">\n    <item>Home</item>\n  </string-array>\n');
+  });
+
+  test('writes XLIFF targets with the markup of their source', () => {
+    const content = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      '  <file source-language="en" target-language="fr" datatype="plaintext" original="messages">',
+      '    <body>',
+      '      <trans-unit id="title">',
+      '        <source>Welcome <b>home</b> &amp; hi</source>',
+      '        <target>Bienvenue <b>chez vous</b> &amp; salut</target>',
+      '      </trans-unit>',
+      '    </body>',
+      '  </file>',
+      '</xliff>',
+      ''
+    ].join('\n');
+    const parsed = parseLocaleFile(content, 'fr.xlf', { locale: 'fr' });
+
+    expect(parsed.strings).toEqual({ title: 'Bienvenue <b>chez vous</b> & salut' });
+    expect(serializeLocaleFile(parsed.strings, 'fr.xlf', { locale: 'fr', template: parsed })).toBe(content);
+  });
+
+  test('flattens nested keys and keeps metadata out of the strings', () => {
+    expect(parseSample('en.json').strings).toEqual({
+      'home.title': 'Welcome',
+      'home.items_one': '{{count}} item',
+      'home.items_other': '{{count}} items'
+    });
+    expect(parseSample('en.arb').strings).toEqual({ title: 'Welcome' });
+    expect(parseSample('strings.xml').strings).toEqual({
+      title: 'Welcome & hi',
+      'items.one': '%d item',
+      'items.other': '%d items'
+    });
+  });
+
+  test('keeps comments and descriptions of the template in a new locale', () => {
+    const yaml = serializeLocaleFile({ 'home.title': 'Bienvenue' }, 'fr.yml', { locale: 'fr', source: parseSample('en.yml') });
+    const arb = serializeLocaleFile({ title: 'Bienvenue' }, 'fr.arb', { locale: 'fr', source: parseSample('en.arb') });
+
+    expect(yaml).toContain('fr:\n  # Home page\n');
+    expect(JSON.parse(arb)).toEqual({ '@@locale': 'fr', title: 'Bienvenue', '@title': { description: 'Home title' } });
+  });
+
+  test('translates gettext plurals into the forms of the target language', () => {
+    const template = parseLocaleFile([
+      'msgid ""',
+      'msgstr ""',
+      '"Language: en\\n"',
+      '"Plural-Forms: nplurals=2; plural=(n != 1);\\n"',
+      '',
+      'msgid "One file"',
+      'msgid_plural "%d files"',
+      'msgstr[0] ""',
+      'msgstr[1] ""',
+      ''
+    ].join('\n'), 'messages.pot', { locale: 'en' });
+    const [key] = Object.keys(template.strings);
+    const message = '{count, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}';
+
+    const content = serializeLocaleFile({ [key]: message }, 'pl.po', { locale: 'pl', source: template });
+
+    expect(content).toContain('"Plural-Forms: nplurals=3;');
+    expect(content).toContain('msgstr[0] "# plik"');
+    expect(content).toContain('msgstr[2] "# plików"');
+  });
+
+  test('reads untranslated gettext entries of a target catalog as missing and keeps them', () => {
+    const content = [
+      'msgid ""',
+      'msgstr ""',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '"Language: fr\\n"',
+      '',
+      'msgid "Welcome"',
+      'msgstr "Bienvenue"',
+      '',
+      'msgid "Goodbye"',
+      'msgstr ""',
+      ''
+    ].join('\n');
+    const catalog = parseLocaleFile(content, 'fr.po', { locale: 'fr' });
+
+    expect(catalog.strings).toEqual({ Welcome: 'Bienvenue' });
+    expect(parseLocaleFile(content, 'fr.po', { locale: 'fr', isSource: true }).strings.Goodbye).toBe('Goodbye');
+    expect(parseLocaleFile(content, 'messages.pot', { locale: 'fr' }).strings.Goodbye).toBe('Goodbye');
+    expect(serializeLocaleFile(catalog.strings, 'fr.po', { locale: 'fr', template: catalog })).toBe(content);
+  });
+
+  test('picks the adapter from the config format before the extension', () => {
+    expect(getFormatAdapter('strings.xml').name).toBe('android');
+    expect(getFormatAdapter('strings.xml', 'xliff').name).toBe('xliff');
+    expect(getFormatAdapter('unknown.txt').name).toBe('json');
+    expect(() => getFormatAdapter('en.json', 'csv')).toThrow('Unsupported file format: csv');
+  });
+});
@@ -0,0 +1,193 @@
+import { escapeXml, orderKeys, parseXmlAttributes, unescapeXml } from './shared.js';
+
+import { FILE_FORMATS } from '../constants.js';
+
+const RESOURCE_TOKEN_PATTERN =
+  /<!--[\s\S]*?-->|<(string|plurals|string-array)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+const ITEM_PATTERN = /<item\b([^>]*)>([\s\S]*?)<\/item>/g;
+const INLINE_TAG_PATTERN = /(<\/?(?:b|i|u|s|strike|big|small|sup|sub|tt|font|a|annotation|span|br|xliff:g)\b[^>]*>)/;
+const DEFAULT_PROLOG = '<?xml version="1.0" encoding="utf-8"?>\n<resources>';
+const DEFAULT_INDENT = '    ';
+
+/**
+ * Android strings.xml adapter
+ * <string> entries map to their name, <plurals> items to "name.quantity" and
+ * <string-array> items to "name.index"; strings marked translatable="false" are not translated
+ */
+export const androidFormat = {
+  name: FILE_FORMATS.ANDROID,
+
+  parse(content) {
+    const strings = {};
+    const resources = [];
+    let pendingComments = [];
+
+    for (const match of content.matchAll(RESOURCE_TOKEN_PATTERN)) {
+      const [token, element, rawAttributes, body = ''] = match;
+
+      if (!element) {
+        pendingComments.push(token);
+        continue;
+      }
+
+      const attributes = parseXmlAttributes(rawAttributes);
+      const resource = { element, name: attributes.name, rawAttributes, comments: pendingComments, keys: [] };
+      pendingComments = [];
+
+      if (attributes.translatable === 'false') {
+        resource.translatable = false;
+      } else if (element === 'string') {
+        resource.keys.push(attributes.name);
+        strings[attributes.name] = unescapeAndroid(body);
+      } else {
+        let index = 0;
+        for (const [, itemAttributes, itemBody] of body.matchAll(ITEM_PATTERN)) {
+          const suffix = element === 'plurals' ? parseXmlAttributes(itemAttributes).quantity : index++;
+          const key = `${attributes.name}.${suffix}`;
+          resource.keys.push(key);
+          strings[key] = unescapeAndroid(itemBody);
+        }
+      }
+
+      resources.push(resource);
+    }
+
+    const prolog = content.match(/^[\s\S]*?<resources\b[^>]*>/)?.[0] || DEFAULT_PROLOG;
+    // Written back with the indentation of the template
+    const indent = content.match(/\n([ \t]+)<(?:string|plurals|string-array|!--)\b/)?.[1] ?? DEFAULT_INDENT;
+    const itemIndent = content.match(/\n([ \t]+)<item\b/)?.[1] ?? indent.repeat(2);
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        resources,
+        prolog,
+        indent,
+        itemIndent,
+        trailingComments: pendingComments
+      }
+    };
+  },
+
+  serialize(strings, { template } = {}) {
+    const {
+      keys,
+      resources = [],
+      prolog = DEFAULT_PROLOG,
+      indent = DEFAULT_INDENT,
+      itemIndent = indent.repeat(2),
+      trailingComments = []
+    } = template?.metadata || {};
+    const layout = { indent, itemIndent };
+    const remaining = new Set(orderKeys(strings, keys));
+    const lines = [prolog];
+
+    for (const resource of resources) {
+      const presentKeys = resource.keys.filter(key => remaining.has(key));
+      if (resource.translatable === false || presentKeys.length === 0) {
+        continue;
+      }
+
+      presentKeys.forEach(key => remaining.delete(key));
+      lines.push(...resource.comments.map(comment => `${indent}${comment}`));
+      lines.push(serializeResource(resource, presentKeys, strings, layout));
+    }
+
+    // Keys the template does not know about
+    for (const group of groupNewKeys([...remaining])) {
+      lines.push(serializeResource(group, group.keys, strings, layout));
+    }
+
+    lines.push(...trailingComments.map(comment => `${indent}${comment}`));
+    lines.push('</resources>');
+
+    return `${lines.join('\n')}\n`;
+  }
+};
+
+function serializeResource({ element, name, rawAttributes }, keys, strings, { indent, itemIndent }) {
+  const attributes = rawAttributes ?? ` name="${escapeXml(name)}"`;
+
+  if (element === 'string') {
+    return `${indent}<string${attributes}>${escapeAndroid(strings[keys[0]])}</string>`;
+  }
+
+  const items = keys.map(key => {
+    const suffix = key.slice(name.length + 1);
+    const itemAttributes = element === 'plurals' ? ` quantity="${suffix}"` : '';
+    return `${itemIndent}<item${itemAttributes}>${escapeAndroid(strings[key])}</item>`;
+  });
+
+  return [`${indent}<${element}${attributes}>`, ...items, `${indent}</${element}>`].join('\n');
+}
+
+/**
+ * Group keys without a template entry back into plurals and string arrays
+ */
+function groupNewKeys(keys) {
+  const groups = [];
+  const byName = {};
+
+  for (const key of keys) {
+    const match = key.match(/^(.+)\.(zero|one|two|few|many|other|\d+)$/);
+    if (!match) {
+      groups.push({ element: 'string', name: key, keys: [key] });
+      continue;
+    }
+
+    const [, name, suffix] = match;
+    if (!byName[name]) {
+      byName[name] = { element: /^\d+$/.test(suffix) ? 'string-array' : 'plurals', name, keys: [] };
+      groups.push(byName[name]);
+    }
+    byName[name].keys.push(key);
+  }
+
+  return groups;
+}
+
+function unescapeAndroid(body) {
+  const cdata = body.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+  if (cdata) {
+    return cdata[1];
+  }
+
+  let value = body.trim();
+  if (/^"[\s\S]*"$/.test(value)) {
+    value = value.slice(1, -1);
+  }
+
+  return value
+    .split(INLINE_TAG_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : unescapeXml(part)))
+    .join('')
+    .replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, char) => {
+      if (char.length === 5) return String.fromCharCode(parseInt(char.slice(1), 16));
+      if (char === 'n') return '\n';
+      if (char === 't') return '\t';
+      return char;
+    });
+}
+
+function escapeAndroid(value) {
+  return String(value)
+    .split(INLINE_TAG_PATTERN)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        return part;
+      }
+
+      return part
+        .replace(/\\/g, '\\\\')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/'/g, '\\\'')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t');
+    })
+    .join('')
+    .replace(/^([@?])/, '\\$1');
+}
@@ -0,0 +1,60 @@
+import { detectIndent, hasTrailingNewline, orderKeys } from './shared.js';
+
+import { FILE_FORMATS } from '../constants.js';
+
+/**
+ * Flutter Application Resource Bundle adapter
+ * "@key" entries hold per-message metadata and "@@locale" names the file's locale
+ */
+export const arbFormat = {
+  name: FILE_FORMATS.ARB,
+
+  parse(content) {
+    const document = JSON.parse(content);
+    const strings = {};
+    const attributes = {};
+
+    for (const [key, value] of Object.entries(document)) {
+      if (key.startsWith('@')) {
+        attributes[key] = value;
+      } else {
+        strings[key] = value;
+      }
+    }
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        attributes,
+        indent: detectIndent(content),
+        trailingNewline: hasTrailingNewline(content)
+      }
+    };
+  },
+
+  serialize(strings, { template, locale } = {}) {
+    const { keys, attributes = {}, indent = '  ', trailingNewline = true } = template?.metadata || {};
+    const document = {};
+
+    if (locale) {
+      document['@@locale'] = locale;
+    }
+
+    // Keep file-level attributes such as @@context or @@last_modified
+    for (const [key, value] of Object.entries(attributes)) {
+      if (key.startsWith('@@') && key !== '@@locale') {
+        document[key] = value;
+      }
+    }
+
+    for (const key of orderKeys(strings, keys)) {
+      document[key] = strings[key];
+      if (attributes[`@${key}`]) {
+        document[`@${key}`] = attributes[`@${key}`];
+      }
+    }
+
+    return `${JSON.stringify(document, null, indent)}${trailingNewline ? '\n' : ''}`;
+  }
+};
@@ -0,0 +1,114 @@
+import { FILE_FORMATS, FORMAT_EXTENSIONS } from '../constants.js';
+
+import { androidFormat } from './android.js';
+import { arbFormat } from './arb.js';
+import { jsonFormat } from './json.js';
+import { poFormat } from './po.js';
+import { stringsFormat } from './strings.js';
+import { xliffFormat } from './xliff.js';
+import { yamlFormat } from './yaml.js';
+
+const FORMAT_ADAPTERS = {
+  [FILE_FORMATS.ANDROID]: androidFormat,
+  [FILE_FORMATS.ARB]: arbFormat,
+  [FILE_FORMATS.JSON]: jsonFormat,
+  [FILE_FORMATS.PO]: poFormat,
+  [FILE_FORMATS.STRINGS]: stringsFormat,
+  [FILE_FORMATS.XLIFF]: xliffFormat,
+  [FILE_FORMATS.YAML]: yamlFormat
+};
+
+/**
+ * Get the lowercase extension of a file path (without the dot)
+ */
+export function getFileExtension(filePath) {
+  const fileName = filePath.split('/').pop();
+  return fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+}
+
+/**
+ * Get the extension used for translated files of a source file
+ * Templates such as messages.pot are translated into .po catalogs
+ */
+export function getOutputExtension(sourceFilePath) {
+  const extension = getFileExtension(sourceFilePath);
+  return extension === 'pot' ? 'po' : extension;
+}
+
+/**
+ * Pick the format adapter for a file
+ * An explicit format (from config) wins over the file extension; JSON is the fallback
+ */
+export function getFormatAdapter(filePath, format = null) {
+  if (format) {
+    const adapter = FORMAT_ADAPTERS[format];
+    if (!adapter) {
+      throw new Error(`Unsupported file format: ${format}`);
+    }
+    return adapter;
+  }
+
+  return FORMAT_ADAPTERS[FORMAT_EXTENSIONS[getFileExtension(filePath)]] || jsonFormat;
+}
+
+/**
+ * Parse a localization file into flat key/value strings plus format metadata
+ * isSource marks a source file, which formats with untranslated entries (PO) read like a
+ * template; .pot files always are templates
+ */
+export function parseLocaleFile(content, filePath, { format, locale, isSource = false } = {}) {
+  const adapter = getFormatAdapter(filePath, format);
+  const isTemplate = isSource || getFileExtension(filePath) === 'pot';
+  return { format: adapter.name, content, ...adapter.parse(content, { locale, isTemplate }) };
+}
+
+/**
+ * Find the 1-based line of a flat key in a localization file
+ * Nested keys are located segment by segment; falls back to the first line
+ */
+export function findKeyLine(content, key) {
+  if (!content) {
+    return 1;
+  }
+
+  const lines = content.split('\n');
+  const fullKeyLine = lines.findIndex(line => containsKey(line, key));
+  if (fullKeyLine !== -1) {
+    return fullKeyLine + 1;
+  }
+
+  let lineIndex = 0;
+  for (const segment of key.split('.')) {
+    const found = lines.findIndex((line, index) => index >= lineIndex && containsKey(line, segment));
+    if (found === -1) {
+      return lineIndex + 1;
+    }
+    lineIndex = found;
+  }
+
+  return lineIndex + 1;
+}
+
+/**
+ * Serialize flat key/value strings into a localization file
+ * template is the parsed document whose comments and ordering should be kept
+ * (the existing target file, or the source file for a new locale)
+ */
+export function serializeLocaleFile(strings, filePath, { format, locale, template, source } = {}) {
+  const adapter = getFormatAdapter(filePath, format);
+
+  // A template in another format carries no usable layout
+  const usableTemplate = template?.format === adapter.name ? template : null;
+  const usableSource = source?.format === adapter.name ? source : null;
+
+  return adapter.serialize(strings, {
+    locale,
+    template: usableTemplate || usableSource,
+    source: usableSource
+  });
+}
+
+function containsKey(line, key) {
+  const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\s|")(${escaped})("\\s*[:=]|"\\s*$|:\\s|:$)|(name|id)="${escaped}"|msgid "${escaped}"`).test(line);
+}
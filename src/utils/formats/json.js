@@ -0,0 +1,42 @@
+import { detectIndent, hasTrailingNewline, orderKeys } from './shared.js';
+import { flatten, unflatten } from 'flat';
+
+import { FILE_FORMATS } from '../constants.js';
+
+/**
+ * JSON adapter (nested or flat key/value objects)
+ * Flat documents with dotted keys are written back flat, nested ones are unflattened
+ */
+export const jsonFormat = {
+  name: FILE_FORMATS.JSON,
+
+  parse(content) {
+    const document = JSON.parse(content);
+    const strings = flatten(document);
+    const isNested = Object.values(document).some(
+      value => value && typeof value === 'object'
+    );
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        isNested,
+        indent: detectIndent(content),
+        trailingNewline: hasTrailingNewline(content)
+      }
+    };
+  },
+
+  serialize(strings, { template, source } = {}) {
+    const { keys, indent = '  ', trailingNewline = false } = template?.metadata || {};
+    // Follow the source's nesting convention
+    const isNested = source?.metadata?.isNested ?? template?.metadata?.isNested ?? true;
+    const ordered = Object.fromEntries(
+      orderKeys(strings, keys).map(key => [key, strings[key]])
+    );
+    const document = isNested ? unflatten(ordered) : ordered;
+
+    return `${JSON.stringify(document, null, indent)}${trailingNewline ? '\n' : ''}`;
+  }
+};
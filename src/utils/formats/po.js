@@ -0,0 +1,298 @@
+import { getPluralForms, joinPluralForms } from '../plurals.js';
+
+import { FILE_FORMATS } from '../constants.js';
+import { orderKeys } from './shared.js';
+
+// gettext separates the message context from the message id with EOT
+export const PO_CONTEXT_SEPARATOR = '\u0004';
+
+// gettext plural rules: the Plural-Forms expression of a language and the CLDR category of
+// each msgstr index it selects. Languages not listed use DEFAULT_PLURAL_RULE.
+const RUSSIAN_PLURAL_EXPRESSION = 'n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2';
+const PLURAL_RULES = {
+  ...Object.fromEntries(['id', 'ja', 'km', 'ko', 'lo', 'ms', 'my', 'th', 'vi', 'zh'].map(language =>
+    [language, { expression: '0', categories: ['other'] }])),
+  ...Object.fromEntries(['fr', 'oc', 'pt-BR'].map(language =>
+    [language, { expression: 'n > 1', categories: ['one', 'other'] }])),
+  ...Object.fromEntries(['be', 'bs', 'hr', 'ru', 'sr', 'uk'].map(language =>
+    [language, { expression: RUSSIAN_PLURAL_EXPRESSION, categories: ['one', 'few', 'many'] }])),
+  ...Object.fromEntries(['cs', 'sk'].map(language =>
+    [language, { expression: 'n==1 ? 0 : n>=2 && n<=4 ? 1 : 2', categories: ['one', 'few', 'other'] }])),
+  ar: {
+    expression: 'n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5',
+    categories: ['zero', 'one', 'two', 'few', 'many', 'other']
+  },
+  lt: { expression: 'n%10==1 && n%100!=11 ? 0 : n%10>=2 && (n%100<10 || n%100>=20) ? 1 : 2', categories: ['one', 'few', 'other'] },
+  pl: { expression: 'n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2', categories: ['one', 'few', 'many'] },
+  ro: { expression: 'n==1 ? 0 : (n==0 || (n%100>0 && n%100<20)) ? 1 : 2', categories: ['one', 'few', 'other'] },
+  sl: { expression: 'n%100==1 ? 0 : n%100==2 ? 1 : n%100==3 || n%100==4 ? 2 : 3', categories: ['one', 'two', 'few', 'other'] }
+};
+const DEFAULT_PLURAL_RULE = { expression: 'n != 1', categories: ['one', 'other'] };
+
+/**
+ * Get the gettext plural rule of a locale, by locale (pt-BR) then by language (pt)
+ */
+function getPluralRule(locale) {
+  return (locale && (PLURAL_RULES[locale] || PLURAL_RULES[locale.split('-')[0]])) || DEFAULT_PLURAL_RULE;
+}
+
+/**
+ * gettext PO/POT adapter
+ * Keys are the msgid (prefixed with msgctxt when present); values are msgstr,
+ * falling back to msgid for templates and source-language catalogs. A catalog of a target
+ * language leaves its untranslated entries out, so they count as missing, and keeps them
+ * untranslated when it is written back.
+ * An entry with msgid_plural is one ICU plural message, so it is translated like the plural
+ * messages of other formats: its msgstr[n] are the forms of the locale's gettext rule
+ */
+export const poFormat = {
+  name: FILE_FORMATS.PO,
+
+  parse(content, { locale, isTemplate = false } = {}) {
+    const { header, entries } = parsePo(content);
+    const strings = {};
+
+    for (const entry of entries) {
+      const value = (entry.msgidPlural !== null && parsePluralEntry(entry, locale, isTemplate)) ||
+        entry.msgstr[0] ||
+        (isTemplate ? entry.msgid : '');
+      if (value) {
+        strings[entry.key] = value;
+      }
+    }
+
+    return {
+      strings,
+      metadata: {
+        keys: entries.map(entry => entry.key),
+        header,
+        entries: Object.fromEntries(entries.map(entry => [entry.key, entry]))
+      }
+    };
+  },
+
+  serialize(strings, { template, locale, source } = {}) {
+    const { keys, header, entries = {} } = template?.metadata || {};
+    const sourceEntries = source?.metadata?.entries || {};
+    const rule = getPluralRule(locale);
+    const blocks = [];
+    let hasPlurals = false;
+
+    // Untranslated entries stay in the catalog as long as the source has them
+    const untranslatedKeys = (keys || []).filter(key => !(key in strings) && (!source || key in source.strings));
+    const orderedKeys = orderKeys({ ...Object.fromEntries(untranslatedKeys.map(key => [key, null])), ...strings }, keys);
+
+    const entryBlocks = orderedKeys.map(key => {
+      // Keys new to the target file take their msgid_plural and comments from the source
+      const entry = entries[key] || sourceEntries[key] || createEntry(key);
+      hasPlurals = hasPlurals || entry.msgidPlural !== null;
+
+      if (!(key in strings)) {
+        return serializeEntry(entry);
+      }
+
+      return serializeEntry({
+        ...entry,
+        // A fresh translation is no longer fuzzy
+        comments: entry.comments.map(removeFuzzyFlag).filter(Boolean),
+        msgstr: entry.msgidPlural === null ? [String(strings[key])] : getPluralMsgstr(String(strings[key]), rule)
+      });
+    });
+
+    let headerValue = updateHeaderLanguage(header?.msgstr[0] || '', locale);
+    if (locale && hasPlurals) {
+      headerValue = updateHeaderField(headerValue, 'Plural-Forms', `nplurals=${rule.categories.length}; plural=(${rule.expression});`);
+    }
+
+    blocks.push(serializeEntry({ comments: header?.comments || [], msgid: '', msgstr: [headerValue] }), ...entryBlocks);
+    return `${blocks.join('\n\n')}\n`;
+  }
+};
+
+/**
+ * Read a msgid_plural entry as an ICU plural message
+ * Translated forms are read by the gettext rule of the locale; untranslated entries of
+ * templates use msgid and msgid_plural. Returns null for untranslated entries of other
+ * catalogs and when the text is not valid ICU.
+ */
+function parsePluralEntry(entry, locale, isTemplate) {
+  const rule = getPluralRule(locale);
+  const isTranslated = entry.msgstr.some(Boolean);
+  if (!isTranslated && !isTemplate) {
+    return null;
+  }
+
+  const forms = isTranslated
+    ? Object.fromEntries(rule.categories.map((category, index) => [category, entry.msgstr[index] || entry.msgstr[0]]))
+    : { one: entry.msgid, other: entry.msgidPlural };
+
+  // ICU requires an `other` form, which some gettext rules (pl, ru) leave to their last form
+  return joinPluralForms({ other: entry.msgstr[rule.categories.length - 1] || entry.msgstr[0], ...forms });
+}
+
+/**
+ * Get the msgstr[n] of a translated plural message, one per form of the gettext rule
+ * A category the translation lacks uses its `other` form; text that is not a plural
+ * message fills every form
+ */
+function getPluralMsgstr(message, rule) {
+  const forms = getPluralForms(message);
+  return rule.categories.map(category => (forms ? forms[category] ?? forms.other : message));
+}
+
+/**
+ * Split a PO document into its header and message entries
+ */
+function parsePo(content) {
+  const entries = [];
+  let header = null;
+
+  for (const block of content.replace(/\r\n/g, '\n').split(/\n\s*\n/)) {
+    const entry = parseEntry(block);
+    if (!entry) {
+      continue;
+    }
+
+    if (entry.msgid === '' && !entry.msgctxt) {
+      header = entry;
+    } else {
+      entries.push(entry);
+    }
+  }
+
+  return { header, entries };
+}
+
+/**
+ * Parse one PO entry (comments, msgctxt, msgid, msgid_plural and msgstr lines)
+ */
+function parseEntry(block) {
+  const entry = { comments: [], msgctxt: null, msgid: null, msgidPlural: null, msgstr: [] };
+  let current = null;
+
+  for (const line of block.split('\n')) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('#')) {
+      entry.comments.push(trimmed);
+      continue;
+    }
+
+    const keyword = trimmed.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+    if (keyword) {
+      const [, name, index, value] = keyword;
+      current = { name, index: Number(index || 0) };
+      appendValue(entry, current, unescapePo(value));
+      continue;
+    }
+
+    const continuation = trimmed.match(/^"(.*)"$/);
+    if (continuation && current) {
+      appendValue(entry, current, unescapePo(continuation[1]));
+    }
+  }
+
+  if (entry.msgid === null) {
+    return null;
+  }
+
+  entry.key = entry.msgctxt === null
+    ? entry.msgid
+    : `${entry.msgctxt}${PO_CONTEXT_SEPARATOR}${entry.msgid}`;
+  return entry;
+}
+
+function appendValue(entry, { name, index }, value) {
+  if (name === 'msgctxt') {
+    entry.msgctxt = (entry.msgctxt || '') + value;
+  } else if (name === 'msgid') {
+    entry.msgid = (entry.msgid || '') + value;
+  } else if (name === 'msgid_plural') {
+    entry.msgidPlural = (entry.msgidPlural || '') + value;
+  } else {
+    entry.msgstr[index] = (entry.msgstr[index] || '') + value;
+  }
+}
+
+/**
+ * Build a new entry for a key that is not in the template
+ */
+function createEntry(key) {
+  const [msgctxt, msgid] = key.includes(PO_CONTEXT_SEPARATOR)
+    ? key.split(PO_CONTEXT_SEPARATOR)
+    : [null, key];
+
+  return { comments: [], msgctxt, msgid, msgidPlural: null, msgstr: [] };
+}
+
+function serializeEntry({ comments = [], msgctxt = null, msgid, msgidPlural = null, msgstr }) {
+  const lines = [...comments];
+
+  if (msgctxt !== null) {
+    lines.push(formatPoString('msgctxt', msgctxt));
+  }
+  lines.push(formatPoString('msgid', msgid));
+
+  if (msgidPlural !== null) {
+    lines.push(formatPoString('msgid_plural', msgidPlural));
+    msgstr.forEach((value, index) => lines.push(formatPoString(`msgstr[${index}]`, value)));
+  } else {
+    lines.push(formatPoString('msgstr', msgstr[0] || ''));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a keyword/value pair, splitting multi-line values the way gettext tools do
+ */
+function formatPoString(keyword, value) {
+  const parts = value.split(/(?<=\n)/);
+  if (parts.length <= 1 || (parts.length === 2 && parts[1] === '')) {
+    return `${keyword} "${escapePo(value)}"`;
+  }
+
+  return [`${keyword} ""`, ...parts.map(part => `"${escapePo(part)}"`)].join('\n');
+}
+
+function updateHeaderLanguage(headerValue, locale) {
+  return locale ? updateHeaderField(headerValue, 'Language', locale) : headerValue;
+}
+
+/**
+ * Set a field of the header entry, replacing its current value if any
+ */
+function updateHeaderField(headerValue, field, value) {
+  const pattern = new RegExp(`^${field}:.*$`, 'm');
+  if (pattern.test(headerValue)) {
+    return headerValue.replace(pattern, `${field}: ${value}`);
+  }
+
+  return `${headerValue}${headerValue && !headerValue.endsWith('\n') ? '\n' : ''}${field}: ${value}\n`;
+}
+
+function removeFuzzyFlag(comment) {
+  if (!comment.startsWith('#,')) {
+    return comment;
+  }
+
+  const flags = comment.slice(2).split(',').map(flag => flag.trim()).filter(flag => flag && flag !== 'fuzzy');
+  return flags.length > 0 ? `#, ${flags.join(', ')}` : null;
+}
+
+function escapePo(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+}
+
+function unescapePo(value) {
+  return value.replace(/\\(.)/g, (match, char) => {
+    if (char === 'n') return '\n';
+    if (char === 't') return '\t';
+    if (char === 'r') return '\r';
+    return char;
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Order translated keys after a template: template keys first (in template order),
+ * then any keys the template does not know about (in insertion order)
+ */
+export function orderKeys(strings, templateKeys = []) {
+  const known = templateKeys.filter(key => key in strings);
+  const knownSet = new Set(known);
+  const extra = Object.keys(strings).filter(key => !knownSet.has(key));
+  return [...known, ...extra];
+}
+
+/**
+ * Detect the indentation used by a text document (defaults to two spaces)
+ */
+export function detectIndent(content, fallback = '  ') {
+  const match = content?.match(/^([ \t]+)\S/m);
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Check if a text document ends with a newline
+ */
+export function hasTrailingNewline(content) {
+  return typeof content === 'string' ? /\n$/.test(content) : true;
+}
+
+/**
+ * Escape text for use inside an XML element or attribute
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Unescape the predefined XML entities and numeric character references
+ */
+export function unescapeXml(value) {
+  return String(value)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read the attributes of an XML start tag into an object
+ */
+export function parseXmlAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = unescapeXml(value);
+  }
+  return attributes;
+}
@@ -0,0 +1,71 @@
+import { FILE_FORMATS } from '../constants.js';
+import { orderKeys } from './shared.js';
+
+const STRINGS_TOKEN_PATTERN =
+  /\/\*[\s\S]*?\*\/|\/\/[^\n]*|("(?:[^"\\]|\\.)*"|[\w.-]+)\s*=\s*("(?:[^"\\]|\\.)*")\s*;/g;
+
+/**
+ * Apple .strings adapter
+ * Comments directly above an entry stay attached to it when the file is rewritten
+ */
+export const stringsFormat = {
+  name: FILE_FORMATS.STRINGS,
+
+  parse(content) {
+    const strings = {};
+    const comments = {};
+    let pendingComments = [];
+
+    for (const match of content.matchAll(STRINGS_TOKEN_PATTERN)) {
+      const [token, rawKey, rawValue] = match;
+
+      if (!rawKey) {
+        pendingComments.push(token);
+        continue;
+      }
+
+      const key = rawKey.startsWith('"') ? unescapeStrings(rawKey.slice(1, -1)) : rawKey;
+      strings[key] = unescapeStrings(rawValue.slice(1, -1));
+      comments[key] = pendingComments;
+      pendingComments = [];
+    }
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        comments,
+        trailingComments: pendingComments
+      }
+    };
+  },
+
+  serialize(strings, { template } = {}) {
+    const { keys, comments = {}, trailingComments = [] } = template?.metadata || {};
+    const blocks = orderKeys(strings, keys).map(key => [
+      ...(comments[key] || []),
+      `"${escapeStrings(key)}" = "${escapeStrings(strings[key])}";`
+    ].join('\n'));
+
+    return `${[...blocks, ...trailingComments].join('\n\n')}\n`;
+  }
+};
+
+function escapeStrings(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t');
+}
+
+function unescapeStrings(value) {
+  return value
+    .replace(/\\[Uu]([0-9a-fA-F]{4})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/\\(.)/g, (match, char) => {
+      if (char === 'n') return '\n';
+      if (char === 't') return '\t';
+      if (char === 'r') return '\r';
+      return char;
+    });
+}
@@ -0,0 +1,170 @@
+import { escapeXml, parseXmlAttributes, unescapeXml } from './shared.js';
+
+import { FILE_FORMATS } from '../constants.js';
+
+const UNIT_PATTERN = /([ \t]*)<(trans-unit|unit)\b([^>]*)>([\s\S]*?)<\/\2>\n?/g;
+const INLINE_TAG_PATTERN = /(<\/?(?:g|x|bx|ex|ph|bpt|ept|it|mrk|pc|sc|ec|sub)\b[^>]*>)/;
+const TAG_PATTERN = /(<\/?[A-Za-z][^<>]*>)/;
+
+/**
+ * XLIFF 1.2 and 2.0 adapter
+ * Reads <source> for the file's source language and <target> for its target language.
+ * Serializing rewrites the units of the template document in place, so notes,
+ * attributes and ordering are kept
+ */
+export const xliffFormat = {
+  name: FILE_FORMATS.XLIFF,
+
+  parse(content, { locale } = {}) {
+    const languages = getLanguages(content);
+    const useTarget = Boolean(locale && languages.target && locale === languages.target && locale !== languages.source);
+    const strings = {};
+
+    for (const [, , , rawAttributes, body] of content.matchAll(UNIT_PATTERN)) {
+      const { id } = parseXmlAttributes(rawAttributes);
+      const value = getElementText(body, useTarget ? 'target' : 'source');
+
+      if (id && value !== null) {
+        strings[id] = value;
+      }
+    }
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        content,
+        version: /<xliff\b[^>]*version="2/.test(content) ? 2 : 1
+      }
+    };
+  },
+
+  serialize(strings, { template, source, locale } = {}) {
+    const { content, version = 1 } = template?.metadata || source?.metadata || {};
+    const sourceStrings = source?.strings || {};
+    const written = new Set();
+
+    let output = (content || createDocument(locale)).replace(
+      UNIT_PATTERN,
+      (unit, indent, element, rawAttributes, body) => {
+        const { id } = parseXmlAttributes(rawAttributes);
+        if (!(id in strings)) {
+          return '';
+        }
+
+        written.add(id);
+        return `${indent}<${element}${rawAttributes}>${setTarget(body, strings[id], indent)}</${element}>\n`;
+      }
+    );
+
+    const newUnits = Object.keys(strings)
+      .filter(key => !written.has(key))
+      .map(key => createUnit(version, key, sourceStrings[key] ?? key, strings[key]));
+
+    if (newUnits.length > 0) {
+      const closingTag = version === 2 ? /([ \t]*)<\/file>/ : /([ \t]*)<\/body>/;
+      output = output.replace(closingTag, match => `${newUnits.join('')}${match}`);
+    }
+
+    return setTargetLanguage(output, version, locale);
+  }
+};
+
+function getLanguages(content) {
+  const xliffTag = content.match(/<xliff\b[^>]*>/)?.[0] || '';
+  const fileTag = content.match(/<file\b[^>]*>/)?.[0] || '';
+  const xliffAttributes = parseXmlAttributes(xliffTag);
+  const fileAttributes = parseXmlAttributes(fileTag);
+
+  return {
+    source: xliffAttributes.srcLang || fileAttributes['source-language'],
+    target: xliffAttributes.trgLang || fileAttributes['target-language']
+  };
+}
+
+function getElementText(body, element) {
+  const match = body.match(new RegExp(`<${element}\\b[^>]*>([\\s\\S]*?)</${element}>`));
+  if (!match) {
+    return null;
+  }
+
+  return match[1]
+    .split(INLINE_TAG_PATTERN)
+    .map((part, index) => (index % 2 === 1 ? part : unescapeXml(part)))
+    .join('');
+}
+
+/**
+ * Escape text for an XLIFF element, keeping XLIFF inline elements and the markup the
+ * unit's <source> writes as elements (such as <b>) rather than as escaped text
+ */
+function escapeXliffText(value, markupTags = new Set()) {
+  return String(value)
+    .split(TAG_PATTERN)
+    .map((part, index) => {
+      const isTag = index % 2 === 1 && (INLINE_TAG_PATTERN.test(part) || markupTags.has(part));
+      return isTag ? part : escapeXml(part);
+    })
+    .join('');
+}
+
+function getSourceMarkupTags(body) {
+  const source = body.match(/<source\b[^>]*>([\s\S]*?)<\/source>/)?.[1] || '';
+  return new Set(source.match(new RegExp(TAG_PATTERN.source, 'g')));
+}
+
+/**
+ * Replace or insert the <target> element after <source>
+ */
+function setTarget(body, value, indent) {
+  const target = `<target>${escapeXliffText(value, getSourceMarkupTags(body))}</target>`;
+
+  if (/<target\b[\s\S]*?<\/target>/.test(body)) {
+    return body.replace(/<target\b[\s\S]*?<\/target>/, target);
+  }
+
+  // Indent the new target like its source
+  const sourceIndent = body.match(/\n[ \t]*(?=<source\b)/)?.[0] || `\n${indent}  `;
+  return body.replace(/<\/source>/, `</source>${sourceIndent}${target}`);
+}
+
+function setTargetLanguage(content, version, locale) {
+  if (!locale) {
+    return content;
+  }
+
+  const [tagPattern, attribute] = version === 2
+    ? [/<xliff\b[^>]*>/, 'trgLang']
+    : [/<file\b[^>]*>/, 'target-language'];
+
+  return content.replace(tagPattern, tag => {
+    const attributePattern = new RegExp(`\\s${attribute}="[^"]*"`);
+    return attributePattern.test(tag)
+      ? tag.replace(attributePattern, ` ${attribute}="${escapeXml(locale)}"`)
+      : tag.replace(/\s*\/?>$/, end => ` ${attribute}="${escapeXml(locale)}"${end}`);
+  });
+}
+
+function createUnit(version, id, sourceValue, targetValue) {
+  const source = `<source>${escapeXliffText(sourceValue)}</source>`;
+  const target = `<target>${escapeXliffText(targetValue)}</target>`;
+
+  if (version === 2) {
+    return `    <unit id="${escapeXml(id)}">\n      <segment>\n        ${source}\n        ${target}\n      </segment>\n    </unit>\n`;
+  }
+
+  return `      <trans-unit id="${escapeXml(id)}">\n        ${source}\n        ${target}\n      </trans-unit>\n`;
+}
+
+function createDocument(locale) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    `  <file original="messages" datatype="plaintext" target-language="${escapeXml(locale || '')}">`,
+    '    <body>',
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
@@ -0,0 +1,94 @@
+import { isMap, parseDocument } from 'yaml';
+
+import { FILE_FORMATS } from '../constants.js';
+import { flatten } from 'flat';
+
+/**
+ * YAML adapter with support for Rails-style files whose root key is the locale
+ * Serializing edits a copy of the template document so comments and ordering survive
+ */
+export const yamlFormat = {
+  name: FILE_FORMATS.YAML,
+
+  parse(content, { locale } = {}) {
+    const document = parseDocument(content);
+    const data = document.toJS() || {};
+    const rootKey = getLocaleRootKey(data, locale);
+    const strings = flatten(rootKey ? data[rootKey] || {} : data);
+
+    return {
+      strings,
+      metadata: {
+        keys: Object.keys(strings),
+        document,
+        rootKey
+      }
+    };
+  },
+
+  serialize(strings, { template, locale } = {}) {
+    const document = template?.metadata?.document
+      ? template.metadata.document.clone()
+      : parseDocument('{}');
+    let rootPath = [];
+
+    if (template?.metadata?.rootKey) {
+      const rootKey = locale || template.metadata.rootKey;
+      if (rootKey !== template.metadata.rootKey) {
+        // Rename the locale root key in place to keep its comments
+        const pair = document.contents.items.find(
+          item => String(item.key?.value ?? item.key) === template.metadata.rootKey
+        );
+        pair.key.value = rootKey;
+      }
+      rootPath = [rootKey];
+    }
+
+    // Remove keys that are not part of the target
+    for (const key of template?.metadata?.keys || []) {
+      if (!(key in strings)) {
+        document.deleteIn([...rootPath, ...key.split('.')]);
+      }
+    }
+
+    for (const [key, value] of Object.entries(strings)) {
+      document.setIn([...rootPath, ...key.split('.')], value);
+    }
+
+    removeEmptyMaps(document.contents);
+
+    return document.toString();
+  }
+};
+
+/**
+ * Find the Rails-style locale root key of a YAML document, if any
+ */
+function getLocaleRootKey(data, locale) {
+  const keys = Object.keys(data);
+  if (keys.length !== 1 || !data[keys[0]] || typeof data[keys[0]] !== 'object') {
+    return null;
+  }
+
+  if (locale) {
+    return keys[0] === locale ? keys[0] : null;
+  }
+
+  return /^[a-z]{2,3}([-_][A-Za-z0-9]+)*$/.test(keys[0]) ? keys[0] : null;
+}
+
+/**
+ * Drop maps left empty after deleting keys
+ */
+function removeEmptyMaps(node) {
+  if (!isMap(node)) {
+    return;
+  }
+
+  for (const pair of [...node.items]) {
+    removeEmptyMaps(pair.value);
+    if (isMap(pair.value) && pair.value.items.length === 0) {
+      node.items.splice(node.items.indexOf(pair), 1);
+    }
+  }
+}
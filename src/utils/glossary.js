@@ -0,0 +1,301 @@
+import { DEFAULT_GLOSSARY_FILES, ISSUE_LEVELS } from './constants.js';
+
+import { Logger } from './logger.js';
+import { getRawFileContent } from './api.js';
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'x'];
+
+/**
+ * Read the glossary at a ref: the configured file, or the first default file found
+ * Repositories inheriting the organization config fall back to the glossary of the
+ * org config repository, read from its default branch
+ * Returns { doNotTranslate: [term], terms: [{ term, translations: { [locale]: text } }] } or null
+ */
+export async function getGlossary(event, config, ref) {
+  const logger = new Logger('Glossary');
+  const candidates = config.glossary ? [config.glossary] : DEFAULT_GLOSSARY_FILES;
+  const locations = [
+    { source: event, ref },
+    ...(config.inheritedFrom ? [{ source: { octokit: event.octokit, ...config.inheritedFrom } }] : [])
+  ];
+
+  for (const { source, ref: locationRef } of locations) {
+    for (const filePath of candidates) {
+      const content = await getRawFileContent(source, filePath, locationRef);
+      if (content === null) {
+        continue;
+      }
+
+      const name = source === event ? filePath : `${source.owner}/${source.repo}/${filePath}`;
+      let glossary;
+      try {
+        glossary = parseGlossary(content, filePath, config.sourceLocale);
+      } catch (error) {
+        throw new Error(`Invalid glossary ${name}: ${error.message}`);
+      }
+
+      logger.info(`Loaded glossary ${name}`, {
+        doNotTranslate: glossary.doNotTranslate.length,
+        terms: glossary.terms.length
+      });
+      return glossary;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a JSON, CSV or TBX glossary into the common shape
+ */
+export function parseGlossary(content, filePath, sourceLocale) {
+  const extension = filePath.split('.').pop().toLowerCase();
+
+  if (extension === 'csv') {
+    return parseCsvGlossary(content);
+  }
+
+  if (extension === 'tbx') {
+    return parseTbxGlossary(content, sourceLocale);
+  }
+
+  const data = JSON.parse(content);
+  return {
+    doNotTranslate: (data.doNotTranslate || []).filter(term => typeof term === 'string' && term),
+    terms: Object.entries(data.terms || {}).map(([term, translations]) => ({ term, translations }))
+  };
+}
+
+/**
+ * Parse a CSV glossary: a "term" column, one column per locale and an optional
+ * "doNotTranslate" column
+ */
+function parseCsvGlossary(content) {
+  const [header = [], ...rows] = parseCsv(content);
+  const columns = header.map(column => column.trim());
+  const termIndex = columns.findIndex(column => column.toLowerCase() === 'term');
+  const dntIndex = columns.findIndex(column => column.toLowerCase() === 'donottranslate');
+
+  if (termIndex === -1) {
+    throw new Error('Glossary CSV needs a "term" column');
+  }
+
+  const glossary = { doNotTranslate: [], terms: [] };
+  for (const row of rows) {
+    const term = row[termIndex]?.trim();
+    if (!term) {
+      continue;
+    }
+
+    if (dntIndex !== -1 && TRUE_VALUES.includes(row[dntIndex]?.trim().toLowerCase())) {
+      glossary.doNotTranslate.push(term);
+      continue;
+    }
+
+    const translations = Object.fromEntries(
+      columns
+        .map((locale, index) => [locale, row[index]?.trim()])
+        .filter(([, text], index) => index !== termIndex && index !== dntIndex && text)
+    );
+    glossary.terms.push({ term, translations });
+  }
+
+  return glossary;
+}
+
+/**
+ * Split CSV content into rows of fields, honouring quoted fields
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Parse a TBX glossary: each concept entry holds one term per language, and entries
+ * marked nonTranslatable (or with only a source term) are do-not-translate terms
+ */
+function parseTbxGlossary(content, sourceLocale) {
+  const glossary = { doNotTranslate: [], terms: [] };
+  const sourceLanguage = sourceLocale.split('-')[0].toLowerCase();
+  const entries = content.match(/<(termEntry|conceptEntry)\b[\s\S]*?<\/\1>/g) || [];
+
+  for (const entry of entries) {
+    const terms = {};
+    for (const [, , locale, body] of entry.matchAll(/<(langSec|langSet)\b[^>]*xml:lang="([^"]+)"[^>]*>([\s\S]*?)<\/\1>/g)) {
+      const term = body.match(/<term\b[^>]*>([\s\S]*?)<\/term>/)?.[1];
+      if (term) {
+        terms[locale] = decodeXml(term.trim());
+      }
+    }
+
+    const sourceKey = Object.keys(terms).find(locale =>
+      locale.toLowerCase() === sourceLocale.toLowerCase() || locale.split('-')[0].toLowerCase() === sourceLanguage
+    );
+    if (!sourceKey) {
+      continue;
+    }
+
+    const term = terms[sourceKey];
+    delete terms[sourceKey];
+
+    if (/nonTranslatable|doNotTranslate/i.test(entry) || Object.keys(terms).length === 0) {
+      glossary.doNotTranslate.push(term);
+    } else {
+      glossary.terms.push({ term, translations: terms });
+    }
+  }
+
+  return glossary;
+}
+
+/**
+ * Decode the XML entities that can appear in TBX terms
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the glossary entries that apply to a target locale as [{ term, translation }]
+ * Required translations fall back from a regional locale to its language (fr-CA to fr);
+ * do-not-translate terms translate to themselves
+ */
+export function getLocaleGlossary(glossary, locale) {
+  if (!glossary) {
+    return [];
+  }
+
+  const language = locale.split('-')[0];
+  return [
+    ...glossary.doNotTranslate.map(term => ({ term, translation: term })),
+    ...glossary.terms
+      .map(({ term, translations }) => ({ term, translation: translations[locale] ?? translations[language] }))
+      .filter(({ translation }) => translation)
+  ];
+}
+
+/**
+ * Build a pattern matching a term as a whole word
+ */
+export function getTermPattern(term, flags) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, `u${flags}`);
+}
+
+/**
+ * Check a translation against the glossary entries of its locale
+ * Do-not-translate terms must appear unchanged (same case); required translations
+ * must appear in any case, since sentence position can change capitalization
+ */
+export function findGlossaryViolations(entries, source, target) {
+  const problems = [];
+
+  for (const { term, translation } of entries) {
+    const isDoNotTranslate = term === translation;
+    const flags = isDoNotTranslate ? '' : 'i';
+
+    if (!getTermPattern(term, flags).test(source)) {
+      continue;
+    }
+
+    if (!getTermPattern(translation, flags).test(target)) {
+      problems.push(isDoNotTranslate
+        ? `"${term}" must not be translated`
+        : `"${term}" must be translated as "${translation}"`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Verify translations against the glossary, returning one warning per violating string
+ */
+export function verifyGlossary(glossary, sourceStrings, translations) {
+  const issues = [];
+  if (!glossary) {
+    return issues;
+  }
+
+  for (const [locale, strings] of Object.entries(translations)) {
+    const entries = getLocaleGlossary(glossary, locale);
+
+    for (const [key, value] of Object.entries(strings)) {
+      const problems = findGlossaryViolations(entries, String(sourceStrings[key] ?? ''), value);
+      if (problems.length > 0) {
+        issues.push({
+          key,
+          locale,
+          level: ISSUE_LEVELS.WARNING,
+          message: `Glossary: ${problems.join('; ')}`
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check if a key matches a key pattern
+ * In patterns, * matches within one key segment and ** across segments
+ */
+export function matchesKeyPattern(key, pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^.]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(key);
+}
+
+/**
+ * Check if a key matches one of the verbatim key patterns
+ */
+export function isVerbatimKey(key, patterns = []) {
+  return patterns.some(pattern => matchesKeyPattern(key, pattern));
+}
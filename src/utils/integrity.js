@@ -0,0 +1,294 @@
+import { INTEGRITY_MODES, ISSUE_LEVELS } from './constants.js';
+
+// {{name}} (i18next, Handlebars) and %{name} (Ruby) are matched before ICU parsing
+// so their braces are not mistaken for ICU arguments; pseudo-localization keeps them too
+export const MUSTACHE_PATTERN = /\{\{-?\s*([^{}]+?)\s*\}\}/g;
+export const RUBY_PATTERN = /%\{([^{}]+)\}/g;
+export const PRINTF_PATTERN = /%(?:\d+\$)?[-+0#]*\d*(?:\.\d+)?[sdifuxXoeEgGc@]|%\([A-Za-z_]\w*\)[sd]/g;
+export const HTML_TAG_PATTERN = /<(\/?)([A-Za-z][\w.-]*|\d+)(?:\s[^<>]*?)?(\/?)>/g;
+
+const ICU_OPTION_TYPES = ['plural', 'select', 'selectordinal'];
+
+/**
+ * Collect non-ICU placeholders such as {{count}}, %{name}, %s and %1$d
+ */
+export function extractPlaceholders(message) {
+  const text = message.replace(/%%/g, '');
+  return [
+    ...Array.from(text.matchAll(MUSTACHE_PATTERN), ([, name]) => `{{${name}}}`),
+    ...Array.from(text.matchAll(RUBY_PATTERN), ([token]) => token),
+    ...Array.from(text.replace(RUBY_PATTERN, '').matchAll(PRINTF_PATTERN), ([token]) => token)
+  ];
+}
+
+/**
+ * Collect inline HTML tags, normalized to their name and kind
+ */
+export function extractHtmlTags(message) {
+  return Array.from(message.matchAll(HTML_TAG_PATTERN), ([, closing, name, selfClosing]) => {
+    if (closing) {
+      return `</${name}>`;
+    }
+    return selfClosing ? `<${name}/>` : `<${name}>`;
+  });
+}
+
+/**
+ * Parse the ICU MessageFormat arguments of a message
+ * Returns every argument, including those nested in plural and select options;
+ * throws on unbalanced braces or malformed options
+ */
+export function parseIcuArguments(message) {
+  const text = message.replace(MUSTACHE_PATTERN, '').replace(RUBY_PATTERN, '');
+  const args = [];
+  let pos = 0;
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      pos++;
+    }
+  };
+
+  const readUntil = (stops) => {
+    const start = pos;
+    while (pos < text.length && !stops.includes(text[pos])) {
+      pos++;
+    }
+    if (pos >= text.length) {
+      throw new Error('Unclosed "{"');
+    }
+    return text.slice(start, pos).trim();
+  };
+
+  const parseMessage = (depth) => {
+    while (pos < text.length) {
+      const char = text[pos];
+
+      // An apostrophe before a brace quotes literal text up to the next apostrophe
+      if (char === '\'' && (text[pos + 1] === '{' || text[pos + 1] === '}')) {
+        const end = text.indexOf('\'', pos + 1);
+        pos = end === -1 ? text.length : end + 1;
+      } else if (char === '{') {
+        pos++;
+        parseArgument(depth);
+      } else if (char === '}') {
+        if (depth === 0) {
+          throw new Error('Unexpected "}"');
+        }
+        return;
+      } else {
+        pos++;
+      }
+    }
+
+    if (depth > 0) {
+      throw new Error('Unclosed "{"');
+    }
+  };
+
+  const parseArgument = (depth) => {
+    const name = readUntil([',', '}']);
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid argument name "${name}"`);
+    }
+
+    if (text[pos] === '}') {
+      pos++;
+      args.push({ name, type: null, options: [] });
+      return;
+    }
+
+    pos++;
+    const type = readUntil([',', '}']);
+    const arg = { name, type, options: [] };
+    args.push(arg);
+
+    if (text[pos] === '}') {
+      pos++;
+      return;
+    }
+
+    pos++;
+    if (!ICU_OPTION_TYPES.includes(type)) {
+      // number, date and time styles are plain text
+      readUntil(['}']);
+      pos++;
+      return;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (pos >= text.length) {
+        throw new Error(`Unclosed ${type} argument "${name}"`);
+      }
+      if (text[pos] === '}') {
+        pos++;
+        return;
+      }
+
+      const key = readUntil(['{', '}']).replace(/^offset:\S*\s*/, '');
+      if (!key || text[pos] !== '{') {
+        throw new Error(`Expected a message after option "${key}" of "${name}"`);
+      }
+
+      pos++;
+      parseMessage(depth + 1);
+      pos++;
+      arg.options.push(key);
+    }
+  };
+
+  parseMessage(0);
+  return args;
+}
+
+/**
+ * Report tokens present in one list but not the other
+ */
+function compareTokens(label, sourceTokens, targetTokens) {
+  const problems = [];
+  const remaining = [...targetTokens];
+
+  for (const token of sourceTokens) {
+    const index = remaining.indexOf(token);
+    if (index === -1) {
+      problems.push(`Missing ${label} \`${token}\``);
+    } else {
+      remaining.splice(index, 1);
+    }
+  }
+
+  for (const token of remaining) {
+    problems.push(`Unexpected ${label} \`${token}\``);
+  }
+
+  return problems;
+}
+
+/**
+ * Non-positional printf placeholders are filled in order, so their order must not change
+ */
+function compareSequentialPlaceholders(sourceTokens, targetTokens) {
+  const sequential = tokens => tokens.filter(token => token.startsWith('%') && !/^%(\d+\$|\{|\()/.test(token));
+  const sourceSequence = sequential(sourceTokens);
+  const targetSequence = sequential(targetTokens);
+  const isReordered =
+    sourceSequence.join() !== targetSequence.join() &&
+    [...sourceSequence].sort().join() === [...targetSequence].sort().join();
+
+  if (isReordered) {
+    return [`Placeholders ${sourceSequence.join(', ')} changed order; use positional placeholders such as %1$s to reorder them`];
+  }
+
+  return [];
+}
+
+/**
+ * Compare the ICU arguments of a source and target message
+ * Plural options depend on the target locale, so only `other` is required there
+ */
+function compareIcuArguments(sourceArgs, targetArgs) {
+  const problems = [];
+  const sourceByName = new Map(sourceArgs.map(arg => [arg.name, arg]));
+  const targetByName = new Map(targetArgs.map(arg => [arg.name, arg]));
+
+  for (const [name, sourceArg] of sourceByName) {
+    const targetArg = targetByName.get(name);
+    if (!targetArg) {
+      problems.push(`Missing placeholder \`{${name}}\``);
+      continue;
+    }
+
+    if ((targetArg.type || null) !== (sourceArg.type || null)) {
+      problems.push(`Placeholder \`{${name}}\` should be ${sourceArg.type || 'a simple argument'}, got ${targetArg.type || 'a simple argument'}`);
+      continue;
+    }
+
+    if (sourceArg.type === 'select') {
+      for (const option of sourceArg.options) {
+        if (!targetArg.options.includes(option)) {
+          problems.push(`Select \`{${name}}\` is missing option \`${option}\``);
+        }
+      }
+    } else if (ICU_OPTION_TYPES.includes(sourceArg.type) && !targetArg.options.includes('other')) {
+      problems.push(`${sourceArg.type === 'plural' ? 'Plural' : 'Ordinal'} \`{${name}}\` is missing option \`other\``);
+    }
+  }
+
+  for (const name of targetByName.keys()) {
+    if (!sourceByName.has(name)) {
+      problems.push(`Unexpected placeholder \`{${name}}\``);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check that a translation keeps the placeholders, ICU structure and HTML tags of its source
+ * Returns a list of problem descriptions, empty when the translation is intact
+ */
+export function checkTranslationIntegrity(source, target) {
+  if (typeof source !== 'string' || typeof target !== 'string') {
+    return [];
+  }
+
+  const sourcePlaceholders = extractPlaceholders(source);
+  const targetPlaceholders = extractPlaceholders(target);
+  const problems = [
+    ...compareTokens('placeholder', sourcePlaceholders, targetPlaceholders),
+    ...compareSequentialPlaceholders(sourcePlaceholders, targetPlaceholders),
+    ...compareTokens('HTML tag', extractHtmlTags(source), extractHtmlTags(target))
+  ];
+
+  // Messages whose source is not valid ICU are only checked for the tokens above
+  let sourceArgs;
+  try {
+    sourceArgs = parseIcuArguments(source);
+  } catch {
+    return problems;
+  }
+
+  try {
+    problems.push(...compareIcuArguments(sourceArgs, parseIcuArguments(target)));
+  } catch (error) {
+    problems.push(`Malformed ICU message: ${error.message}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate translations against their source strings
+ * In reject mode broken translations are removed so they are never committed
+ */
+export function validateTranslations(sourceStrings, translations, mode = INTEGRITY_MODES.REJECT) {
+  const reject = mode === INTEGRITY_MODES.REJECT;
+  const valid = {};
+  const issues = [];
+
+  for (const [locale, strings] of Object.entries(translations)) {
+    valid[locale] = {};
+
+    for (const [key, value] of Object.entries(strings)) {
+      const problems = checkTranslationIntegrity(sourceStrings[key], value);
+
+      if (problems.length > 0) {
+        issues.push({
+          key,
+          locale,
+          level: reject ? ISSUE_LEVELS.FAILURE : ISSUE_LEVELS.WARNING,
+          message: `${reject ? 'Rejected' : 'Suspicious'} translation: ${problems.join('; ')}`
+        });
+
+        if (reject) {
+          continue;
+        }
+      }
+
+      valid[locale][key] = value;
+    }
+  }
+
+  return { translations: valid, issues };
+}
@@ -0,0 +1,181 @@
+import { WebhookEvent, shouldProcessWebhook } from './webhook.js';
+import {
+  handleIssueCommentEvent,
+  handlePullRequestClosed,
+  handlePullRequestEvent,
+  handlePullRequestSync,
+  handlePushEvent,
+  syncBranch
+} from './events.js';
+
+import { JOB_TYPES } from './constants.js';
+import { createOnboardingPullRequest } from './onboarding.js';
+
+// Deduplication keys: pull request work is keyed by repository, PR number and head
+// SHA so redeliveries and repeated events for the same commit collapse into one job
+const JOB_KEYS = {
+  [JOB_TYPES.ISSUE_COMMENT]: (payload, action) =>
+    `${payload.repository.full_name}#${payload.issue.number}:comment-${payload.comment.id}:${action}@${payload.comment.updated_at}`,
+  [JOB_TYPES.ONBOARDING]: (payload) =>
+    `${payload.repository.full_name}:onboarding`,
+  [JOB_TYPES.PULL_REQUEST]: (payload) =>
+    `${payload.repository.full_name}#${payload.pull_request.number}@${payload.pull_request.head.sha}`,
+  [JOB_TYPES.PULL_REQUEST_CLOSED]: (payload) =>
+    `${payload.repository.full_name}#${payload.pull_request.number}:closed`,
+  [JOB_TYPES.PUSH]: (payload) =>
+    `${payload.repository.full_name}:${payload.ref}@${payload.after}`,
+  [JOB_TYPES.SYNC]: (payload, branch) =>
+    `${payload.repository.full_name}:sync@${branch}`
+};
+
+/**
+ * Build the deduplication key of a webhook job
+ */
+export function getJobKey(type, payload, action = null) {
+  if (!JOB_KEYS[type]) {
+    throw new Error(`Unknown job type '${type}'`);
+  }
+  return JOB_KEYS[type](payload, action);
+}
+
+/**
+ * Queue a webhook delivery for background processing
+ */
+export async function enqueueWebhook(queue, type, payload, action = null) {
+  return queue.enqueue(type, getJobKey(type, payload, action), {
+    action,
+    installationId: payload.installation?.id,
+    payload
+  });
+}
+
+/**
+ * Queue onboarding for repositories added to an installation
+ * Installation payloads list repositories without their owner, so the account is added
+ */
+export async function enqueueOnboarding(queue, installation, repositories = []) {
+  for (const { name, full_name: fullName } of repositories) {
+    const payload = {
+      installation: { id: installation.id },
+      repository: { name, full_name: fullName, owner: { login: installation.account.login } }
+    };
+    await queue.enqueue(JOB_TYPES.ONBOARDING, getJobKey(JOB_TYPES.ONBOARDING, payload), {
+      installationId: installation.id,
+      payload
+    });
+  }
+}
+
+/**
+ * Queue a full sync of a repository branch
+ * A sync of the same branch that is still pending absorbs the request
+ */
+export async function enqueueSync(queue, installationId, repository, branch) {
+  const payload = {
+    installation: { id: installationId },
+    repository: {
+      name: repository.name,
+      full_name: repository.full_name,
+      default_branch: repository.default_branch,
+      owner: { login: repository.owner.login }
+    }
+  };
+  return queue.enqueue(JOB_TYPES.SYNC, getJobKey(JOB_TYPES.SYNC, payload, branch), {
+    installationId,
+    payload,
+    branch
+  });
+}
+
+/**
+ * Queue a full sync of the default branch of every repository the app is installed on
+ */
+export async function enqueueScheduledSync(app, queue) {
+  let queued = 0;
+
+  for await (const { installation } of app.eachInstallation.iterator()) {
+    for await (const { repository } of app.eachRepository.iterator({ installationId: installation.id })) {
+      if (repository.archived) {
+        continue;
+      }
+      await enqueueSync(queue, installation.id, repository, repository.default_branch);
+      queued++;
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Throw when processing reported a failure so the queue retries the job
+ * Final failures, such as an invalid config, would only fail again and re-post the same
+ * status, check run and comment, so their jobs complete instead
+ */
+function assertSucceeded(result) {
+  if (result?.success === false && !result.final) {
+    throw new Error(result.error || 'Localization failed');
+  }
+}
+
+/**
+ * Create the job handlers, one per job type
+ * Handlers rebuild the webhook event with a fresh installation client, since the
+ * token of the original delivery may have expired by the time a job runs
+ */
+export function createJobHandlers(app) {
+  const getEvent = async({ data }) => {
+    const octokit = await app.getInstallationOctokit(data.installationId);
+    return new WebhookEvent(octokit, data.payload);
+  };
+
+  return {
+    [JOB_TYPES.PULL_REQUEST]: async(job) => {
+      const event = await getEvent(job);
+      if (await shouldProcessWebhook(event)) {
+        assertSucceeded(await handlePullRequestEvent(event, job.data.action));
+      }
+    },
+
+    [JOB_TYPES.PULL_REQUEST_CLOSED]: async(job) => {
+      assertSucceeded(await handlePullRequestClosed(await getEvent(job)));
+    },
+
+    // Fan out to one job per open pull request so each is retried on its own
+    [JOB_TYPES.PUSH]: async(job, queue) => {
+      const event = await getEvent(job);
+      if (!(await shouldProcessWebhook(event))) {
+        return;
+      }
+
+      assertSucceeded(await handlePushEvent(event, (pushEvent, pullRequest) =>
+        queue.enqueue(
+          JOB_TYPES.PULL_REQUEST_SYNC,
+          `${getJobKey(JOB_TYPES.PUSH, job.data.payload)}#${pullRequest.number}@${pullRequest.head.sha}`,
+          {
+            installationId: job.data.installationId,
+            payload: { repository: job.data.payload.repository, installation: job.data.payload.installation },
+            pullNumber: pullRequest.number
+          }
+        )
+      ));
+    },
+
+    [JOB_TYPES.PULL_REQUEST_SYNC]: async(job) => {
+      const event = await getEvent(job);
+      assertSucceeded(await handlePullRequestSync(event, job.data.pullNumber));
+    },
+
+    [JOB_TYPES.SYNC]: async(job) => {
+      assertSucceeded(await syncBranch(await getEvent(job), job.data.branch));
+    },
+
+    [JOB_TYPES.ONBOARDING]: async(job) => {
+      assertSucceeded(await createOnboardingPullRequest(await getEvent(job)));
+    },
+
+    // Commands are not idempotent (add-locale, replies), so they are not retried
+    [JOB_TYPES.ISSUE_COMMENT]: async(job) => {
+      await handleIssueCommentEvent(await getEvent(job));
+    }
+  };
+}
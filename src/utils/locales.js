@@ -0,0 +1,61 @@
+import { getNamespace, resolveOutputPath } from './paths.js';
+
+import { getOutputExtension } from './formats/index.js';
+
+/**
+ * Get the fallback chain of a locale from config.localeFallbacks, nearest first
+ * e.g. ["es-419", "es"] for es-MX with { "es-MX": "es-419", "es-419": "es" }
+ */
+export function getFallbackChain(locale, fallbacks = {}) {
+  const chain = [];
+
+  for (let current = fallbacks[locale]; current && current !== locale && !chain.includes(current); current = fallbacks[current]) {
+    chain.push(current);
+  }
+
+  return chain;
+}
+
+/**
+ * Order locales so every locale comes after the locales it falls back to
+ */
+export function orderByFallback(locales, fallbacks = {}) {
+  return [...locales]
+    .map((locale, index) => ({ locale, index, depth: getFallbackChain(locale, fallbacks).length }))
+    .sort((a, b) => a.depth - b.depth || a.index - b.index)
+    .map(({ locale }) => locale);
+}
+
+/**
+ * Get the name of a locale in output paths, from config.localeMapping
+ * e.g. "zh_TW" for zh-Hant with { "zh-Hant": "zh_TW" }
+ */
+export function getOutputLocale(locale, localeMapping = {}) {
+  return localeMapping[locale] || locale;
+}
+
+/**
+ * Get the path of the target file of a source file for a locale
+ */
+export function getTargetFilePath(config, sourceFile, locale) {
+  return resolveOutputPath(config.outputPath, {
+    outputDir: config.outputDir,
+    locale: getOutputLocale(locale, config.localeMapping),
+    namespace: getNamespace(sourceFile),
+    ext: getOutputExtension(sourceFile)
+  });
+}
+
+/**
+ * Resolve the value a locale inherits for a key through its fallback chain
+ * stringsByLocale maps each locale of the chain to its strings
+ */
+export function getInheritedValue(key, chain, stringsByLocale) {
+  for (const locale of chain) {
+    const value = stringsByLocale[locale]?.[key];
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
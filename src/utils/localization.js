@@ -1,10 +1,32 @@
+import { DEFAULT_LOCK_FILE, ENV_VARS, HUMAN_EDIT_POLICIES } from './constants.js';
+import {
+  DELIVERY_PATHS,
+  getCompanionBranch,
+  getDeliveryPlan,
+  isForkPullRequest,
+  publishCompanionPullRequest
+} from './delivery.js';
+import {
+  applyTranslationLock,
+  getLockFile,
+  isMachineTranslation,
+  seedTranslationLock,
+  serializeLockFile
+} from './lock.js';
+import { createTranslationProvider, isPseudoTranslation, translateStrings } from './providers/index.js';
+import { findKeyLine, serializeLocaleFile } from './formats/index.js';
+import { getBranchHead, getLocaleFile } from './api.js';
+import { getFallbackChain, getInheritedValue, getTargetFilePath, orderByFallback } from './locales.js';
+import { preparePluralStrings, restorePluralStrings } from './plurals.js';
 import { validateApiKey, validateLocales } from './validation.js';
 
-import { ENV_VARS } from './constants.js';
 import { ErrorHandler } from './errors.js';
 import { Logger } from './logger.js';
+import { checkConstraints } from './constraints.js';
+import { checkTranslationIntegrity } from './integrity.js';
 import { detailedDiff } from 'deep-object-diff';
 import { flatten } from 'flat';
+import { isVerbatimKey } from './glossary.js';
 
 /**
  * Detect changes between base and current source strings
@@ -28,10 +50,98 @@ export function detectStringChanges(baseStrings = {}, currentStrings = {}) {
 }
 
 /**
- * Send changes to translation API
+ * Build a change set from the current source strings instead of a diff
+ * full: every string is treated as added; keys: the listed keys (or key prefixes) are retranslated
  */
-export async function translateChanges(changes, projectApiKey, targetLocales) {
+export function createScopedChanges(strings, { keys, full = false } = {}) {
+  if (full) {
+    return { added: { ...strings }, updated: {}, deleted: {} };
+  }
+
+  const updated = Object.fromEntries(
+    Object.entries(strings).filter(([key]) =>
+      keys.some(scopeKey => key === scopeKey || key.startsWith(`${scopeKey}.`))
+    )
+  );
+
+  return { added: {}, updated, deleted: {} };
+}
+
+/**
+ * Check if a change set contains any added, updated or deleted strings
+ */
+export function hasStringChanges(changes) {
+  return (
+    Object.keys(changes.added).length > 0 ||
+    Object.keys(changes.updated).length > 0 ||
+    Object.keys(changes.deleted).length > 0
+  );
+}
+
+/**
+ * Combine the change sets of several namespaces into one
+ * Keys are prefixed with the source file so equal keys in different namespaces stay distinct
+ */
+export function combineStringChanges(namespaces) {
+  const combined = { added: {}, updated: {}, deleted: {} };
+
+  for (const { sourceFile, changes } of namespaces) {
+    for (const type of Object.keys(combined)) {
+      for (const [key, value] of Object.entries(changes[type])) {
+        combined[type][`${sourceFile}:${key}`] = value;
+      }
+    }
+  }
+
+  return combined;
+}
+
+/**
+ * Merge new translations into the flat strings of an existing locale file
+ * Keeps previously translated keys, overwrites changed ones and drops deleted ones
+ */
+export function mergeTranslations(existingStrings = {}, translatedStrings = {}, deletedKeys = []) {
+  const merged = {
+    ...(existingStrings || {}),
+    ...(translatedStrings || {})
+  };
+
+  for (const key of deletedKeys) {
+    delete merged[key];
+  }
+
+  return merged;
+}
+
+/**
+ * Send changes to the configured translation provider
+ * Options:
+ *   failures - per-key translation failures are pushed onto this array
+ *   memory - translation memory consulted before the provider and updated afterwards
+ *   matches - memory matches are pushed onto this array: exact ones reused, fuzzy ones suggested
+ *   glossary - glossary passed to the provider with the terms of each target locale
+ *   context - context of each key ({ description, maxLength, screenshot }) passed to the provider
+ *   constraints - UI constraints of each key ({ maxLength, maxLines, forbiddenCharacters })
+ *   violations - translations still breaking their constraints are pushed onto this array
+ *   nestedPlurals - whether items.one/items.other keys form plural groups (see usesNestedPlurals)
+ * Keys matching config.verbatimKeys are copied from the source instead of translated
+ */
+export async function translateChanges(
+  changes,
+  config,
+  {
+    failures = [],
+    memory = null,
+    matches = [],
+    glossary = null,
+    context = {},
+    constraints = {},
+    violations = [],
+    nestedPlurals = false
+  } = {}
+) {
   const logger = new Logger('Localization');
+  const { projectApiKey, sourceLocale, targetLocales } = config;
 
   try {
     // Validate inputs
@@ -40,10 +150,13 @@ export async function translateChanges(changes, projectApiKey, targetLocales) {
     }
 
     if (projectApiKey && !validateApiKey(projectApiKey)) {
-      logger.warn('Invalid API key format, using mock translations');
+      logger.warn('Invalid API key format');
     }
 
-    logger.info('Sending changes to translation API', {
+    const provider = createTranslationProvider(config);
+
+    logger.info('Sending changes to translation provider', {
+      provider: provider.name,
       projectApiKey: projectApiKey ? '***' : 'missing',
       targetLocales,
       changes: {
@@ -53,13 +166,52 @@ export async function translateChanges(changes, projectApiKey, targetLocales) {
       }
     });
 
-    // For now, mock the API call
-    const translations = await mockTranslateAPI(
-      changes,
-      projectApiKey,
-      targetLocales
-    );
+    // Deleted strings are not sent for translation
+    const strings = {};
+    const verbatim = {};
+    for (const [key, text] of Object.entries({ ...changes.added, ...changes.updated })) {
+      if (isVerbatimKey(key, config.verbatimKeys)) {
+        verbatim[key] = text;
+      } else {
+        strings[key] = text;
+      }
+    }
+
+    const translations = {};
+    for (const targetLocale of targetLocales) {
+      // Plural groups travel as one ICU message with the plural categories of the locale
+      const { strings: localeStrings, groups } = preparePluralStrings(strings, targetLocale, { nested: nestedPlurals });
+      const translateOptions = { sourceLocale, targetLocale, failures, glossary, context, constraints };
+      const isPseudo = isPseudoTranslation(provider, targetLocale);
+
+      // Pseudo-localized text is not a translation, so it is neither reused nor remembered
+      let translated = memory && !isPseudo
+        ? await translateWithMemory(provider, localeStrings, memory, { ...translateOptions, matches })
+        : (await translateStrings(provider, localeStrings, { ...translateOptions, targetLocales: [targetLocale] }))[targetLocale];
+
+      // Pseudo-localization lengthens text on purpose, to expose the truncation these limits prevent
+      if (!isPseudo) {
+        translated = await enforceConstraints(provider, localeStrings, translated, { ...translateOptions, groups, violations });
+      }
+
+      const restored = restorePluralStrings(translated, groups);
+      failures.push(...restored.failed.map(key => ({
+        key,
+        locale: targetLocale,
+        message: `Translation provider '${provider.name}' did not return a plural message`
+      })));
+
+      translations[targetLocale] = { ...restored.strings, ...verbatim };
+    }
 
+    if (memory) {
+      await memory.save();
+    }
+
+    logger.success(
+      `Translation completed for ${targetLocales.length} locales`,
+      { provider: provider.name, memory: memory?.getStats() }
+    );
     return translations;
   } catch (error) {
     return ErrorHandler.handleTranslationError(error, 'Localization');
@@ -67,145 +219,370 @@ export async function translateChanges(changes, projectApiKey, targetLocales) {
 }
 
 /**
- * Mock translation API call
- * Replace this with actual API integration
+ * Translate strings into one locale, reusing remembered translations
+ * Only exact matches are reused; the rest is sent to the provider, with the closest fuzzy
+ * match of each string as a suggestion
  */
-export async function mockTranslateAPI(changes, projectApiKey, targetLocales) {
-  const logger = new Logger('Localization');
-  logger.info('Mocking translation API call');
-
-  if (!projectApiKey) {
-    logger.warn('No project API key provided, using mock translations');
-  }
-
-  // Simulate API delay
-  await new Promise((resolve) => setTimeout(resolve, 1000));
-
-  const translations = {};
-
-  for (const locale of targetLocales) {
-    translations[locale] = {};
-
-    // Add new strings
-    for (const [key, value] of Object.entries(changes.added)) {
-      translations[locale][key] = `[${locale.toUpperCase()}] ${value}`;
+async function translateWithMemory(
+  provider,
+  strings,
+  memory,
+  { sourceLocale, targetLocale, failures, matches, glossary, context, constraints }
+) {
+  await memory.load(sourceLocale, targetLocale);
+
+  // The same text with another description ("Book" the verb and the noun) is another entry
+  const getMemoryOptions = key => ({ sourceLocale, targetLocale, context: context[key]?.description || '' });
+
+  const remembered = {};
+  const remaining = {};
+  const suggestions = {};
+  for (const [key, text] of Object.entries(strings)) {
+    const match = memory.lookup(String(text), getMemoryOptions(key));
+    if (match) {
+      matches.push({ key, locale: targetLocale, ...match });
     }
 
-    // Update existing strings
-    for (const [key, value] of Object.entries(changes.updated)) {
-      translations[locale][key] = `[${locale.toUpperCase()}] ${value}`;
+    if (match?.exact) {
+      remembered[key] = match.target;
+    } else {
+      remaining[key] = text;
+      if (match) {
+        suggestions[key] = { source: match.source, translation: match.target };
+      }
     }
+  }
 
-    // Note: deleted strings are not included in translations
+  const translated = Object.keys(remaining).length > 0
+    ? (await translateStrings(provider, remaining, {
+      sourceLocale,
+      targetLocales: [targetLocale],
+      failures,
+      glossary,
+      context,
+      constraints,
+      suggestions
+    }))[targetLocale]
+    : {};
+
+  // Only intact translations are remembered, so broken output is never reused
+  for (const [key, value] of Object.entries(translated)) {
+    if (checkTranslationIntegrity(String(strings[key]), value).length === 0) {
+      memory.record(String(strings[key]), value, getMemoryOptions(key));
+    }
   }
 
-  logger.success(
-    `Mock translation completed for ${Object.keys(translations).length} locales`
-  );
-  return translations;
+  return { ...remembered, ...translated };
 }
 
 /**
- * Commit translation files directly to the PR branch
+ * Check the translations of one locale against the UI constraints of their keys
+ * Providers that can shorten a translation are asked once more for the strings that break
+ * them, with the rejected translation; a variant that fits and stays intact replaces it.
+ * Strings that still break their constraints are kept and pushed onto violations.
  */
-export async function commitTranslationsToPR(
-  event,
-  pullRequest,
-  translations,
-  outputDir,
-  changes
+async function enforceConstraints(
+  provider,
+  strings,
+  translated,
+  { sourceLocale, targetLocale, glossary, context, constraints, groups, violations }
 ) {
   const logger = new Logger('Localization');
+  let broken = checkConstraints(translated, groups, constraints);
+
+  if (provider.canShorten && Object.keys(broken).length > 0) {
+    const keys = Object.keys(broken);
+    const retry = Object.fromEntries(keys.map(key => [key, strings[key]]));
+    const previous = Object.fromEntries(keys.map(key => [key, translated[key]]));
+
+    // A failed retry leaves the first translation in place, so its failures are not reported
+    const shorter = (await translateStrings(provider, retry, {
+      sourceLocale,
+      targetLocales: [targetLocale],
+      glossary,
+      context,
+      constraints,
+      previous
+    }))[targetLocale];
+
+    const fitting = Object.entries(shorter).filter(([key, value]) =>
+      checkTranslationIntegrity(String(strings[key]), value).length === 0 &&
+      !checkConstraints({ [key]: value }, groups, constraints)[key]
+    );
+    translated = { ...translated, ...Object.fromEntries(fitting) };
+    broken = checkConstraints(translated, groups, constraints);
 
-  try {
-    logger.info('Committing translations to PR branch', {
-      branch: event.headBranch,
-      languages: Object.keys(translations)
+    logger.info(`Asked for shorter ${targetLocale} translations`, {
+      provider: provider.name,
+      retried: keys.length,
+      shortened: fitting.length
     });
+  }
 
-    // Get the latest branch head to ensure we're working with the most recent state
-    const { data: latestRef } = await event.octokit.rest.git.getRef({
-      owner: event.owner,
-      repo: event.repo,
-      ref: `heads/${event.headBranch}`
-    });
+  violations.push(...Object.entries(broken).map(([key, problems]) => ({
+    key,
+    locale: targetLocale,
+    message: `Translation breaks the constraints of its key: ${problems.join('; ')}`
+  })));
 
-    const latestSha = latestRef.object.sha;
+  return translated;
+}
 
-    // Prepare files to commit
-    const files = [];
-    const treeItems = [];
+/**
+ * Build the target files of every namespace and locale, merged into the files at parentSha
+ * Each namespace is { sourceFile, namespace, source, changes, translations }
+ * Returns { files, preserved, lockFile }, where lockFile is the updated lock file
+ */
+export async function buildTranslationFiles(event, namespaces, config, parentSha, { overwrite = false } = {}) {
+  const files = [];
+  const preserved = [];
+  const lock = await getLockFile(event, parentSha);
+
+  for (const { sourceFile, source, changes, translations } of namespaces) {
+    const deletedKeys = Object.keys(changes.deleted);
+    const fileOptions = { format: config.format || source?.format };
+
+    // Locales are built after their fallbacks, whose strings they are compared with
+    const built = { [config.sourceLocale]: source?.strings || {} };
+    const getLocaleStrings = async(locale) => {
+      if (!built[locale]) {
+        const file = await getLocaleFile(event, getTargetFilePath(config, sourceFile, locale), parentSha, { ...fileOptions, locale });
+        built[locale] = file?.strings || {};
+      }
+      return built[locale];
+    };
 
-    for (const [language, strings] of Object.entries(translations)) {
-      const filePath = `${outputDir}/${language}.json`;
-      const fileContent = JSON.stringify(strings, null, 2);
+    for (const locale of orderByFallback(Object.keys(translations), config.localeFallbacks)) {
+      const filePath = getTargetFilePath(config, sourceFile, locale);
+      const localeOptions = { ...fileOptions, locale };
+
+      // Merge into the current target file so previously translated keys are kept
+      const existing = await getLocaleFile(event, filePath, parentSha, localeOptions);
+      seedTranslationLock(lock, filePath, existing?.strings, source?.strings);
+
+      // A locale with fallbacks only stores what differs from them: machine translations
+      // equal to the inherited value are removed, hand-edited values are kept
+      const strings = { ...translations[locale] };
+      const inheritedKeys = [];
+      const chain = getFallbackChain(locale, config.localeFallbacks);
+      if (chain.length > 0) {
+        const stringsByLocale = Object.fromEntries(
+          await Promise.all(chain.map(async fallback => [fallback, await getLocaleStrings(fallback)]))
+        );
+        const entries = lock.files[filePath] || {};
+
+        for (const [key, value] of Object.entries(strings)) {
+          const existingValue = existing?.strings?.[key];
+          const isReplaceable = existingValue === undefined || isMachineTranslation(entries[key], existingValue);
+          if (isReplaceable && value === getInheritedValue(key, chain, stringsByLocale)) {
+            inheritedKeys.push(key);
+            delete strings[key];
+          }
+        }
+      }
 
-      // Create blob for the file
-      const { data: blob } = await event.octokit.rest.git.createBlob({
-        owner: event.owner,
-        repo: event.repo,
-        content: fileContent,
-        encoding: 'utf-8'
+      // Never overwrite values a translator edited by hand
+      const lockResult = applyTranslationLock(lock, filePath, {
+        existingStrings: existing?.strings,
+        translatedStrings: strings,
+        sourceStrings: source?.strings,
+        deletedKeys: [...deletedKeys, ...inheritedKeys],
+        overwrite
       });
 
-      files.push({
-        path: filePath,
-        content: fileContent,
-        blobSha: blob.sha
+      const mergedStrings = mergeTranslations(existing?.strings, lockResult.accepted, [...deletedKeys, ...inheritedKeys]);
+      built[locale] = mergedStrings;
+      const fileContent = serializeLocaleFile(mergedStrings, filePath, {
+        ...localeOptions,
+        template: existing,
+        source
       });
 
-      treeItems.push({
-        path: filePath,
-        mode: '100644',
-        type: 'blob',
-        sha: blob.sha
-      });
+      const lines = fileContent.split('\n');
+      for (const item of lockResult.preserved) {
+        const line = findKeyLine(fileContent, item.key);
+        preserved.push({ ...item, sourceFile, locale, path: filePath, line, lineText: lines[line - 1] });
+      }
+
+      files.push({ path: filePath, content: fileContent });
     }
+  }
+
+  return { files, preserved, lockFile: { path: DEFAULT_LOCK_FILE, content: serializeLockFile(lock) } };
+}
+
+/**
+ * Create a commit with files on top of parentSha, authored by the app
+ * With skipUnchanged, returns null instead when the files are already at parentSha
+ */
+export async function createTranslationCommit(event, parentSha, files, message, { skipUnchanged = false } = {}) {
+  const treeItems = [];
 
-    // Create new tree
-    const { data: newTree } = await event.octokit.rest.git.createTree({
+  for (const file of files) {
+    const { data: blob } = await event.octokit.rest.git.createBlob({
       owner: event.owner,
       repo: event.repo,
-      base_tree: latestSha, // Use the latest branch head as base
-      tree: treeItems
+      content: file.content,
+      encoding: 'utf-8'
     });
 
-    // Create commit
-    const commitMessage = generateCommitMessage(
-      changes,
-      Object.keys(translations)
-    );
-    const { data: commit } = await event.octokit.rest.git.createCommit({
+    file.blobSha = blob.sha;
+    treeItems.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+  }
+
+  const { data: newTree } = await event.octokit.rest.git.createTree({
+    owner: event.owner,
+    repo: event.repo,
+    base_tree: parentSha,
+    tree: treeItems
+  });
+
+  if (skipUnchanged) {
+    const { data: parentCommit } = await event.octokit.rest.git.getCommit({
       owner: event.owner,
       repo: event.repo,
-      message: commitMessage,
-      tree: newTree.sha,
-      parents: [latestSha], // Use the latest branch head as parent
-      author: {
-        name: process.env[ENV_VARS.APP_NAME],
-        email: process.env[ENV_VARS.APP_EMAIL]
-      }
+      commit_sha: parentSha
     });
+    if (parentCommit.tree.sha === newTree.sha) {
+      return null;
+    }
+  }
 
-    // Update the PR branch to point to the new commit
-    // Use force: true to handle cases where the branch has moved forward
-    await event.octokit.rest.git.updateRef({
-      owner: event.owner,
-      repo: event.repo,
-      ref: `heads/${event.headBranch}`,
-      sha: commit.sha,
-      force: true
+  const { data: commit } = await event.octokit.rest.git.createCommit({
+    owner: event.owner,
+    repo: event.repo,
+    message,
+    tree: newTree.sha,
+    parents: [parentSha],
+    author: {
+      name: process.env[ENV_VARS.APP_NAME],
+      email: process.env[ENV_VARS.APP_EMAIL]
+    }
+  });
+
+  return commit;
+}
+
+/**
+ * Commit translation files for every namespace in a single commit, directly to the PR
+ * branch or, with the pull-request delivery, to its companion branch and pull request
+ * Pull requests from forks are handled by the forks policy (see getDeliveryPlan)
+ * Each namespace is { sourceFile, namespace, source, changes, translations }
+ * Options:
+ *   extraFiles - files ({ path, content }) committed alongside the translations
+ *   overwriteHumanEdits - replace human-edited values instead of preserving them
+ *   postMerge - the pull request is a merged fork PR translated on its merge commit
+ */
+export async function commitTranslationsToPR(
+  event,
+  pullRequest,
+  namespaces,
+  config,
+  { extraFiles = [], overwriteHumanEdits = false, postMerge = false } = {}
+) {
+  const logger = new Logger('Localization');
+  const plan = getDeliveryPlan(pullRequest, config, { postMerge });
+  const isFork = isForkPullRequest(pullRequest);
+
+  try {
+    logger.info(`Delivering translations (${plan.path})`, {
+      branch: plan.path === DELIVERY_PATHS.COMPANION ? getCompanionBranch(pullRequest) : event.headBranch,
+      namespaces: namespaces.map(({ namespace }) => namespace),
+      locales: config.targetLocales
+    });
+
+    // Translations are only valid for the head they were diffed against; if the
+    // branch moved since, let the caller redo the diff on the new head. A fork's
+    // branch lives in another repository, and a merged PR no longer moves.
+    const headSha = pullRequest.head.sha;
+    if (!isFork && !postMerge) {
+      const currentSha = await getBranchHead(event, event.headBranch);
+      if (currentSha !== headSha) {
+        logger.warn('PR branch moved since the diff was computed', { expected: headSha, current: currentSha });
+        return { success: false, conflict: true, error: 'PR branch moved during localization' };
+      }
+    }
+
+    // Target files are merged into and committed on top of the parent commit
+    const { parentSha } = plan;
+    const { files, preserved, lockFile } = await buildTranslationFiles(event, namespaces, config, parentSha, {
+      overwrite: overwriteHumanEdits || config.humanEdits === HUMAN_EDIT_POLICIES.OVERWRITE
     });
 
+    // Nothing can be committed to a fork: the caller proposes the files in a review
+    // instead. The lock file is left out, so applied suggestions count as human edits
+    // until the next translation commit in the base repository.
+    if (plan.path === DELIVERY_PATHS.SUGGEST) {
+      return {
+        success: true,
+        commitSha: null,
+        filesCommitted: 0,
+        preserved,
+        delivery: plan.path,
+        suggestedFiles: [...files, ...extraFiles]
+      };
+    }
+
+    files.push(...extraFiles, lockFile);
+
+    // Nothing to commit or propose when the parent already has these files, e.g. when
+    // every translation was a kept human edit, or after the companion pull request was
+    // merged into the PR branch
+    const isCompanion = plan.path === DELIVERY_PATHS.COMPANION;
+    const commit = await createTranslationCommit(
+      event,
+      parentSha,
+      files,
+      generateCommitMessage(combineStringChanges(namespaces), config.targetLocales),
+      { skipUnchanged: true }
+    );
+
+    if (!commit) {
+      logger.info('Translations are already up to date, nothing to commit');
+      return { success: true, commitSha: null, filesCommitted: 0, preserved, delivery: plan.path, companionPullRequest: null };
+    }
+
+    if (isCompanion) {
+      const companionPullRequest = await publishCompanionPullRequest(event, pullRequest, commit.sha, plan.baseBranch);
+      return {
+        success: true,
+        commitSha: commit.sha,
+        filesCommitted: files.length,
+        preserved,
+        delivery: plan.path,
+        companionPullRequest
+      };
+    }
+
+    // Fast-forward only: a push that landed in the meantime must never be overwritten
+    try {
+      await event.octokit.rest.git.updateRef({
+        owner: event.owner,
+        repo: event.repo,
+        ref: `heads/${event.headBranch}`,
+        sha: commit.sha,
+        force: false
+      });
+    } catch (error) {
+      if (error.status === 422) {
+        logger.warn('PR branch moved before the translation commit could be applied', { commitSha: commit.sha });
+        return { success: false, conflict: true, error: 'PR branch moved during localization' };
+      }
+      throw error;
+    }
+
     logger.success('Successfully committed translations to PR branch', {
       commitSha: commit.sha,
-      filesCommitted: files.length
+      filesCommitted: files.length,
+      humanEditsPreserved: preserved.length
     });
 
     return {
       success: true,
       commitSha: commit.sha,
-      filesCommitted: files.length
+      filesCommitted: files.length,
+      preserved,
+      delivery: plan.path
     };
   } catch (error) {
     logger.error('Failed to commit translations to PR branch', error);
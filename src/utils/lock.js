@@ -0,0 +1,127 @@
+import { DEFAULT_LOCK_FILE, TRANSLATION_ORIGINS } from './constants.js';
+
+import { createHash } from 'crypto';
+import { getRawFileContent } from './api.js';
+
+const LOCK_FILE_VERSION = 1;
+
+/**
+ * Hash a string for the lock file
+ */
+export function hashText(text) {
+  return createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Read the translation lock file at a ref
+ * The lock records, per target file and key, the hash of the source text and of the
+ * value the app wrote, so later runs can tell machine output from human edits
+ * A repository without a lock file gets an empty lock marked isNew (see seedTranslationLock)
+ */
+export async function getLockFile(event, ref) {
+  const content = await getRawFileContent(event, DEFAULT_LOCK_FILE, ref);
+  if (!content) {
+    return { version: LOCK_FILE_VERSION, files: {}, isNew: true };
+  }
+
+  const lock = JSON.parse(content);
+  return { version: LOCK_FILE_VERSION, ...lock, files: lock.files || {} };
+}
+
+/**
+ * Serialize the lock file with stable key ordering so diffs stay small
+ */
+export function serializeLockFile(lock) {
+  const files = Object.fromEntries(
+    Object.keys(lock.files).sort().map(path => [
+      path,
+      Object.fromEntries(Object.keys(lock.files[path]).sort().map(key => [key, lock.files[path][key]]))
+    ])
+  );
+
+  return `${JSON.stringify({ version: lock.version, files }, null, 2)}\n`;
+}
+
+/**
+ * Record the existing values of a target file as machine output when the lock is new
+ * Target files written before the lock existed were generated by the app, so on the
+ * first run they are migrated into the lock instead of being kept as human edits forever.
+ * Updates the lock in place.
+ */
+export function seedTranslationLock(lock, filePath, existingStrings = {}, sourceStrings = {}) {
+  if (!lock.isNew || lock.files[filePath]) {
+    return;
+  }
+
+  const entries = Object.fromEntries(Object.entries(existingStrings).map(([key, value]) => [key, {
+    origin: TRANSLATION_ORIGINS.MACHINE,
+    source: hashText(sourceStrings[key] ?? ''),
+    target: hashText(value)
+  }]));
+  if (Object.keys(entries).length > 0) {
+    lock.files[filePath] = entries;
+  }
+}
+
+/**
+ * Check if an existing target value is machine output the app may overwrite
+ */
+export function isMachineTranslation(entry, existingValue) {
+  return entry?.origin === TRANSLATION_ORIGINS.MACHINE && entry.target === hashText(existingValue);
+}
+
+/**
+ * Decide which machine translations for one target file can be written
+ * Values that differ from what the app last wrote are human edits: they are kept
+ * and returned as preserved unless overwrite is set. Updates the lock in place.
+ */
+export function applyTranslationLock(lock, filePath, {
+  existingStrings = {},
+  translatedStrings = {},
+  sourceStrings = {},
+  deletedKeys = [],
+  overwrite = false
+}) {
+  const entries = lock.files[filePath] || {};
+  const accepted = {};
+  const preserved = [];
+
+  for (const [key, machineValue] of Object.entries(translatedStrings)) {
+    const existingValue = existingStrings[key];
+    const entry = entries[key];
+    const isHumanEdit =
+      existingValue !== undefined &&
+      existingValue !== machineValue &&
+      !isMachineTranslation(entry, existingValue);
+
+    if (isHumanEdit && !overwrite) {
+      preserved.push({ key, existingValue, machineValue });
+      entries[key] = {
+        origin: TRANSLATION_ORIGINS.HUMAN,
+        source: entry?.source ?? null,
+        target: hashText(existingValue),
+        stale: true
+      };
+      continue;
+    }
+
+    accepted[key] = machineValue;
+    entries[key] = {
+      origin: TRANSLATION_ORIGINS.MACHINE,
+      source: hashText(sourceStrings[key] ?? ''),
+      target: hashText(machineValue)
+    };
+  }
+
+  for (const key of deletedKeys) {
+    delete entries[key];
+  }
+
+  if (Object.keys(entries).length > 0) {
+    lock.files[filePath] = entries;
+  } else {
+    delete lock.files[filePath];
+  }
+
+  return { accepted, preserved };
+}
@@ -1,3 +1,44 @@
+// Values that must never appear in log output, such as resolved API keys
+const secrets = new Set();
+
+// Data fields whose string values are always masked
+const SENSITIVE_KEY_PATTERN = /api[-_]?key|token|secret|password|authorization|private[-_]?key/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Register a secret value to be masked wherever it appears in log output
+ */
+export function registerSecret(value) {
+  // Very short values would mask unrelated text
+  if (typeof value === 'string' && value.length >= 4) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Mask registered secrets in a string
+ */
+export function redact(text) {
+  let redacted = String(text);
+  for (const secret of secrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+}
+
+/**
+ * Format log data, masking sensitive fields and registered secrets
+ */
+function formatData(data) {
+  if (!data) {
+    return '';
+  }
+
+  const json = JSON.stringify(data, (key, value) =>
+    key && SENSITIVE_KEY_PATTERN.test(key) && typeof value === 'string' && value ? REDACTED : value, 2);
+  return ` | Data: ${redact(json)}`;
+}
+
 export class Logger {
   constructor(context = '') {
     this.context = context;
@@ -7,37 +48,37 @@ export class Logger {
   info(message, data = null) {
     const timestamp = new Date().toISOString();
     const contextStr = this.context ? `[${this.context}] ` : '';
-    const dataStr = data ? ` | Data: ${JSON.stringify(data, null, 2)}` : '';
+    const dataStr = formatData(data);
 
-    console.log(`ℹ️  ${timestamp} ${contextStr}${message}${dataStr}`);
+    console.log(`ℹ️  ${timestamp} ${contextStr}${redact(message)}${dataStr}`);
   }
 
   success(message, data = null) {
     const timestamp = new Date().toISOString();
     const contextStr = this.context ? `[${this.context}] ` : '';
-    const dataStr = data ? ` | Data: ${JSON.stringify(data, null, 2)}` : '';
+    const dataStr = formatData(data);
 
-    console.log(`✅ ${timestamp} ${contextStr}${message}${dataStr}`);
+    console.log(`✅ ${timestamp} ${contextStr}${redact(message)}${dataStr}`);
   }
 
   warn(message, data = null) {
     const timestamp = new Date().toISOString();
     const contextStr = this.context ? `[${this.context}] ` : '';
-    const dataStr = data ? ` | Data: ${JSON.stringify(data, null, 2)}` : '';
+    const dataStr = formatData(data);
 
-    console.log(`⚠️  ${timestamp} ${contextStr}${message}${dataStr}`);
+    console.log(`⚠️  ${timestamp} ${contextStr}${redact(message)}${dataStr}`);
   }
 
   error(message, error = null, data = null) {
     const timestamp = new Date().toISOString();
     const contextStr = this.context ? `[${this.context}] ` : '';
-    const errorStr = error ? ` | Error: ${error.message}` : '';
-    const dataStr = data ? ` | Data: ${JSON.stringify(data, null, 2)}` : '';
+    const errorStr = error ? ` | Error: ${redact(error.message)}` : '';
+    const dataStr = formatData(data);
 
-    console.error(`❌ ${timestamp} ${contextStr}${message}${errorStr}${dataStr}`);
+    console.error(`❌ ${timestamp} ${contextStr}${redact(message)}${errorStr}${dataStr}`);
 
     if (error && error.stack) {
-      console.error(`Stack trace: ${error.stack}`);
+      console.error(`Stack trace: ${redact(error.stack)}`);
     }
   }
 
@@ -45,9 +86,9 @@ export class Logger {
     if (process.env.DEBUG === 'true') {
       const timestamp = new Date().toISOString();
       const contextStr = this.context ? `[${this.context}] ` : '';
-      const dataStr = data ? ` | Data: ${JSON.stringify(data, null, 2)}` : '';
+      const dataStr = formatData(data);
 
-      console.log(`🐛 ${timestamp} ${contextStr}${message}${dataStr}`);
+      console.log(`🐛 ${timestamp} ${contextStr}${redact(message)}${dataStr}`);
     }
   }
 
@@ -105,9 +146,9 @@ export class Logger {
     this.info('Repository configuration loaded', {
       targetBranches: config.targetBranches,
       sourceFiles: config.sourceFiles,
-      languages: config.languages,
+      targetLocales: config.targetLocales,
       hasApiKey: !!config.projectApiKey,
-      createPRs: config.createPRs
+      delivery: config.delivery
     });
   }
 }
@@ -0,0 +1,59 @@
+import { getEffectiveConfig } from './validation.js';
+
+/**
+ * Escape a value for use inside a markdown table cell
+ */
+export function escapeTableCell(value) {
+  return String(value ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Truncate text to a maximum length, marking the cut with an ellipsis
+ */
+export function truncate(value, maxLength) {
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
+/**
+ * Shorten a commit SHA for display
+ */
+export function shortSha(sha) {
+  return sha ? sha.slice(0, 7) : '';
+}
+
+/**
+ * Describe how many translations were reused from the translation memory
+ */
+export function formatMemoryStats(memory) {
+  if (!memory?.lookups) {
+    return null;
+  }
+
+  const rate = Math.round((memory.exact / memory.lookups) * 100);
+  return `Translation memory: ${memory.exact} of ${memory.lookups} translations reused (${rate}%), ${memory.fuzzy} fuzzy matches suggested to the provider`;
+}
+
+/**
+ * Build the collapsible block showing the effective config of a run and where it came from
+ */
+export function formatEffectiveConfig(config) {
+  if (!config) {
+    return [];
+  }
+
+  const source = config.inheritedFrom
+    ? `${config.inheritedFrom.owner}/${config.inheritedFrom.repo} defaults with repository overrides`
+    : 'repository config';
+
+  return [
+    `<details><summary>Effective configuration (${source})</summary>`,
+    '',
+    '```json',
+    JSON.stringify(getEffectiveConfig(config), null, 2),
+    '```',
+    '',
+    '</details>'
+  ];
+}
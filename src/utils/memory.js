@@ -0,0 +1,143 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+
+import { MAX_FUZZY_CANDIDATES, MAX_FUZZY_SCORE } from './constants.js';
+import { hashText } from './lock.js';
+import path from 'path';
+
+const MEMORY_FILE_VERSION = 1;
+
+/**
+ * Normalize text for fuzzy comparison: case and runs of whitespace do not matter
+ */
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two strings between 0 and 1, based on their Levenshtein distance
+ * Returns 0 as soon as the similarity cannot reach minScore
+ */
+export function getSimilarity(a, b, minScore = 0) {
+  if (a === b) {
+    return 1;
+  }
+
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) {
+    return 1;
+  }
+
+  const maxDistance = Math.floor((1 - minScore) * maxLength);
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    if (Math.min(...current) > maxDistance) {
+      return 0;
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / maxLength;
+}
+
+/**
+ * Create a translation memory backed by one JSON file per locale pair
+ * Entries are keyed by source text and context. Exact matches (exact, score 1) can be reused
+ * as is; otherwise the closest entry scoring at least fuzzyThreshold is returned as a fuzzy
+ * match, which is only a hint: its source differs, if only in case or whitespace, so its
+ * translation may not fit. Fuzzy scores are capped at MAX_FUZZY_SCORE.
+ * Only the MAX_FUZZY_CANDIDATES entries closest in length are compared.
+ * Call load() for a locale pair before looking it up and save() to persist new entries.
+ */
+export function createTranslationMemory({ directory, fuzzyThreshold }) {
+  const stores = new Map();
+  const dirty = new Set();
+  const stats = { lookups: 0, exact: 0, fuzzy: 0 };
+
+  const getStoreName = (sourceLocale, targetLocale) => `${sourceLocale}--${targetLocale}`;
+  const getEntryId = (text, context) => hashText(`${context}\u0000${text}`);
+
+  const load = async(sourceLocale, targetLocale) => {
+    const name = getStoreName(sourceLocale, targetLocale);
+    if (stores.has(name)) {
+      return;
+    }
+
+    try {
+      const content = JSON.parse(await readFile(path.join(directory, `${name}.json`), 'utf8'));
+      stores.set(name, content.entries || {});
+    } catch {
+      stores.set(name, {});
+    }
+  };
+
+  const lookup = (text, { sourceLocale, targetLocale, context = '' }) => {
+    const entries = stores.get(getStoreName(sourceLocale, targetLocale)) || {};
+    stats.lookups++;
+
+    const exact = entries[getEntryId(text, context)];
+    if (exact) {
+      stats.exact++;
+      return { target: exact.target, source: exact.source, score: 1, exact: true };
+    }
+
+    const normalized = normalizeText(text);
+    const candidates = [];
+
+    for (const entry of Object.values(entries)) {
+      if (entry.context !== context) {
+        continue;
+      }
+
+      // Skip entries whose length alone rules out reaching the threshold
+      const candidate = normalizeText(entry.source);
+      const lengthRatio = Math.min(candidate.length, normalized.length) / Math.max(candidate.length, normalized.length, 1);
+      if (lengthRatio >= fuzzyThreshold) {
+        candidates.push({ entry, candidate, lengthDifference: Math.abs(candidate.length - normalized.length) });
+      }
+    }
+
+    let best = null;
+    candidates.sort((a, b) => a.lengthDifference - b.lengthDifference);
+    for (const { entry, candidate } of candidates.slice(0, MAX_FUZZY_CANDIDATES)) {
+      const score = getSimilarity(normalized, candidate, fuzzyThreshold);
+      if (score >= fuzzyThreshold && (!best || score > best.score)) {
+        best = { target: entry.target, source: entry.source, score };
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+    stats.fuzzy++;
+    return { ...best, score: Math.min(best.score, MAX_FUZZY_SCORE) };
+  };
+
+  const record = (text, target, { sourceLocale, targetLocale, context = '' }) => {
+    const name = getStoreName(sourceLocale, targetLocale);
+    const entries = stores.get(name) || {};
+    entries[getEntryId(text, context)] = { source: text, target, context, updatedAt: new Date().toISOString() };
+    stores.set(name, entries);
+    dirty.add(name);
+  };
+
+  // Write through a temporary file so a crash never leaves a partial store behind
+  const save = async() => {
+    await mkdir(directory, { recursive: true });
+
+    for (const name of dirty) {
+      const filePath = path.join(directory, `${name}.json`);
+      await writeFile(`${filePath}.tmp`, JSON.stringify({ version: MEMORY_FILE_VERSION, entries: stores.get(name) }));
+      await rename(`${filePath}.tmp`, filePath);
+    }
+    dirty.clear();
+  };
+
+  const getStats = () => ({ ...stats });
+
+  return { load, lookup, record, save, getStats };
+}
@@ -0,0 +1,33 @@
+// Tails of the pending work chains, by lock key
+const locks = new Map();
+
+/**
+ * Get the lock key of a branch in the event's repository
+ */
+export function getBranchLockKey(event, branch) {
+  return `${event.owner}/${event.repo}:${branch}`;
+}
+
+/**
+ * Run fn once every earlier holder of the same key has finished
+ * Locks are held in memory, so they serialize work within one app instance
+ */
+export async function withLock(key, fn) {
+  const previous = locks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  locks.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (locks.get(key) === tail) {
+      locks.delete(key);
+    }
+  }
+}
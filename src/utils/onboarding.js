@@ -0,0 +1,201 @@
+import { DEFAULT_CONFIG, DEFAULT_CONFIG_FILE, ONBOARDING_BRANCH } from './constants.js';
+import {
+  createBranch,
+  createOrUpdateFile,
+  createPullRequest,
+  getBranchHead,
+  getOpenPullRequests,
+  getRawFileContent,
+  getRepository,
+  listRepositoryFiles
+} from './api.js';
+
+import { Logger } from './logger.js';
+
+// Directories that never hold the project's own source strings
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|vendor|Pods|dist|build|\.git)\//;
+
+/**
+ * Layouts recognized as source locale files, most common first
+ * Each rule maps a matching path to a source file (or glob) and an output path template
+ */
+function getLocaleFileRules(locale) {
+  const escaped = locale.replace(/[-]/g, '[-_]');
+  return [
+    // locales/en.json, config/locales/en.yml, i18n/en.json
+    {
+      pattern: new RegExp(`^(.*?)([^/]+)/${escaped}\\.(json|ya?ml)$`),
+      build: ([path, prefix, dir, ext]) => ({ sourceFile: path, outputPath: `${prefix}${dir}/{locale}.${ext}` })
+    },
+    // locales/en/common.json (one namespace per file)
+    {
+      pattern: new RegExp(`^(.*?)${escaped}/[^/]+\\.(json|ya?ml)$`),
+      build: ([, prefix, ext]) => ({ sourceFile: `${prefix}${locale}/*.${ext}`, outputPath: `${prefix}{locale}/{namespace}.${ext}` })
+    },
+    // Flutter lib/l10n/app_en.arb
+    {
+      pattern: new RegExp(`^(.*?)([^/]+)_${escaped}\\.arb$`),
+      build: ([path, prefix, name]) => ({ sourceFile: path, outputPath: `${prefix}${name}_{locale}.arb` })
+    },
+    // Android res/values/strings.xml
+    {
+      pattern: /^(.*?)res\/values\/strings\.xml$/,
+      build: ([path, prefix]) => ({ sourceFile: path, outputPath: `${prefix}res/values-{locale}/strings.xml` })
+    },
+    // Apple en.lproj/Localizable.strings
+    {
+      pattern: new RegExp(`^(.*?)${escaped}\\.lproj/([^/]+\\.strings)$`),
+      build: ([path, prefix, name]) => ({ sourceFile: path, outputPath: `${prefix}{locale}.lproj/${name}` })
+    },
+    // gettext templates and XLIFF source files
+    {
+      pattern: /^(.*?)([^/]+)\.pot$/,
+      build: ([path, prefix]) => ({ sourceFile: path, outputPath: `${prefix}{locale}.po` })
+    },
+    {
+      pattern: new RegExp(`^(.*?)([^/]+\\.)?${escaped}\\.(xlf|xliff)$`),
+      build: ([path, prefix, name = '', ext]) => ({ sourceFile: path, outputPath: `${prefix}${name}{locale}.${ext}` })
+    }
+  ];
+}
+
+/**
+ * Detect likely source locale files in a repository file list
+ * Returns candidates ({ sourceFile, outputPath }) ordered by layout and path depth
+ */
+export function detectSourceFiles(files, locale = DEFAULT_CONFIG.sourceLocale) {
+  const candidates = [];
+  const seen = new Set();
+
+  getLocaleFileRules(locale).forEach((rule, priority) => {
+    for (const file of files) {
+      if (IGNORED_DIRECTORIES.test(file)) {
+        continue;
+      }
+
+      const match = file.match(rule.pattern);
+      if (!match) {
+        continue;
+      }
+
+      const candidate = rule.build(match);
+      if (!seen.has(candidate.sourceFile)) {
+        seen.add(candidate.sourceFile);
+        candidates.push({ ...candidate, priority, depth: file.split('/').length });
+      }
+    }
+  });
+
+  return candidates
+    .sort((a, b) => a.priority - b.priority || a.depth - b.depth)
+    .map(({ sourceFile, outputPath }) => ({ sourceFile, outputPath }));
+}
+
+/**
+ * Build the onboarding config from DEFAULT_CONFIG and the detected source file
+ */
+export function buildOnboardingConfig(candidate, defaultBranch) {
+  return {
+    targetBranches: [defaultBranch],
+    sourceFiles: candidate ? [candidate.sourceFile] : DEFAULT_CONFIG.sourceFiles,
+    sourceLocale: DEFAULT_CONFIG.sourceLocale,
+    targetLocales: DEFAULT_CONFIG.targetLocales,
+    ...(candidate && { outputPath: candidate.outputPath }),
+    provider: DEFAULT_CONFIG.provider
+  };
+}
+
+/**
+ * Build the onboarding pull request description
+ */
+function buildOnboardingBody(config, candidates) {
+  const branches = config.targetBranches.map(branch => `\`${branch}\``).join(', ');
+  const lines = [
+    `This pull request adds a Vocoder configuration so translations are generated for pull requests targeting ${branches}.`,
+    ''
+  ];
+
+  if (candidates.length > 0) {
+    lines.push(`Source strings were detected in \`${config.sourceFiles[0]}\`; translations will be written to \`${config.outputPath}\`.`);
+  } else {
+    lines.push(`No source locale file was detected, so the default \`${config.sourceFiles[0]}\` is used. Point \`sourceFiles\` at your source strings before merging.`);
+  }
+
+  if (candidates.length > 1) {
+    lines.push('', 'Other candidates:', '', ...candidates.slice(1, 10).map(({ sourceFile }) => `- \`${sourceFile}\``));
+  }
+
+  lines.push(
+    '',
+    `Review \`targetLocales\` and \`provider\` in \`${DEFAULT_CONFIG_FILE}\`, then merge to enable localization.`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Open a pull request adding the Vocoder config to a newly installed repository
+ * Repositories that already have a config or an open onboarding PR are skipped
+ */
+export async function createOnboardingPullRequest(event) {
+  const logger = new Logger('Onboarding');
+  const { owner, repo } = event;
+
+  const repository = await getRepository(event);
+  const defaultBranch = repository.default_branch;
+
+  if (repository.archived) {
+    logger.info(`${owner}/${repo} is archived, skipping onboarding`);
+    return { success: true, skipped: true };
+  }
+
+  if (await getRawFileContent(event, DEFAULT_CONFIG_FILE, defaultBranch) !== null) {
+    logger.info(`${owner}/${repo} already has ${DEFAULT_CONFIG_FILE}, skipping onboarding`);
+    return { success: true, skipped: true };
+  }
+
+  if (repository.size === 0) {
+    logger.info(`${owner}/${repo} is empty, skipping onboarding`);
+    return { success: true, skipped: true };
+  }
+
+  if ((await getOpenPullRequests(event, defaultBranch, ONBOARDING_BRANCH)).length > 0) {
+    logger.info(`${owner}/${repo} already has an open onboarding PR, skipping onboarding`);
+    return { success: true, skipped: true };
+  }
+
+  const headSha = await getBranchHead(event, defaultBranch);
+  const candidates = detectSourceFiles(await listRepositoryFiles(event, headSha));
+  const config = buildOnboardingConfig(candidates[0], defaultBranch);
+
+  // A retried job may find the branch and config from its previous attempt
+  try {
+    await createBranch(event, ONBOARDING_BRANCH, headSha);
+  } catch (error) {
+    if (error.status !== 422) {
+      throw error;
+    }
+    logger.info(`Branch ${ONBOARDING_BRANCH} already exists in ${owner}/${repo}, reusing it`);
+  }
+
+  if (await getRawFileContent(event, DEFAULT_CONFIG_FILE, ONBOARDING_BRANCH) === null) {
+    await createOrUpdateFile(event, {
+      path: DEFAULT_CONFIG_FILE,
+      content: `${JSON.stringify(config, null, 2)}\n`,
+      branch: ONBOARDING_BRANCH,
+      message: '🌍 Add Vocoder localization config'
+    });
+  }
+
+  const pullRequest = await createPullRequest(event, {
+    title: 'Configure Vocoder localization',
+    head: ONBOARDING_BRANCH,
+    base: defaultBranch,
+    body: buildOnboardingBody(config, candidates)
+  });
+
+  logger.success(`Opened onboarding PR #${pullRequest.number} in ${owner}/${repo}`, {
+    sourceFiles: config.sourceFiles
+  });
+  return { success: true, pullRequest };
+}
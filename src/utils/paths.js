@@ -0,0 +1,87 @@
+/**
+ * Check if a path contains glob characters
+ */
+export function isGlobPattern(pattern) {
+  return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Convert a file glob to a regular expression
+ * Supports "**" (any depth), "*" (within a segment), "?" and "{a,b}" alternatives
+ */
+export function globToRegExp(pattern) {
+  let regex = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      if (pattern[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        regex += '\\{';
+      } else {
+        const alternatives = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+        regex += `(?:${alternatives.join('|')})`;
+        i = end;
+      }
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Filter a list of paths with a set of literal paths and glob patterns
+ */
+export function matchPaths(paths, patterns) {
+  const matchers = patterns.map(pattern => globToRegExp(normalizePath(pattern)));
+  return paths.filter(path => matchers.some(matcher => matcher.test(path)));
+}
+
+/**
+ * Strip leading and trailing slashes from a repository path
+ */
+export function normalizePath(path) {
+  return path.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Get the namespace of a source file from its file name (e.g. "common" for "en/common.json")
+ */
+export function getNamespace(filePath) {
+  const fileName = filePath.split('/').pop();
+  return fileName.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Build the output path for a locale/namespace pair from a path template
+ * Supported placeholders: {outputDir}, {locale}, {namespace}, {ext}
+ */
+export function resolveOutputPath(template, { outputDir, locale, namespace, ext = 'json' }) {
+  return normalizePath(
+    template
+      .replace(/\{outputDir\}/g, outputDir)
+      .replace(/\{locale\}/g, locale)
+      .replace(/\{namespace\}/g, namespace)
+      .replace(/\{ext\}/g, ext)
+  );
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
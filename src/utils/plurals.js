@@ -0,0 +1,441 @@
+import { FILE_FORMATS, PLURAL_CATEGORIES } from './constants.js';
+import { MUSTACHE_PATTERN, RUBY_PATTERN } from './integrity.js';
+
+// i18next ordinal keys carry an extra marker: place_ordinal_one, place_ordinal_two...
+const ORDINAL_MARKER = '_ordinal';
+const PLURAL_KEY_PATTERN = new RegExp(`^(.+)([_.])(${PLURAL_CATEGORIES.join('|')})$`);
+const ICU_OPTION_TYPES = ['plural', 'select', 'selectordinal'];
+// Messages with many plural and select arguments only get their first variants rendered
+const MAX_MESSAGE_VARIANTS = 100;
+
+/**
+ * Get the CLDR plural categories a locale uses, in CLDR order
+ * type is 'cardinal' (1 file, 2 files) or 'ordinal' (1st, 2nd)
+ */
+export function getPluralCategories(locale, type = 'cardinal') {
+  let categories;
+  try {
+    categories = new Intl.PluralRules(locale, { type }).resolvedOptions().pluralCategories;
+  } catch {
+    categories = ['one', 'other'];
+  }
+  return PLURAL_CATEGORIES.filter(category => categories.includes(category));
+}
+
+/**
+ * Check if nested objects keyed by plural category (items.one/items.other) are plural groups
+ * Android <plurals> always are; elsewhere { one, two, other } may just be a menu, so the
+ * repository has to opt in with config.nestedPlurals
+ */
+export function usesNestedPlurals(config, format) {
+  return config.nestedPlurals === true || format === FILE_FORMATS.ANDROID;
+}
+
+/**
+ * Split a plural key into its base, separator and category, or return null
+ * Nested keys (items.one) only count with the nested option
+ */
+function parsePluralKey(key, { nested = false } = {}) {
+  const match = key.match(PLURAL_KEY_PATTERN);
+  if (!match || (match[2] === '.' && !nested)) {
+    return null;
+  }
+  return { base: match[1], separator: match[2], category: match[3] };
+}
+
+/**
+ * Find the plural groups among flat keys: items_one/items_other, or items.one/items.other
+ * with the nested option (see usesNestedPlurals)
+ * A group needs an `other` form and at least one more, so a lone "other" key is a plain string
+ * Returns [{ key, base, separator, type, forms }], where key is the `other` key and forms
+ * maps each category to its key
+ */
+export function findPluralGroups(keys, options = {}) {
+  const groups = new Map();
+
+  for (const key of keys) {
+    const parsed = parsePluralKey(key, options);
+    if (!parsed) {
+      continue;
+    }
+
+    const id = `${parsed.base}${parsed.separator}`;
+    if (!groups.has(id)) {
+      groups.set(id, {
+        base: parsed.base,
+        separator: parsed.separator,
+        type: parsed.separator === '_' && parsed.base.endsWith(ORDINAL_MARKER) ? 'ordinal' : 'cardinal',
+        forms: {}
+      });
+    }
+    groups.get(id).forms[parsed.category] = key;
+  }
+
+  return [...groups.values()]
+    .filter(group => group.forms.other && Object.keys(group.forms).length > 1)
+    .map(group => ({ ...group, key: group.forms.other }));
+}
+
+/**
+ * Get the key of one plural form, following the convention of its group
+ */
+export function getPluralKey(group, category) {
+  return `${group.base}${group.separator}${category}`;
+}
+
+/**
+ * Parse the ICU arguments of a message, rewriting the options of plural arguments
+ * rewrite(type, options) receives and returns the [{ selector, body }] options of every
+ * plural and selectordinal argument, nested ones included
+ * Returns { message, args }: the rewritten message and its top-level arguments with their
+ * position in the original message; throws on malformed ICU
+ */
+function parseMessageArguments(message, rewrite = (type, options) => options) {
+  const verbatim = new RegExp(`${MUSTACHE_PATTERN.source}|${RUBY_PATTERN.source}`, 'y');
+  const args = [];
+  let pos = 0;
+
+  const readUntil = (stops) => {
+    const start = pos;
+    while (pos < message.length && !stops.includes(message[pos])) {
+      pos++;
+    }
+    if (pos >= message.length) {
+      throw new Error('Unclosed "{"');
+    }
+    return message.slice(start, pos).trim();
+  };
+
+  const readMessage = (depth) => {
+    let output = '';
+
+    while (pos < message.length) {
+      verbatim.lastIndex = pos;
+      const token = verbatim.exec(message);
+      const char = message[pos];
+
+      if (token) {
+        output += token[0];
+        pos += token[0].length;
+      } else if (char === '\'' && (message[pos + 1] === '{' || message[pos + 1] === '}')) {
+        // An apostrophe before a brace quotes literal text up to the next apostrophe
+        const end = message.indexOf('\'', pos + 1);
+        const start = pos;
+        pos = end === -1 ? message.length : end + 1;
+        output += message.slice(start, pos);
+      } else if (char === '{') {
+        output += readArgument(depth);
+      } else if (char === '}') {
+        if (depth === 0) {
+          throw new Error('Unexpected "}"');
+        }
+        return output;
+      } else {
+        output += char;
+        pos++;
+      }
+    }
+
+    if (depth > 0) {
+      throw new Error('Unclosed "{"');
+    }
+    return output;
+  };
+
+  const readArgument = (depth) => {
+    const start = pos++;
+    const name = readUntil([',', '}']);
+    if (message[pos] === '}') {
+      pos++;
+      return message.slice(start, pos);
+    }
+
+    pos++;
+    const type = readUntil([',', '}']);
+    if (message[pos] === '}' || !ICU_OPTION_TYPES.includes(type)) {
+      // number, date and time styles are copied as they are
+      readUntil(['}']);
+      pos++;
+      return message.slice(start, pos);
+    }
+
+    pos++;
+    const options = [];
+    let offset = '';
+    for (;;) {
+      let selector = readUntil(['{', '}']);
+      if (message[pos] === '}') {
+        pos++;
+        break;
+      }
+
+      const offsetMatch = selector.match(/^(offset:\S+)\s*(.*)$/);
+      if (offsetMatch) {
+        [, offset, selector] = offsetMatch;
+      }
+
+      pos++;
+      const body = readMessage(depth + 1);
+      pos++;
+      options.push({ selector, body });
+    }
+
+    if (depth === 0) {
+      args.push({ name, type, options, start, end: pos });
+    }
+
+    const rewritten = type === 'select' ? options : rewrite(type, options);
+    const optionText = rewritten.map(({ selector, body }) => `${selector} {${body}}`).join(' ');
+    return `{${name}, ${type}, ${offset ? `${offset} ` : ''}${optionText}}`;
+  };
+
+  return { message: readMessage(0), args };
+}
+
+/**
+ * Rewrite the plural arguments of an ICU message with the categories of a target locale
+ * Missing categories start from the `other` text, so the translator sees every form to
+ * write, and categories the locale does not use are dropped; exact matches (=0) are kept.
+ * Messages that are not valid ICU are returned unchanged.
+ */
+export function expandPluralMessage(message, locale) {
+  const rewrite = (type, options) => {
+    const other = options.find(({ selector }) => selector === 'other');
+    if (!other) {
+      return options;
+    }
+
+    const exact = options.filter(({ selector }) => selector.startsWith('='));
+    const categories = getPluralCategories(locale, type === 'selectordinal' ? 'ordinal' : 'cardinal');
+    return [
+      ...exact,
+      ...categories.map(category => options.find(({ selector }) => selector === category) || { ...other, selector: category })
+    ];
+  };
+
+  try {
+    return parseMessageArguments(message, rewrite).message;
+  } catch {
+    return message;
+  }
+}
+
+/**
+ * Join the forms of a plural group into one ICU plural message
+ * Returns null when a form would not survive as ICU text, e.g. with unbalanced braces
+ */
+export function joinPluralGroup(group, strings) {
+  const forms = Object.fromEntries(
+    PLURAL_CATEGORIES
+      .filter(category => group.forms[category] && group.forms[category] in strings)
+      .map(category => [category, strings[group.forms[category]]])
+  );
+  return joinPluralForms(forms, group.type);
+}
+
+/**
+ * Join plural forms ({ one: 'One file', other: '%d files' }) into one ICU plural message
+ * type is 'cardinal' or 'ordinal'; returns null when a form would not survive as ICU text
+ */
+export function joinPluralForms(forms, type = 'cardinal') {
+  const argumentType = type === 'ordinal' ? 'selectordinal' : 'plural';
+  const options = PLURAL_CATEGORIES
+    .filter(category => forms[category] !== undefined)
+    .map(category => `${category} {${forms[category]}}`);
+  const message = `{count, ${argumentType}, ${options.join(' ')}}`;
+
+  try {
+    const { args } = parseMessageArguments(message);
+    return args.length === 1 && args[0].options.length === options.length ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a translated plural message back into the keys of its group
+ * Text around the plural argument belongs to every form. Returns null when the
+ * translation is no longer a single plural message with an `other` form.
+ */
+export function splitPluralMessage(message, group) {
+  let args;
+  try {
+    ({ args } = parseMessageArguments(message));
+  } catch {
+    return null;
+  }
+
+  const [arg] = args;
+  if (args.length !== 1 || !ICU_OPTION_TYPES.includes(arg.type) || !arg.options.some(({ selector }) => selector === 'other')) {
+    return null;
+  }
+
+  const before = message.slice(0, arg.start);
+  const after = message.slice(arg.end);
+  return Object.fromEntries(
+    arg.options
+      .filter(({ selector }) => PLURAL_CATEGORIES.includes(selector))
+      .map(({ selector, body }) => [getPluralKey(group, selector), `${before}${body}${after}`])
+  );
+}
+
+/**
+ * Split an ICU plural message into its forms ({ one: '1 file', other: '# files' }), or
+ * return null when it is not a single plural message
+ */
+export function getPluralForms(message) {
+  return splitPluralMessage(message, { base: '', separator: '' });
+}
+
+/**
+ * Render the texts an ICU message can show, one per combination of plural and select
+ * options: '{n, plural, one {# file} other {# files}} left' gives '# file left' and
+ * '# files left'. `#` and simple arguments stay as written. A message that is not valid
+ * ICU is its only variant.
+ */
+export function getMessageVariants(message) {
+  let args;
+  try {
+    ({ args } = parseMessageArguments(message));
+  } catch {
+    return [message];
+  }
+
+  let variants = [''];
+  let pos = 0;
+  for (const arg of args) {
+    const literal = message.slice(pos, arg.start);
+    const bodies = arg.options.flatMap(({ body }) => getMessageVariants(body));
+    variants = variants
+      .flatMap(variant => bodies.map(body => `${variant}${literal}${body}`))
+      .slice(0, MAX_MESSAGE_VARIANTS);
+    pos = arg.end;
+  }
+
+  return [...new Set(variants.map(variant => `${variant}${message.slice(pos)}`))];
+}
+
+/**
+ * Prepare flat strings for translation into one locale
+ * Each complete plural group travels as one ICU message under its `other` key, and every
+ * plural message gets the categories of the locale (see expandPluralMessage)
+ * Returns { strings, groups } with the groups to split back after translation
+ */
+export function preparePluralStrings(strings, locale, options = {}) {
+  const prepared = {};
+  const groups = [];
+  const grouped = new Set();
+
+  for (const group of findPluralGroups(Object.keys(strings), options)) {
+    const message = joinPluralGroup(group, strings);
+    if (message) {
+      groups.push(group);
+      Object.values(group.forms).forEach(key => grouped.add(key));
+      prepared[group.key] = expandPluralMessage(message, locale);
+    }
+  }
+
+  for (const [key, text] of Object.entries(strings)) {
+    if (!grouped.has(key)) {
+      prepared[key] = expandPluralMessage(String(text), locale);
+    }
+  }
+
+  return { strings: prepared, groups };
+}
+
+/**
+ * Split the translated plural groups back into one key per category
+ * Returns { strings, failed } with the `other` keys of groups that could not be split
+ */
+export function restorePluralStrings(translations, groups) {
+  const strings = { ...translations };
+  const failed = [];
+
+  for (const group of groups) {
+    if (!(group.key in strings)) {
+      continue;
+    }
+
+    const forms = splitPluralMessage(strings[group.key], group);
+    delete strings[group.key];
+    if (forms) {
+      Object.assign(strings, forms);
+    } else {
+      failed.push(group.key);
+    }
+  }
+
+  return { strings, failed };
+}
+
+/**
+ * Add the whole plural group of every added or updated plural form to a change set
+ * The forms of a group are translated together, so one changed form retranslates them all
+ */
+export function expandPluralChanges(changes, sourceStrings = {}, options = {}) {
+  const changed = new Set([...Object.keys(changes.added), ...Object.keys(changes.updated)]);
+  const updated = { ...changes.updated };
+
+  for (const group of findPluralGroups(Object.keys(sourceStrings), options)) {
+    const forms = Object.values(group.forms);
+    if (!forms.some(key => changed.has(key))) {
+      continue;
+    }
+    for (const key of forms) {
+      if (!(key in changes.added)) {
+        updated[key] = sourceStrings[key];
+      }
+    }
+  }
+
+  return { ...changes, updated };
+}
+
+/**
+ * Find the plural groups of a source whose target strings lack a category the locale needs
+ * Returns the groups, e.g. items_one/items_other for a Polish file without items_few
+ */
+export function findMissingPluralForms(sourceStrings, targetStrings, locale, options = {}) {
+  return findPluralGroups(Object.keys(sourceStrings), options).filter(group =>
+    getPluralCategories(locale, group.type).some(category => targetStrings[getPluralKey(group, category)] === undefined)
+  );
+}
+
+/**
+ * Get the plural forms among flat keys that a locale does not use, e.g. items_one in Japanese
+ */
+export function getUnusedPluralKeys(keys, locale, options = {}) {
+  const unused = new Set();
+
+  for (const group of findPluralGroups(keys, options)) {
+    const categories = getPluralCategories(locale, group.type);
+    for (const [category, key] of Object.entries(group.forms)) {
+      if (!categories.includes(category)) {
+        unused.add(key);
+      }
+    }
+  }
+
+  return unused;
+}
+
+/**
+ * Add the source of generated plural forms to source strings, for checking translations
+ * A form the source does not have (items_few) is checked against the `other` form
+ */
+export function addPluralSources(sourceStrings, translations, options = {}) {
+  const sources = { ...sourceStrings };
+
+  for (const strings of Object.values(translations)) {
+    for (const key of Object.keys(strings)) {
+      const parsed = key in sources ? null : parsePluralKey(key, options);
+      const otherKey = parsed && `${parsed.base}${parsed.separator}other`;
+      if (otherKey && otherKey in sources) {
+        sources[key] = sources[otherKey];
+      }
+    }
+  }
+
+  return sources;
+}
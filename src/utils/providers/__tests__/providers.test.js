@@ -0,0 +1,274 @@
+import { afterAll, afterEach, beforeAll, describe, expect, test } from '@jest/globals';
+import { createBatches, createTranslationProvider, getProviderBaseUrl, translateStrings } from '../index.js';
+
+import { ENV_VARS } from '../../constants.js';
+import { URL } from 'url';
+import { createDeepLProvider } from '../deepl.js';
+import { createGoogleProvider } from '../google.js';
+import { createOpenAICompatibleProvider } from '../openai-compatible.js';
+import { createServer } from 'http';
+import { createVocoderProvider } from '../vocoder.js';
+
+// Local stand-in for the provider APIs: every request is recorded and answered by the
+// handler of its path, so each provider is tested against its real request format
+const requests = [];
+const handlers = {};
+let server;
+let baseUrl;
+
+beforeAll(async() => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body: JSON.parse(body || '{}') };
+      requests.push(request);
+
+      const handler = handlers[url.pathname];
+      const [status, response] = handler ? handler(request) : [404, { error: 'not found' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async() => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(() => {
+  requests.length = 0;
+  for (const path of Object.keys(handlers)) {
+    delete handlers[path];
+  }
+  delete process.env[ENV_VARS.PROVIDER_BASE_URL];
+});
+
+const entries = [
+  { key: 'greeting', text: 'Hello' },
+  { key: 'farewell', text: 'Goodbye' }
+];
+
+describe('DeepL provider', () => {
+  test('sends the texts with the auth key and maps the results back to their keys', async() => {
+    handlers['/v2/translate'] = ({ body }) => [200, { translations: body.text.map(text => ({ text: `fr:${text}` })) }];
+    const provider = createDeepLProvider({ apiKey: 'secret', baseUrl, glossaryIds: { fr: 'glossary-1' } });
+
+    const result = await provider.translateBatch(entries, { sourceLocale: 'en-US', targetLocale: 'fr' });
+
+    expect(result).toEqual({ greeting: 'fr:Hello', farewell: 'fr:Goodbye' });
+    expect(requests[0].headers.authorization).toBe('DeepL-Auth-Key secret');
+    expect(requests[0].body).toEqual({ text: ['Hello', 'Goodbye'], source_lang: 'EN', target_lang: 'FR', glossary_id: 'glossary-1' });
+  });
+
+  test('rejects a response with a different number of results', async() => {
+    handlers['/v2/translate'] = () => [200, { translations: [{ text: 'Bonjour' }] }];
+    const provider = createDeepLProvider({ apiKey: 'secret', baseUrl });
+
+    await expect(provider.translateBatch(entries, { sourceLocale: 'en', targetLocale: 'fr' }))
+      .rejects.toThrow('returned 1 results for 2 strings');
+  });
+});
+
+describe('Google provider', () => {
+  test('passes the key as a query parameter', async() => {
+    handlers['/language/translate/v2'] = ({ body }) =>
+      [200, { data: { translations: body.q.map(text => ({ translatedText: `de:${text}` })) } }];
+    const provider = createGoogleProvider({ apiKey: 'a key', baseUrl });
+
+    const result = await provider.translateBatch(entries, { sourceLocale: 'en', targetLocale: 'de' });
+
+    expect(result).toEqual({ greeting: 'de:Hello', farewell: 'de:Goodbye' });
+    expect(requests[0].query.get('key')).toBe('a key');
+    expect(requests[0].body).toEqual({ q: ['Hello', 'Goodbye'], source: 'en', target: 'de', format: 'text' });
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  test('asks for a JSON object keyed like the request and parses the completion', async() => {
+    handlers['/chat/completions'] = () =>
+      [200, { choices: [{ message: { content: JSON.stringify({ greeting: 'Hola', farewell: 'Adiós' }) } }] }];
+    const provider = createOpenAICompatibleProvider({ apiKey: 'secret', baseUrl, model: 'test-model' });
+
+    const result = await provider.translateBatch(
+      [
+        { ...entries[0], context: { description: 'Shown on the home page' }, constraints: { maxLength: 10 } },
+        { ...entries[1], suggestion: { source: 'Good bye', translation: 'Adiós' } }
+      ],
+      {
+        sourceLocale: 'en',
+        targetLocale: 'es',
+        glossary: [{ term: 'Vocoder', translation: 'Vocoder' }, { term: 'pull request', translation: 'solicitud de cambios' }]
+      }
+    );
+
+    expect(result).toEqual({ greeting: 'Hola', farewell: 'Adiós' });
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body.model).toBe('test-model');
+    expect(JSON.parse(requests[0].body.messages[1].content)).toEqual({ greeting: 'Hello', farewell: 'Goodbye' });
+
+    const prompt = requests[0].body.messages[0].content;
+    expect(prompt).toContain('from en to es');
+    expect(prompt).toContain('Never translate these terms: "Vocoder"');
+    expect(prompt).toContain('Always use these translations: "pull request" -> "solicitud de cambios"');
+    expect(prompt).toContain('Shown on the home page');
+    expect(prompt).toContain('"maxLength":10');
+    expect(prompt).toContain('"translation":"Adiós"');
+  });
+
+  test('rejects an empty completion', async() => {
+    handlers['/chat/completions'] = () => [200, { choices: [] }];
+    const provider = createOpenAICompatibleProvider({ baseUrl });
+
+    await expect(provider.translateBatch(entries, { sourceLocale: 'en', targetLocale: 'es' }))
+      .rejects.toThrow('empty completion');
+  });
+});
+
+describe('Vocoder provider', () => {
+  test('sends keyed strings with their glossary and context', async() => {
+    handlers['/v1/translate'] = ({ body }) =>
+      [200, { translations: Object.fromEntries(Object.entries(body.strings).map(([key, text]) => [key, `it:${text}`])) }];
+    const provider = createVocoderProvider({ apiKey: 'secret', baseUrl });
+
+    const result = await provider.translateBatch(
+      [{ ...entries[0], context: { description: 'A greeting' } }, entries[1]],
+      { sourceLocale: 'en', targetLocale: 'it', glossary: [{ term: 'Hello', translation: 'Ciao' }] }
+    );
+
+    expect(result).toEqual({ greeting: 'it:Hello', farewell: 'it:Goodbye' });
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+    expect(requests[0].body).toEqual({
+      sourceLocale: 'en',
+      targetLocale: 'it',
+      strings: { greeting: 'Hello', farewell: 'Goodbye' },
+      glossary: [{ term: 'Hello', translation: 'Ciao' }],
+      context: { greeting: { description: 'A greeting' } }
+    });
+  });
+
+  test('carries the HTTP status of a failed request', async() => {
+    handlers['/v1/translate'] = () => [503, { error: 'unavailable' }];
+    const provider = createVocoderProvider({ apiKey: 'secret', baseUrl });
+
+    await expect(provider.translateBatch(entries, { sourceLocale: 'en', targetLocale: 'it' }))
+      .rejects.toMatchObject({ status: 503 });
+  });
+});
+
+describe('createTranslationProvider', () => {
+  test('takes the endpoint from the server and the credential from the resolved key', async() => {
+    process.env[ENV_VARS.PROVIDER_BASE_URL] = baseUrl;
+    handlers['/chat/completions'] = () => [200, { choices: [{ message: { content: '{"greeting":"Ciao","farewell":"Addio"}' } }] }];
+    const provider = createTranslationProvider({
+      provider: 'openai-compatible',
+      projectApiKey: 'resolved',
+      providerOptions: { apiKey: 'from-repo', baseUrl: 'http://example.invalid' }
+    });
+
+    await provider.translateBatch(entries, { sourceLocale: 'en', targetLocale: 'it' });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers.authorization).toBe('Bearer resolved');
+  });
+
+  test('only lets the server redirect the OpenAI-compatible provider', () => {
+    process.env[ENV_VARS.PROVIDER_BASE_URL] = baseUrl;
+
+    expect(getProviderBaseUrl('openai-compatible')).toBe(baseUrl);
+    for (const name of ['deepl', 'google', 'vocoder']) {
+      expect(getProviderBaseUrl(name)).toBeUndefined();
+    }
+  });
+
+  test('lets repositories tighten the limits but not loosen them', () => {
+    const provider = createTranslationProvider({
+      provider: 'openai-compatible',
+      providerOptions: { limits: { maxBatchSize: 10, maxBatchCharacters: 1000000, minRequestInterval: 60000 } }
+    });
+
+    expect(provider.limits).toEqual({ maxBatchSize: 10, maxBatchCharacters: 8000, minRequestInterval: 1000 });
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createTranslationProvider({ provider: 'nope' })).toThrow('Unknown translation provider: nope');
+  });
+});
+
+describe('createBatches', () => {
+  test('splits entries by count and by characters', () => {
+    const texts = ['aaaa', 'bbbb', 'cccc', 'dd'].map((text, index) => ({ key: `k${index}`, text }));
+
+    expect(createBatches(texts, { maxBatchSize: 3 }).map(batch => batch.length)).toEqual([3, 1]);
+    expect(createBatches(texts, { maxBatchCharacters: 8 }).map(batch => batch.length)).toEqual([2, 2]);
+  });
+});
+
+describe('translateStrings', () => {
+  const limits = { maxBatchSize: 1, maxBatchCharacters: Infinity, minRequestInterval: 0 };
+
+  test('passes each locale its own glossary terms', async() => {
+    const calls = [];
+    const provider = {
+      name: 'stub',
+      limits,
+      translateBatch: async([entry], { targetLocale, glossary }) => {
+        calls.push({ targetLocale, glossary });
+        return { [entry.key]: entry.text };
+      }
+    };
+    const glossary = {
+      doNotTranslate: ['Vocoder'],
+      terms: [{ term: 'pull request', translations: { fr: 'demande de tirage' } }]
+    };
+
+    await translateStrings(provider, { greeting: 'Hello' }, { sourceLocale: 'en', targetLocales: ['fr', 'de'], glossary });
+
+    expect(calls).toEqual([
+      {
+        targetLocale: 'fr',
+        glossary: [{ term: 'Vocoder', translation: 'Vocoder' }, { term: 'pull request', translation: 'demande de tirage' }]
+      },
+      { targetLocale: 'de', glossary: [{ term: 'Vocoder', translation: 'Vocoder' }] }
+    ]);
+  });
+
+  test('reports the keys of a failed batch and keeps the others', async() => {
+    const provider = {
+      name: 'stub',
+      limits,
+      translateBatch: async([entry], { targetLocale }) => {
+        if (entry.key === 'farewell') {
+          throw Object.assign(new Error('Server error'), { status: 500 });
+        }
+        return { [entry.key]: `${targetLocale}:${entry.text}` };
+      }
+    };
+    const failures = [];
+
+    const result = await translateStrings(provider, { greeting: 'Hello', farewell: 'Goodbye' }, {
+      sourceLocale: 'en',
+      targetLocales: ['fr'],
+      failures
+    });
+
+    expect(result).toEqual({ fr: { greeting: 'fr:Hello' } });
+    expect(failures).toEqual([{ key: 'farewell', locale: 'fr', message: 'Server error' }]);
+  });
+
+  test('fails the whole run on a credential error', async() => {
+    const provider = {
+      name: 'stub',
+      limits,
+      translateBatch: async() => {
+        throw Object.assign(new Error('Forbidden'), { status: 403 });
+      }
+    };
+
+    await expect(translateStrings(provider, { greeting: 'Hello' }, { sourceLocale: 'en', targetLocales: ['fr'] }))
+      .rejects.toMatchObject({ status: 403 });
+  });
+});
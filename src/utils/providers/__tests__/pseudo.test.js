@@ -0,0 +1,68 @@
+import { createPseudoProvider, isPseudoLocale, pseudoLocalize } from '../pseudo.js';
+import { createTranslationProvider, isPseudoTranslation } from '../index.js';
+import { describe, expect, test } from '@jest/globals';
+
+const RLO = '\u202E';
+const PDF = '\u202C';
+
+describe('pseudoLocalize', () => {
+  test('accents letters and brackets the message', () => {
+    expect(pseudoLocalize('Save file')).toBe('[Šáṽé ƒíļé]');
+  });
+
+  test('pads the text by the expansion factor', () => {
+    expect(pseudoLocalize('Save', { accents: false, expansion: 0.5 })).toBe('[Save ~~]');
+  });
+
+  test('copies placeholders, HTML tags and entities verbatim', () => {
+    expect(pseudoLocalize('Hi {{name}}, <b>%s</b> &amp; %{count}', { brackets: false }))
+      .toBe('Ĥí {{name}}, <b>%s</b> &amp; %{count}');
+  });
+
+  test('transforms only the option messages of ICU arguments', () => {
+    expect(pseudoLocalize('{count, plural, one {# file} other {# files}} on {date, date, short}', { brackets: false }))
+      .toBe('{count, plural, one {# ƒíļé} other {# ƒíļéš}} óñ {date, date, short}');
+    expect(pseudoLocalize('{role, select, admin {Admin} other {User}}', { brackets: false }))
+      .toBe('{role, select, admin {Áðɱíñ} other {Úšéŕ}}');
+  });
+
+  test('keeps quoted ICU text', () => {
+    expect(pseudoLocalize('Use \'{braces}\' here', { brackets: false })).toBe('Úšé \'{braces}\' ĥéŕé');
+  });
+
+  test('replaces glossary terms with their translation', () => {
+    expect(pseudoLocalize('Open Vocoder', { brackets: false, terms: [{ term: 'Vocoder', translation: 'Vocoder' }] }))
+      .toBe('Óþéñ Vocoder');
+  });
+
+  test('wraps each word in bidi marks for right-to-left output', () => {
+    expect(pseudoLocalize('Save {name}', { accents: false, brackets: false, rtl: true }))
+      .toBe(`${RLO}Save${PDF} {name}`);
+  });
+});
+
+describe('pseudo-locales', () => {
+  test('are recognized by their region', () => {
+    expect(isPseudoLocale('en-XA')).toBe(true);
+    expect(isPseudoLocale('ar-xb')).toBe(true);
+    expect(isPseudoLocale('en-US')).toBe(false);
+    expect(isPseudoLocale('fr')).toBe(false);
+    expect(isPseudoLocale('sr-Latn-XA')).toBe(true);
+  });
+
+  test('get right-to-left output without accents for ar-XB', async() => {
+    const provider = createPseudoProvider();
+
+    expect(await provider.translateBatch([{ key: 'save', text: 'Save' }], { targetLocale: 'ar-XB' }))
+      .toEqual({ save: `[${RLO}Save${PDF}]` });
+  });
+
+  test('are translated by the pseudo provider whatever the configured provider', async() => {
+    const provider = createTranslationProvider({ provider: 'mock', providerOptions: { delay: 0 } });
+
+    expect(await provider.translateBatch([{ key: 'save', text: 'Save' }], { targetLocale: 'en-XA' })).toEqual({ save: '[Šáṽé]' });
+    expect(await provider.translateBatch([{ key: 'save', text: 'Save' }], { targetLocale: 'fr' })).toEqual({ save: '[FR] Save' });
+    expect(isPseudoTranslation(provider, 'en-XA')).toBe(true);
+    expect(isPseudoTranslation(provider, 'fr')).toBe(false);
+  });
+});
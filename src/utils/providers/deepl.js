@@ -0,0 +1,34 @@
+import { PROVIDER_BASE_URLS, PROVIDER_LIMITS, TRANSLATION_PROVIDERS } from '../constants.js';
+import { joinUrl, mapResultsToKeys, postJson } from './shared.js';
+
+/**
+ * DeepL provider
+ * Free-tier keys (ending in ":fx") are routed to the free API host
+ * DeepL glossaries are managed in DeepL; map target locales to their ids with glossaryIds
+ */
+export function createDeepLProvider({ apiKey = '', baseUrl, glossaryIds = {} } = {}) {
+  const resolvedBaseUrl = baseUrl || (apiKey.endsWith(':fx')
+    ? PROVIDER_BASE_URLS.DEEPL_FREE
+    : PROVIDER_BASE_URLS[TRANSLATION_PROVIDERS.DEEPL]);
+
+  return {
+    name: TRANSLATION_PROVIDERS.DEEPL,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.DEEPL],
+
+    async translateBatch(entries, { sourceLocale, targetLocale }) {
+      const data = await postJson(
+        joinUrl(resolvedBaseUrl, '/v2/translate'),
+        {
+          text: entries.map(({ text }) => text),
+          // DeepL only accepts the base language for the source
+          source_lang: sourceLocale.split('-')[0].toUpperCase(),
+          target_lang: targetLocale.toUpperCase(),
+          ...(glossaryIds[targetLocale] && { glossary_id: glossaryIds[targetLocale] })
+        },
+        { Authorization: `DeepL-Auth-Key ${apiKey}` }
+      );
+
+      return mapResultsToKeys(entries, (data.translations || []).map(({ text }) => text));
+    }
+  };
+}
@@ -0,0 +1,29 @@
+import { PROVIDER_BASE_URLS, PROVIDER_LIMITS, TRANSLATION_PROVIDERS } from '../constants.js';
+import { joinUrl, mapResultsToKeys, postJson } from './shared.js';
+
+/**
+ * Google Cloud Translation (v2) provider
+ */
+export function createGoogleProvider({ apiKey, baseUrl = PROVIDER_BASE_URLS[TRANSLATION_PROVIDERS.GOOGLE] } = {}) {
+  return {
+    name: TRANSLATION_PROVIDERS.GOOGLE,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.GOOGLE],
+
+    async translateBatch(entries, { sourceLocale, targetLocale }) {
+      const data = await postJson(
+        `${joinUrl(baseUrl, '/language/translate/v2')}?key=${encodeURIComponent(apiKey)}`,
+        {
+          q: entries.map(({ text }) => text),
+          source: sourceLocale,
+          target: targetLocale,
+          format: 'text'
+        }
+      );
+
+      return mapResultsToKeys(
+        entries,
+        (data.data?.translations || []).map(({ translatedText }) => translatedText)
+      );
+    }
+  };
+}
@@ -0,0 +1,205 @@
+import { ENV_VARS, MAX_PROVIDER_DELAY, TRANSLATION_PROVIDERS } from '../constants.js';
+import { createPseudoProvider, isPseudoLocale } from './pseudo.js';
+
+import { Logger } from '../logger.js';
+import { createDeepLProvider } from './deepl.js';
+import { createGoogleProvider } from './google.js';
+import { createMockProvider } from './mock.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createVocoderProvider } from './vocoder.js';
+import { getLocaleGlossary } from '../glossary.js';
+
+const PROVIDER_FACTORIES = {
+  [TRANSLATION_PROVIDERS.DEEPL]: createDeepLProvider,
+  [TRANSLATION_PROVIDERS.GOOGLE]: createGoogleProvider,
+  [TRANSLATION_PROVIDERS.MOCK]: createMockProvider,
+  [TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE]: createOpenAICompatibleProvider,
+  [TRANSLATION_PROVIDERS.VOCODER]: createVocoderProvider
+};
+
+/**
+ * Create the translation provider selected in the repository config
+ * providerOptions (model, glossaryIds, limits...) are passed through to the provider factory;
+ * the credential and endpoint always come from the server, never from the repository
+ * The pseudo provider is configured with pseudoLocalization, which also applies to the
+ * pseudo-locales (en-XA, ar-XB) other providers hand over to it
+ */
+export function createTranslationProvider(config) {
+  const { provider: name = TRANSLATION_PROVIDERS.MOCK, providerOptions = {}, projectApiKey } = config;
+  const pseudo = createPseudoProvider(config.pseudoLocalization);
+
+  if (name === TRANSLATION_PROVIDERS.PSEUDO) {
+    return pseudo;
+  }
+
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown translation provider: ${name}`);
+  }
+
+  const provider = factory({
+    ...providerOptions,
+    apiKey: projectApiKey,
+    baseUrl: getProviderBaseUrl(name)
+  });
+
+  // Allow repositories to tighten the default request limits, never to loosen them
+  if (providerOptions.limits) {
+    const { maxBatchSize = Infinity, maxBatchCharacters = Infinity, minRequestInterval = 0 } = providerOptions.limits;
+    provider.limits = {
+      maxBatchSize: Math.min(provider.limits.maxBatchSize, maxBatchSize),
+      maxBatchCharacters: Math.min(provider.limits.maxBatchCharacters, maxBatchCharacters),
+      minRequestInterval: Math.max(provider.limits.minRequestInterval, Math.min(minRequestInterval, MAX_PROVIDER_DELAY))
+    };
+  }
+
+  return {
+    ...provider,
+    translateBatch: (entries, options) => isPseudoLocale(options.targetLocale)
+      ? pseudo.translateBatch(entries, options)
+      : provider.translateBatch(entries, options)
+  };
+}
+
+/**
+ * Get the endpoint the server sets for a provider with PROVIDER_BASE_URL
+ * Only the OpenAI-compatible provider can be pointed elsewhere (a proxy or a self-hosted
+ * model): the keys of the other providers only ever go to their own APIs
+ */
+export function getProviderBaseUrl(name) {
+  return (name === TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE && process.env[ENV_VARS.PROVIDER_BASE_URL]) || undefined;
+}
+
+/**
+ * Check if translations into a locale come from pseudo-localization
+ * Pseudo output is never a real translation, so it is kept out of the translation memory
+ */
+export function isPseudoTranslation(provider, locale) {
+  return provider.name === TRANSLATION_PROVIDERS.PSEUDO || isPseudoLocale(locale);
+}
+
+/**
+ * Split key/value entries into batches that respect the provider limits
+ */
+export function createBatches(entries, { maxBatchSize = Infinity, maxBatchCharacters = Infinity } = {}) {
+  const batches = [];
+  let current = [];
+  let currentCharacters = 0;
+
+  for (const entry of entries) {
+    const characters = entry.text.length;
+    const exceedsLimits =
+      current.length >= maxBatchSize ||
+      currentCharacters + characters > maxBatchCharacters;
+
+    if (current.length > 0 && exceedsLimits) {
+      batches.push(current);
+      current = [];
+      currentCharacters = 0;
+    }
+
+    current.push(entry);
+    currentCharacters += characters;
+  }
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Translate flat key/value strings into every target locale
+ * Returns the common result shape: { [locale]: { [key]: translation } }
+ * Keys that fail are left out and reported through the optional failures array
+ * The glossary terms of each locale are passed to the provider as [{ term, translation }]
+ * Entries carry the context of their key, if any ({ description, maxLength, screenshot }),
+ * its constraints ({ maxLength, maxLines, forbiddenCharacters }), a translation memory
+ * suggestion for a similar source ({ source, translation }) and, when asking for a
+ * shorter variant, the previous translation that broke them
+ */
+export async function translateStrings(
+  provider,
+  strings,
+  {
+    sourceLocale,
+    targetLocales,
+    failures = [],
+    glossary = null,
+    context = {},
+    constraints = {},
+    suggestions = {},
+    previous = {}
+  }
+) {
+  const logger = new Logger('Provider');
+  const entries = Object.entries(strings).map(([key, text]) => ({
+    key,
+    text: String(text),
+    ...(context[key] && { context: context[key] }),
+    ...(constraints[key] && { constraints: constraints[key] }),
+    ...(suggestions[key] && { suggestion: suggestions[key] }),
+    ...(previous[key] !== undefined && { previous: previous[key] })
+  }));
+  const batches = createBatches(entries, provider.limits);
+  const translations = {};
+  let lastRequestAt = 0;
+
+  for (const targetLocale of targetLocales) {
+    translations[targetLocale] = {};
+    const localeGlossary = getLocaleGlossary(glossary, targetLocale);
+
+    for (const batch of batches) {
+      await waitForRequestSlot(lastRequestAt, provider.limits?.minRequestInterval);
+      lastRequestAt = Date.now();
+
+      let result;
+      try {
+        result = await provider.translateBatch(batch, { sourceLocale, targetLocale, glossary: localeGlossary });
+      } catch (error) {
+        // Credential errors affect every request, so fail the whole run
+        if (error.status === 401 || error.status === 403) {
+          throw error;
+        }
+
+        logger.warn(`Batch translation to ${targetLocale} failed`, {
+          provider: provider.name,
+          keys: batch.length,
+          error: error.message
+        });
+        failures.push(...batch.map(({ key }) => ({ key, locale: targetLocale, message: error.message })));
+        continue;
+      }
+
+      for (const { key } of batch) {
+        if (typeof result[key] !== 'string') {
+          failures.push({
+            key,
+            locale: targetLocale,
+            message: `Translation provider '${provider.name}' returned no translation`
+          });
+          continue;
+        }
+        translations[targetLocale][key] = result[key];
+      }
+    }
+
+    logger.debug(`Translated ${entries.length} strings to ${targetLocale}`, {
+      provider: provider.name,
+      batches: batches.length
+    });
+  }
+
+  return translations;
+}
+
+/**
+ * Wait until the provider's minimum request interval has passed
+ */
+async function waitForRequestSlot(lastRequestAt, minRequestInterval = 0) {
+  const remaining = lastRequestAt + minRequestInterval - Date.now();
+  if (remaining > 0) {
+    await new Promise((resolve) => setTimeout(resolve, remaining));
+  }
+}
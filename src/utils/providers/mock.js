@@ -0,0 +1,27 @@
+import { MOCK_TRANSLATION_DELAY, PROVIDER_LIMITS, TRANSLATION_PROVIDERS } from '../constants.js';
+
+/**
+ * Mock provider that prefixes each string with the target locale
+ * Glossary terms are replaced with their required translations
+ * Used when no real provider is configured
+ */
+export function createMockProvider({ delay = MOCK_TRANSLATION_DELAY } = {}) {
+  return {
+    name: TRANSLATION_PROVIDERS.MOCK,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.MOCK],
+
+    async translateBatch(entries, { targetLocale, glossary = [] }) {
+      // Simulate API delay
+      await new Promise((resolve) => setTimeout(resolve, delay));
+
+      const applyGlossary = (text) => glossary.reduce(
+        (result, { term, translation }) => result.split(term).join(translation),
+        text
+      );
+
+      return Object.fromEntries(
+        entries.map(({ key, text }) => [key, `[${targetLocale.toUpperCase()}] ${applyGlossary(text)}`])
+      );
+    }
+  };
+}
@@ -0,0 +1,105 @@
+import {
+  DEFAULT_OPENAI_MODEL,
+  PROVIDER_BASE_URLS,
+  PROVIDER_LIMITS,
+  TRANSLATION_PROVIDERS
+} from '../constants.js';
+import { joinUrl, postJson } from './shared.js';
+
+/**
+ * Provider for any OpenAI-compatible chat completions API
+ * The model is asked to return a JSON object keyed by the same keys it was sent, and can
+ * be asked for a shorter variant of a translation that breaks the constraints of its key
+ */
+export function createOpenAICompatibleProvider({
+  apiKey,
+  baseUrl = PROVIDER_BASE_URLS[TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE],
+  model = DEFAULT_OPENAI_MODEL
+} = {}) {
+  return {
+    name: TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.OPENAI_COMPATIBLE],
+    canShorten: true,
+
+    async translateBatch(entries, { sourceLocale, targetLocale, glossary = [] }) {
+      const strings = Object.fromEntries(entries.map(({ key, text }) => [key, text]));
+
+      const data = await postJson(
+        joinUrl(baseUrl, '/chat/completions'),
+        {
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            {
+              role: 'system',
+              content: buildSystemPrompt(sourceLocale, targetLocale, glossary, entries)
+            },
+            {
+              role: 'user',
+              content: JSON.stringify(strings)
+            }
+          ]
+        },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new Error('Translation provider returned an empty completion');
+      }
+
+      return JSON.parse(content);
+    }
+  };
+}
+
+/**
+ * Build the translator instructions for a locale pair and the context of the batch
+ */
+function buildSystemPrompt(sourceLocale, targetLocale, glossary, entries) {
+  const lines = [
+    `You translate software UI strings from ${sourceLocale} to ${targetLocale}.`,
+    'You receive a JSON object mapping keys to source strings.',
+    'Reply with a JSON object with exactly the same keys mapping to the translated strings.',
+    'Keep placeholders, ICU syntax and HTML tags unchanged.'
+  ];
+
+  const doNotTranslate = glossary.filter(({ term, translation }) => term === translation);
+  const required = glossary.filter(({ term, translation }) => term !== translation);
+
+  if (doNotTranslate.length > 0) {
+    lines.push(`Never translate these terms: ${doNotTranslate.map(({ term }) => JSON.stringify(term)).join(', ')}.`);
+  }
+
+  if (required.length > 0) {
+    lines.push(`Always use these translations: ${required.map(({ term, translation }) => `${JSON.stringify(term)} -> ${JSON.stringify(translation)}`).join(', ')}.`);
+  }
+
+  // Screenshots are references the model cannot open, so only the text context is sent;
+  // the max length of a context is part of the constraints of its key
+  const descriptions = entries
+    .filter(({ context }) => context?.description)
+    .map(({ key, context }) => [key, context.description]);
+  if (descriptions.length > 0) {
+    lines.push(`What the strings of some keys mean: ${JSON.stringify(Object.fromEntries(descriptions))}.`);
+  }
+
+  const constraints = entries.filter(entry => entry.constraints).map(({ key, constraints }) => [key, constraints]);
+  if (constraints.length > 0) {
+    lines.push(`The translations of some keys must fit the UI: at most maxLength characters and maxLines lines, without any of the forbiddenCharacters: ${JSON.stringify(Object.fromEntries(constraints))}.`);
+  }
+
+  // Memory suggestions come from similar but different source strings, so they only guide the wording
+  const suggestions = entries.filter(entry => entry.suggestion).map(({ key, suggestion }) => [key, suggestion]);
+  if (suggestions.length > 0) {
+    lines.push(`Earlier translations of similar source strings, to reuse their wording where it still fits: ${JSON.stringify(Object.fromEntries(suggestions))}.`);
+  }
+
+  const previous = entries.filter(entry => entry.previous !== undefined).map(({ key, previous }) => [key, previous]);
+  if (previous.length > 0) {
+    lines.push(`These earlier translations did not fit, so reply with shorter variants that keep the meaning: ${JSON.stringify(Object.fromEntries(previous))}.`);
+  }
+
+  return lines.join(' ');
+}
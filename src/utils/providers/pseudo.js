@@ -0,0 +1,231 @@
+import {
+  HTML_TAG_PATTERN,
+  MUSTACHE_PATTERN,
+  PRINTF_PATTERN,
+  RUBY_PATTERN
+} from '../integrity.js';
+import { PROVIDER_LIMITS, PSEUDO_LOCALE_REGIONS, RTL_LANGUAGES, TRANSLATION_PROVIDERS } from '../constants.js';
+
+import { getTermPattern } from '../glossary.js';
+
+// Accented lookalikes of ASCII letters: the text stays readable, but anything left
+// unaccented on screen was never sent through localization
+const ACCENTED_LETTERS = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ó', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'ú', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ó', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Ú', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Right-to-left override and pop directional formatting: each word renders mirrored,
+// as it would in a right-to-left language
+const RLO = '\u202E';
+const PDF = '\u202C';
+const PADDING_CHARACTER = '~';
+
+// Placeholders, HTML tags and entities are copied verbatim
+const PROTECTED_PATTERN = new RegExp(
+  [MUSTACHE_PATTERN.source, RUBY_PATTERN.source, PRINTF_PATTERN.source, HTML_TAG_PATTERN.source, '%%', '&#?\\w+;'].join('|'),
+  'y'
+);
+
+const ICU_OPTION_TYPES = ['plural', 'select', 'selectordinal'];
+
+/**
+ * Check if a locale is a pseudo-locale: en-XA (accented and expanded) or ar-XB (right-to-left)
+ */
+export function isPseudoLocale(locale) {
+  return Object.values(PSEUDO_LOCALE_REGIONS).includes(parseLocale(locale).region);
+}
+
+/**
+ * Check if a locale gets right-to-left pseudo-localization
+ */
+function isRightToLeft(locale) {
+  const { language, region } = parseLocale(locale);
+  return region === PSEUDO_LOCALE_REGIONS.RTL || RTL_LANGUAGES.includes(language);
+}
+
+/**
+ * Read the language and region of a BCP 47 tag such as sr-Latn-XA
+ */
+function parseLocale(locale) {
+  try {
+    const { language, region } = new Intl.Locale(locale);
+    return { language, region };
+  } catch {
+    return { language: locale, region: undefined };
+  }
+}
+
+/**
+ * Pseudo-localize a message, keeping placeholders, HTML tags and ICU syntax intact
+ * Only the literal text is changed, including the text of plural and select options
+ * Options:
+ *   accents - replace letters with accented lookalikes
+ *   expansion - pad the text by this fraction of its length to expose truncation
+ *   brackets - wrap the message in [ ] to expose concatenated or clipped strings
+ *   rtl - wrap each word in bidi marks so it renders right-to-left
+ *   terms - glossary entries ({ term, translation }) replaced by their translation
+ */
+export function pseudoLocalize(message, { accents = true, expansion = 0, brackets = true, rtl = false, terms = [] } = {}) {
+  const text = String(message);
+  const termPatterns = terms.map(({ term, translation }) => ({ pattern: getTermPattern(term, 'y'), translation }));
+  let letters = 0;
+  let pos = 0;
+
+  const transformLiteral = (literal) => {
+    letters += (literal.match(/\p{L}/gu) || []).length;
+    const accented = accents ? Array.from(literal, char => ACCENTED_LETTERS[char] || char).join('') : literal;
+    return rtl ? accented.replace(/\S+/g, word => `${RLO}${word}${PDF}`) : accented;
+  };
+
+  // Copy a token starting at pos if one is there: a placeholder, a glossary term or quoted ICU text
+  const readVerbatim = () => {
+    PROTECTED_PATTERN.lastIndex = pos;
+    const placeholder = PROTECTED_PATTERN.exec(text);
+    if (placeholder) {
+      pos += placeholder[0].length;
+      return placeholder[0];
+    }
+
+    for (const { pattern, translation } of termPatterns) {
+      pattern.lastIndex = pos;
+      const term = pattern.exec(text);
+      if (term) {
+        pos += term[0].length;
+        return translation;
+      }
+    }
+
+    // An apostrophe before a brace quotes literal ICU text up to the next apostrophe
+    if (text[pos] === '\'' && (text[pos + 1] === '{' || text[pos + 1] === '}')) {
+      const end = text.indexOf('\'', pos + 1);
+      const start = pos;
+      pos = end === -1 ? text.length : end + 1;
+      return text.slice(start, pos);
+    }
+
+    return null;
+  };
+
+  // Read an ICU argument from its "{" to its "}", transforming only the option messages
+  const readArgument = () => {
+    const start = pos;
+    const readTo = (stops) => {
+      while (pos < text.length && !stops.includes(text[pos])) {
+        pos++;
+      }
+      return pos < text.length;
+    };
+
+    pos++;
+    if (!readTo([',', '}'])) {
+      return text.slice(start);
+    }
+    if (text[pos] === '}') {
+      pos++;
+      return text.slice(start, pos);
+    }
+
+    const typeStart = ++pos;
+    if (!readTo([',', '}'])) {
+      return text.slice(start);
+    }
+    const type = text.slice(typeStart, pos).trim();
+
+    // number, date and other formatted arguments are copied, styles included
+    if (!ICU_OPTION_TYPES.includes(type)) {
+      let depth = 1;
+      for (pos++; pos < text.length && depth > 0; pos++) {
+        depth += text[pos] === '{' ? 1 : text[pos] === '}' ? -1 : 0;
+      }
+      return text.slice(start, pos);
+    }
+
+    let output = text.slice(start, ++pos);
+    for (;;) {
+      const selectorStart = pos;
+      if (!readTo(['{', '}'])) {
+        return output + text.slice(selectorStart);
+      }
+      output += text.slice(selectorStart, pos);
+
+      if (text[pos] === '}') {
+        pos++;
+        return `${output}}`;
+      }
+
+      pos++;
+      output += `{${readMessage(1, type !== 'select')}`;
+      if (text[pos] !== '}') {
+        return output;
+      }
+      pos++;
+      output += '}';
+    }
+  };
+
+  // Read message text up to the "}" closing it; # is the number inside plural options
+  const readMessage = (depth, inPlural) => {
+    let output = '';
+    let literal = '';
+    const flush = () => {
+      output += transformLiteral(literal);
+      literal = '';
+    };
+
+    while (pos < text.length) {
+      const verbatim = readVerbatim();
+      if (verbatim !== null) {
+        flush();
+        output += verbatim;
+      } else if (text[pos] === '{') {
+        flush();
+        output += readArgument();
+      } else if (text[pos] === '}' && depth > 0) {
+        break;
+      } else if (text[pos] === '#' && inPlural) {
+        flush();
+        output += text[pos++];
+      } else {
+        literal += text[pos++];
+      }
+    }
+
+    flush();
+    return output;
+  };
+
+  const pseudo = readMessage(0, false);
+  const padding = PADDING_CHARACTER.repeat(Math.ceil(letters * expansion));
+  const padded = padding ? `${pseudo} ${padding}` : pseudo;
+  return brackets ? `[${padded}]` : padded;
+}
+
+/**
+ * Pseudo-localization provider
+ * Produces instant, deterministic output for QA: accented letters, length expansion and
+ * bracket markers, or right-to-left text for ar-XB and right-to-left languages. Glossary
+ * terms are replaced by their required translation.
+ */
+export function createPseudoProvider({ accents = true, expansion = 0, brackets = true } = {}) {
+  return {
+    name: TRANSLATION_PROVIDERS.PSEUDO,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.PSEUDO],
+
+    async translateBatch(entries, { targetLocale, glossary = [] }) {
+      const rtl = isRightToLeft(targetLocale);
+      const options = {
+        // Right-to-left text is checked for layout, so it keeps the letters readable
+        accents: accents && !rtl,
+        expansion,
+        brackets,
+        rtl,
+        terms: glossary
+      };
+
+      return Object.fromEntries(entries.map(({ key, text }) => [key, pseudoLocalize(text, options)]));
+    }
+  };
+}
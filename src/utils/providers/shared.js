@@ -0,0 +1,48 @@
+import fetch from 'node-fetch';
+
+/**
+ * POST a JSON body to a provider endpoint and return the parsed JSON response
+ * Throws an error carrying the HTTP status when the request fails
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    const error = new Error(
+      `Translation provider request failed with status ${response.status}${text ? `: ${text}` : ''}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * Join a base URL and a path without doubling slashes
+ */
+export function joinUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Pair positional provider results back up with their keys
+ */
+export function mapResultsToKeys(entries, results) {
+  if (results.length !== entries.length) {
+    throw new Error(
+      `Translation provider returned ${results.length} results for ${entries.length} strings`
+    );
+  }
+
+  return Object.fromEntries(entries.map(({ key }, index) => [key, results[index]]));
+}
@@ -0,0 +1,31 @@
+import { PROVIDER_BASE_URLS, PROVIDER_LIMITS, TRANSLATION_PROVIDERS } from '../constants.js';
+import { joinUrl, postJson } from './shared.js';
+
+/**
+ * Vocoder translation API provider
+ * Sends keyed strings so the service can use its own project context, along with the
+ * context the repository gives for them
+ */
+export function createVocoderProvider({ apiKey, baseUrl = PROVIDER_BASE_URLS[TRANSLATION_PROVIDERS.VOCODER] } = {}) {
+  return {
+    name: TRANSLATION_PROVIDERS.VOCODER,
+    limits: PROVIDER_LIMITS[TRANSLATION_PROVIDERS.VOCODER],
+
+    async translateBatch(entries, { sourceLocale, targetLocale, glossary = [] }) {
+      const context = entries.filter(entry => entry.context).map(({ key, context }) => [key, context]);
+      const data = await postJson(
+        joinUrl(baseUrl, '/v1/translate'),
+        {
+          sourceLocale,
+          targetLocale,
+          strings: Object.fromEntries(entries.map(({ key, text }) => [key, text])),
+          ...(glossary.length > 0 && { glossary }),
+          ...(context.length > 0 && { context: Object.fromEntries(context) })
+        },
+        { Authorization: `Bearer ${apiKey}` }
+      );
+
+      return data.translations || {};
+    }
+  };
+}
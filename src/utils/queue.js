@@ -0,0 +1,175 @@
+import { mkdir, readFile, readdir, rename, unlink, writeFile } from 'fs/promises';
+
+import { Logger } from './logger.js';
+import { QUEUE_LIMITS } from './constants.js';
+import { createHash } from 'crypto';
+import path from 'path';
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, capped at maxDelay
+ */
+export function getRetryDelay(attempts, { baseDelay, maxDelay } = QUEUE_LIMITS) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempts - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Create a durable job queue backed by one JSON file per job
+ * A job file is only removed once its handler succeeds, so jobs interrupted by a
+ * crash or deploy run again after a restart (at-least-once). Jobs are identified by
+ * key and enqueueing a key that is already pending is a no-op. Jobs that keep failing
+ * are moved to the dead-letter directory after maxAttempts, named after their id and the
+ * time they failed, so a key that fails again later does not replace the earlier failure.
+ */
+export function createJobQueue({ directory, handlers, ...options }) {
+  const logger = new Logger('Queue');
+  const limits = { ...QUEUE_LIMITS, ...options };
+  const jobsDir = path.join(directory, 'jobs');
+  const deadDir = path.join(directory, 'dead');
+
+  let timer = null;
+  let running = null;
+  let stopped = true;
+
+  const getJobPath = (dir, id) => path.join(dir, `${id}.json`);
+
+  // Write through a temporary file so a crash never leaves a partial job behind
+  const saveJob = async(dir, job, name = job.id) => {
+    const filePath = getJobPath(dir, name);
+    await writeFile(`${filePath}.tmp`, JSON.stringify(job, null, 2));
+    await rename(`${filePath}.tmp`, filePath);
+  };
+
+  const loadJobs = async(dir) => {
+    const files = (await readdir(dir)).filter(file => file.endsWith('.json'));
+    const jobs = [];
+
+    for (const file of files) {
+      try {
+        jobs.push(JSON.parse(await readFile(path.join(dir, file), 'utf8')));
+      } catch (error) {
+        logger.warn(`Skipping unreadable job file ${file}`, { error: error.message });
+      }
+    }
+
+    return jobs;
+  };
+
+  const ready = mkdir(jobsDir, { recursive: true }).then(() => mkdir(deadDir, { recursive: true }));
+
+  /**
+   * Store a job; resolves once it is on disk
+   */
+  const enqueue = async(type, key, data) => {
+    await ready;
+    const id = createHash('sha256').update(`${type}:${key}`).digest('hex').slice(0, 24);
+
+    try {
+      const existing = JSON.parse(await readFile(getJobPath(jobsDir, id), 'utf8'));
+      logger.info(`Job ${type} ${key} is already queued`, { id });
+      return existing;
+    } catch {
+      // Not queued yet
+    }
+
+    const now = Date.now();
+    const job = { id, type, key, data, attempts: 0, createdAt: now, runAt: now, lastError: null };
+    await saveJob(jobsDir, job);
+    logger.info(`Queued job ${type} ${key}`, { id });
+
+    schedule(0);
+    return job;
+  };
+
+  const runJob = async(job) => {
+    const handler = handlers[job.type];
+    job.attempts++;
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type '${job.type}'`);
+      }
+
+      logger.info(`Running job ${job.type} ${job.key}`, { id: job.id, attempt: job.attempts });
+      await handler(job, { enqueue });
+      await unlink(getJobPath(jobsDir, job.id));
+      logger.success(`Job ${job.type} ${job.key} completed`, { id: job.id });
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (!handler || job.attempts >= limits.maxAttempts) {
+        job.failedAt = Date.now();
+        await saveJob(deadDir, job, `${job.id}-${job.failedAt}`);
+        await unlink(getJobPath(jobsDir, job.id));
+        logger.error(`Job ${job.type} ${job.key} moved to dead letter after ${job.attempts} attempt(s)`, error, { id: job.id });
+        return;
+      }
+
+      job.runAt = Date.now() + getRetryDelay(job.attempts, limits);
+      await saveJob(jobsDir, job);
+      logger.warn(`Job ${job.type} ${job.key} failed, retrying at ${new Date(job.runAt).toISOString()}`, {
+        id: job.id,
+        attempt: job.attempts,
+        error: error.message
+      });
+    }
+  };
+
+  // Run due jobs one at a time, oldest first
+  const processDueJobs = async() => {
+    const jobs = (await loadJobs(jobsDir))
+      .filter(job => job.runAt <= Date.now())
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const job of jobs) {
+      if (stopped) {
+        return;
+      }
+      await runJob(job);
+    }
+  };
+
+  const schedule = (delay = limits.pollInterval) => {
+    if (stopped || running) {
+      return;
+    }
+
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      running = processDueJobs()
+        .catch(error => logger.error('Job queue processing failed', error))
+        .finally(() => {
+          running = null;
+          schedule();
+        });
+    }, delay);
+  };
+
+  /**
+   * Start processing, including jobs left over from a previous run
+   */
+  const start = async() => {
+    await ready;
+    stopped = false;
+    const pending = (await loadJobs(jobsDir)).length;
+    logger.info(`Job queue started with ${pending} pending job(s)`, { directory });
+    schedule(0);
+  };
+
+  /**
+   * Stop processing; waits for the job in progress, which stays queued if it was interrupted
+   */
+  const stop = async() => {
+    stopped = true;
+    clearTimeout(timer);
+    await running;
+  };
+
+  const getStats = async() => {
+    await ready;
+    const [pending, dead] = await Promise.all([loadJobs(jobsDir), loadJobs(deadDir)]);
+    return { pending: pending.length, dead: dead.length };
+  };
+
+  return { enqueue, start, stop, getStats };
+}
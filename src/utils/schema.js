@@ -0,0 +1,465 @@
+import {
+  DEFAULT_CONFIG,
+  DEFAULT_CONFIG_FILE,
+  DELIVERY_MODES,
+  DELIVERY_TARGETS,
+  FILE_FORMATS,
+  FORK_POLICIES,
+  HUMAN_EDIT_POLICIES,
+  INTEGRITY_MODES,
+  ISSUE_LEVELS,
+  MAX_PROVIDER_DELAY,
+  TRANSLATION_PROVIDERS
+} from './constants.js';
+import { toCanonicalLocale, validateLocale } from './validation.js';
+
+import { findKeyLine } from './formats/index.js';
+import { getSimilarity } from './memory.js';
+import { isGlobPattern } from './paths.js';
+import { isSecretReference } from './secrets.js';
+
+// Keys still read for older configs, mapped to the key that replaces them
+const DEPRECATED_KEYS = {
+  languages: 'targetLocales',
+  sourceFile: 'sourceFiles'
+};
+
+// Minimum similarity for an unknown key to be reported as a typo of a known one
+const SUGGESTION_THRESHOLD = 0.6;
+
+/**
+ * Format a value's type for error messages
+ */
+function describeType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Check if a value is a plain object (not null or an array)
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a repository path or glob pattern, returning a problem message or null
+ * Brace alternatives cannot be nested and patterns must stay inside the repository
+ */
+export function checkPathPattern(pattern) {
+  if (!pattern) {
+    return 'must not be empty';
+  }
+
+  if (pattern.startsWith('/') || /^[A-Za-z]:[\\/]/.test(pattern)) {
+    return 'must be relative to the repository root';
+  }
+
+  if (pattern.split(/[\\/]/).includes('..')) {
+    return 'must not point outside the repository';
+  }
+
+  let depth = 0;
+  for (const char of pattern) {
+    if (char === '{') {
+      depth++;
+      if (depth > 1) {
+        return 'nested braces are not supported';
+      }
+    } else if (char === '}') {
+      depth--;
+      if (depth < 0) {
+        return 'has an unmatched "}"';
+      }
+    }
+  }
+
+  if (depth > 0) {
+    return 'has an unmatched "{"';
+  }
+
+  if (/\{\}/.test(pattern)) {
+    return 'has empty braces';
+  }
+
+  return null;
+}
+
+/**
+ * Rule factories: each rule checks a value at a path and returns [{ path, message }]
+ */
+const rules = {
+  string: () => (value, path) =>
+    typeof value === 'string' ? [] : [{ path, message: `must be a string, got ${describeType(value)}` }],
+
+  boolean: () => (value, path) =>
+    typeof value === 'boolean' ? [] : [{ path, message: `must be true or false, got ${describeType(value)}` }],
+
+  object: () => (value, path) =>
+    isPlainObject(value) ? [] : [{ path, message: `must be an object, got ${describeType(value)}` }],
+
+  map: (keyRule, valueRule) => (value, path) => {
+    if (!isPlainObject(value)) {
+      return [{ path, message: `must be an object, got ${describeType(value)}` }];
+    }
+    return Object.entries(value).flatMap(([key, item]) => [
+      ...keyRule(key, `${path}.${key}`),
+      ...valueRule(item, `${path}.${key}`)
+    ]);
+  },
+
+  nullable: (rule) => (value, path) =>
+    value === null ? [] : rule(value, path),
+
+  oneOf: (values) => (value, path) =>
+    values.includes(value)
+      ? []
+      : [{ path, message: `must be one of ${values.map(item => `"${item}"`).join(', ')}, got ${JSON.stringify(value)}` }],
+
+  locale: () => (value, path) => {
+    if (typeof value !== 'string') {
+      return [{ path, message: `must be a locale string, got ${describeType(value)}` }];
+    }
+    return validateLocale(value)
+      ? []
+      : [{ path, message: `"${value}" is not a valid BCP 47 locale (expected e.g. "fr", "pt-BR" or "zh-Hant")` }];
+  },
+
+  path: () => (value, path) => {
+    if (typeof value !== 'string') {
+      return [{ path, message: `must be a path string, got ${describeType(value)}` }];
+    }
+    const problem = checkPathPattern(value);
+    return problem ? [{ path, message: `"${value}" ${problem}` }] : [];
+  },
+
+  secretReference: () => (value, path) => {
+    if (typeof value !== 'string') {
+      return [{ path, message: `must be a string, got ${describeType(value)}` }];
+    }
+    return value && !isSecretReference(value)
+      ? [{ path, message: 'must not contain a plaintext API key; store the key as a server-side secret and reference it as "secret:<name>"' }]
+      : [];
+  },
+
+  number: ({ min, max, includeMin = false, integer = false }) => (value, path) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return [{ path, message: `must be a number, got ${describeType(value)}` }];
+    }
+    if (integer && !Number.isInteger(value)) {
+      return [{ path, message: `must be a whole number, got ${value}` }];
+    }
+    if (includeMin) {
+      return value >= min && value <= max ? [] : [{ path, message: `must be between ${min} and ${max}, got ${value}` }];
+    }
+    const bound = max === Infinity ? '' : ` and at most ${max}`;
+    return value > min && value <= max ? [] : [{ path, message: `must be greater than ${min}${bound}, got ${value}` }];
+  },
+
+  // With unique, items are compared by identity(item), e.g. locales in canonical form
+  array: (itemRule, { nonEmpty = false, unique = false, identity = item => item } = {}) => (value, path) => {
+    if (!Array.isArray(value)) {
+      return [{ path, message: `must be an array, got ${describeType(value)}` }];
+    }
+    if (nonEmpty && value.length === 0) {
+      return [{ path, message: 'must not be empty' }];
+    }
+
+    const problems = value.flatMap((item, index) => itemRule(item, `${path}[${index}]`));
+    if (unique) {
+      const identities = value.map(identity);
+      identities.forEach((item, index) => {
+        if (identities.indexOf(item) !== index) {
+          problems.push({ path: `${path}[${index}]`, message: `"${value[index]}" is listed more than once` });
+        }
+      });
+    }
+    return problems;
+  },
+
+  shape: (schema) => (value, path) => {
+    if (!isPlainObject(value)) {
+      return [{ path, message: `must be an object, got ${describeType(value)}` }];
+    }
+    return checkKeys(value, schema, `${path}.`);
+  },
+
+  forbidden: (message) => (value, path) => [{ path, message }],
+
+  either: (...alternatives) => (value, path) => {
+    const results = alternatives.map(rule => rule(value, path));
+    return results.find(problems => problems.length === 0) || results[results.length - 1];
+  }
+};
+
+const TRANSLATION_MEMORY_SCHEMA = {
+  enabled: rules.boolean(),
+  fuzzyThreshold: rules.number({ min: 0, max: 1 })
+};
+
+const PROVIDER_LIMITS_SCHEMA = {
+  maxBatchSize: rules.number({ min: 0, max: Infinity, integer: true }),
+  maxBatchCharacters: rules.number({ min: 0, max: Infinity, integer: true }),
+  minRequestInterval: rules.number({ min: 0, max: MAX_PROVIDER_DELAY, includeMin: true })
+};
+
+// Credentials and endpoints belong to the server: a repository pointing the provider at
+// its own host would receive the key the server resolved for it
+const PROVIDER_OPTIONS_SCHEMA = {
+  model: rules.string(),
+  glossaryIds: rules.map(rules.locale(), rules.string()),
+  delay: rules.number({ min: 0, max: MAX_PROVIDER_DELAY, includeMin: true }),
+  limits: rules.shape(PROVIDER_LIMITS_SCHEMA),
+  apiKey: rules.forbidden('must not be set in the config; store the key as a server-side secret and reference it with "projectApiKey": "secret:<name>"'),
+  baseUrl: rules.forbidden('must not be set in the config; the server sets the provider endpoint')
+};
+
+const CONSTRAINT_SCHEMA = {
+  maxLength: rules.number({ min: 0, max: Infinity, integer: true }),
+  maxLines: rules.number({ min: 0, max: Infinity, integer: true }),
+  forbiddenCharacters: rules.string()
+};
+
+const PSEUDO_LOCALIZATION_SCHEMA = {
+  accents: rules.boolean(),
+  expansion: rules.number({ min: 0, max: 3, includeMin: true }),
+  brackets: rules.boolean()
+};
+
+// The accepted config keys and the rule each value must satisfy
+const CONFIG_SCHEMA = {
+  targetBranches: rules.array(rules.string(), { nonEmpty: true }),
+  sourceFiles: rules.array(rules.path(), { nonEmpty: true }),
+  sourceLocale: rules.locale(),
+  targetLocales: rules.array(rules.locale(), { nonEmpty: true, unique: true, identity: toCanonicalLocale }),
+  localeMapping: rules.map(rules.locale(), rules.string()),
+  localeFallbacks: rules.map(rules.locale(), rules.locale()),
+  outputDir: rules.path(),
+  outputPath: rules.nullable(rules.path()),
+  format: rules.nullable(rules.oneOf(Object.values(FILE_FORMATS))),
+  nestedPlurals: rules.boolean(),
+  projectApiKey: rules.secretReference(),
+  humanEdits: rules.oneOf(Object.values(HUMAN_EDIT_POLICIES)),
+  integrity: rules.oneOf(Object.values(INTEGRITY_MODES)),
+  delivery: rules.oneOf(Object.values(DELIVERY_MODES)),
+  deliveryTarget: rules.oneOf(Object.values(DELIVERY_TARGETS)),
+  forks: rules.oneOf(Object.values(FORK_POLICIES)),
+  translationMemory: rules.either(rules.boolean(), rules.shape(TRANSLATION_MEMORY_SCHEMA)),
+  glossary: rules.nullable(rules.path()),
+  context: rules.nullable(rules.path()),
+  verbatimKeys: rules.array(rules.string()),
+  constraints: rules.map(rules.string(), rules.shape(CONSTRAINT_SCHEMA)),
+  provider: rules.oneOf(Object.values(TRANSLATION_PROVIDERS)),
+  providerOptions: rules.shape(PROVIDER_OPTIONS_SCHEMA),
+  pseudoLocalization: rules.shape(PSEUDO_LOCALIZATION_SCHEMA),
+  languages: rules.array(rules.locale(), { nonEmpty: true, unique: true, identity: toCanonicalLocale }),
+  sourceFile: rules.path()
+};
+
+/**
+ * Check the keys of an object against a schema, reporting unknown keys with the
+ * closest known key as a suggestion
+ */
+function checkKeys(value, schema, prefix = '') {
+  const problems = [];
+
+  for (const [key, item] of Object.entries(value)) {
+    const rule = schema[key];
+    if (rule) {
+      problems.push(...rule(item, `${prefix}${key}`));
+      continue;
+    }
+
+    const suggestion = Object.keys(schema)
+      .map(known => ({ known, score: getSimilarity(key.toLowerCase(), known.toLowerCase()) }))
+      .sort((a, b) => b.score - a.score)[0];
+    problems.push({
+      path: `${prefix}${key}`,
+      message: suggestion?.score >= SUGGESTION_THRESHOLD
+        ? `unknown key "${key}", did you mean "${suggestion.known}"?`
+        : `unknown key "${key}"`
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Checks between fields that each look valid on their own
+ */
+function checkConfigConsistency(config) {
+  const problems = [];
+  const sourceLocale = toCanonicalLocale(config.sourceLocale ?? DEFAULT_CONFIG.sourceLocale);
+  const targetLocales = config.targetLocales ?? config.languages;
+
+  if (Array.isArray(targetLocales)) {
+    const index = targetLocales.findIndex(locale => toCanonicalLocale(locale) === sourceLocale);
+    if (index !== -1) {
+      const key = config.targetLocales ? 'targetLocales' : 'languages';
+      problems.push({ path: `${key}[${index}]`, message: `"${sourceLocale}" is the source locale and cannot be a target locale` });
+    }
+  }
+
+  if (isPlainObject(config.localeFallbacks)) {
+    problems.push(...checkLocaleFallbacks(config.localeFallbacks, sourceLocale, Array.isArray(targetLocales) ? targetLocales : []));
+  }
+
+  const sourceFiles = config.sourceFiles ?? (config.sourceFile ? [config.sourceFile] : null);
+  if (typeof config.outputPath === 'string' && config.outputPath) {
+    if (!config.outputPath.includes('{locale}')) {
+      problems.push({ path: 'outputPath', message: 'must contain {locale} so each locale gets its own file' });
+    }
+
+    const isNamespaced = Array.isArray(sourceFiles) &&
+      (sourceFiles.length > 1 || sourceFiles.some(file => typeof file === 'string' && isGlobPattern(file)));
+    if (isNamespaced && !config.outputPath.includes('{namespace}')) {
+      problems.push({ path: 'outputPath', message: 'must contain {namespace} when sourceFiles lists several files or a glob' });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check that each fallback chain ends at the source locale or a target locale without looping
+ */
+function checkLocaleFallbacks(fallbacks, sourceLocale, targetLocales) {
+  const problems = [];
+  const canonicalTargets = targetLocales.map(toCanonicalLocale);
+  const canonicalFallbacks = Object.fromEntries(
+    Object.entries(fallbacks).map(([locale, fallback]) => [toCanonicalLocale(locale), toCanonicalLocale(fallback)])
+  );
+
+  for (const [locale, fallback] of Object.entries(fallbacks)) {
+    const path = `localeFallbacks.${locale}`;
+    if (typeof fallback !== 'string') {
+      continue;
+    }
+
+    const canonicalFallback = toCanonicalLocale(fallback);
+    if (canonicalFallback !== sourceLocale && !canonicalTargets.includes(canonicalFallback)) {
+      problems.push({ path, message: `"${fallback}" must be the source locale or a target locale` });
+      continue;
+    }
+
+    const seen = new Set([toCanonicalLocale(locale)]);
+    for (let current = canonicalFallback; current in canonicalFallbacks; current = canonicalFallbacks[current]) {
+      if (seen.has(current)) {
+        problems.push({ path, message: `the fallback chain of "${locale}" loops back to "${current}"` });
+        break;
+      }
+      seen.add(current);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Report deprecated keys, which are still honoured unless their replacement is set
+ */
+function checkDeprecatedKeys(config) {
+  return Object.entries(DEPRECATED_KEYS)
+    .filter(([key]) => key in config)
+    .map(([key, replacement]) => ({
+      path: key,
+      message: replacement in config
+        ? `"${key}" is deprecated and ignored because "${replacement}" is set; remove it`
+        : `"${key}" is deprecated, use "${replacement}" instead`
+    }));
+}
+
+/**
+ * Validate a parsed config against the schema
+ * Returns { errors, warnings }, each a list of { path, message }
+ */
+export function validateConfigSchema(config) {
+  if (!isPlainObject(config)) {
+    return { errors: [{ path: '', message: `must be a JSON object, got ${describeType(config)}` }], warnings: [] };
+  }
+
+  return {
+    errors: [...checkKeys(config, CONFIG_SCHEMA), ...checkConfigConsistency(config)],
+    warnings: checkDeprecatedKeys(config)
+  };
+}
+
+/**
+ * Find the line of a schema path (e.g. "targetLocales[1]") in the config file
+ * Array items are located by their value on or after the line of their key
+ */
+function findPathLine(content, path, config) {
+  const key = path.replace(/\[\d+\]/g, '');
+  if (!key) {
+    return 1;
+  }
+
+  const keyLine = findKeyLine(content, key);
+  const index = path.match(/^(\w+)\[(\d+)\]$/);
+  const item = index && Array.isArray(config?.[index[1]]) ? config[index[1]][Number(index[2])] : undefined;
+  if (item === undefined) {
+    return keyLine;
+  }
+
+  const literal = JSON.stringify(item);
+  const lines = content.split('\n');
+  const found = lines.findIndex((line, lineIndex) => lineIndex >= keyLine - 1 && line.includes(literal));
+  return found === -1 ? keyLine : found + 1;
+}
+
+/**
+ * Get the line of a JSON syntax error from the parser message
+ */
+function getSyntaxErrorLine(content, error) {
+  const line = error.message.match(/\(line (\d+) column \d+\)/);
+  if (line) {
+    return Number(line[1]);
+  }
+
+  const position = error.message.match(/at position (\d+)/);
+  return position ? content.slice(0, Number(position[1])).split('\n').length : 1;
+}
+
+/**
+ * Parse and validate the config file content
+ * Returns { config, issues }: config is the parsed object ({} when the file is not
+ * valid JSON) and issues are check run issues annotated on the config file
+ */
+export function parseConfigFile(content, filePath = DEFAULT_CONFIG_FILE) {
+  const toIssue = (level, line) => ({ path, message }) => ({
+    type: 'config',
+    level,
+    sourceFile: filePath,
+    key: path || filePath,
+    line: line ?? findPathLine(content, path, config),
+    message
+  });
+
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    return {
+      config: {},
+      issues: [toIssue(ISSUE_LEVELS.FAILURE, getSyntaxErrorLine(content, error))({ path: '', message: `Invalid JSON: ${error.message}` })]
+    };
+  }
+
+  const { errors, warnings } = validateConfigSchema(config);
+  return {
+    config: isPlainObject(config) ? config : {},
+    issues: [
+      ...errors.map(toIssue(ISSUE_LEVELS.FAILURE)),
+      ...warnings.map(toIssue(ISSUE_LEVELS.WARNING))
+    ]
+  };
+}
+
+/**
+ * Get the config issues that prevent localization from running
+ */
+export function getConfigErrors(config) {
+  return (config?.configIssues || []).filter(issue => issue.level === ISSUE_LEVELS.FAILURE);
+}
@@ -0,0 +1,148 @@
+import {
+  DEFAULT_SECRETS_FILE,
+  DEFAULT_SECRET_NAME,
+  ENV_VARS,
+  SECRET_REFERENCE_PREFIX
+} from './constants.js';
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+
+import path from 'path';
+import { registerSecret } from './logger.js';
+
+const SECRETS_FILE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SECRET_REFERENCE_PATTERN = new RegExp(`^${SECRET_REFERENCE_PREFIX}[\\w.-]+$`);
+
+/**
+ * Check if a config value references a server-side secret ("secret:<name>")
+ */
+export function isSecretReference(value) {
+  return typeof value === 'string' && SECRET_REFERENCE_PATTERN.test(value);
+}
+
+/**
+ * Get the environment variable holding a named secret of an installation:
+ * "acme-prod" of installation 42 reads VOCODER_SECRET_42_ACME_PROD
+ */
+export function getSecretEnvironmentVariable(installationId, name) {
+  return `VOCODER_SECRET_${installationId}_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Check if an installation may use the server-wide PROJECT_API_KEY
+ * PROJECT_API_KEY_INSTALLATIONS lists the installation ids that opted in, or "*" for
+ * every installation of a single-tenant server
+ */
+export function canUseProjectApiKey(installationId) {
+  const allowed = (process.env[ENV_VARS.PROJECT_API_KEY_INSTALLATIONS] || '').split(',').map(id => id.trim());
+  return allowed.includes('*') || (Boolean(installationId) && allowed.includes(String(installationId)));
+}
+
+/**
+ * Derive the encryption key of the secrets file from SECRETS_KEY
+ */
+function getEncryptionKey() {
+  const passphrase = process.env[ENV_VARS.SECRETS_KEY];
+  if (!passphrase) {
+    throw new Error(`${ENV_VARS.SECRETS_KEY} is not set`);
+  }
+  return createHash('sha256').update(passphrase).digest();
+}
+
+/**
+ * Encrypt a secret as "iv.tag.ciphertext" (base64 parts)
+ */
+export function encryptSecret(value, key = getEncryptionKey()) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ */
+export function decryptSecret(payload, key = getEncryptionKey()) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Read the secrets file: { version, installations: { [installationId]: { [name]: encrypted } } }
+ */
+async function readSecretsFile(filePath) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: SECRETS_FILE_VERSION, installations: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Store an encrypted secret for an installation
+ */
+export async function setInstallationSecret(installationId, name, value, filePath = process.env[ENV_VARS.SECRETS_FILE] || DEFAULT_SECRETS_FILE) {
+  const secrets = await readSecretsFile(filePath);
+  const installations = secrets.installations || {};
+  installations[installationId] = { ...installations[installationId], [name]: encryptSecret(value) };
+
+  // Write through a temporary file so a crash never leaves a partial file behind
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(`${filePath}.tmp`, `${JSON.stringify({ ...secrets, installations }, null, 2)}\n`, { mode: 0o600 });
+  await rename(`${filePath}.tmp`, filePath);
+}
+
+/**
+ * Read and decrypt a secret of an installation, or null if it is not stored
+ */
+export async function getInstallationSecret(installationId, name, filePath = process.env[ENV_VARS.SECRETS_FILE] || DEFAULT_SECRETS_FILE) {
+  const secrets = await readSecretsFile(filePath);
+  const payload = secrets.installations?.[installationId]?.[name];
+  return payload ? decryptSecret(payload) : null;
+}
+
+/**
+ * Resolve the provider API key of a config
+ * Secrets are scoped to the installation, so no installation can read another's by name:
+ * "secret:<name>" is looked up in the installation's secrets, then in
+ * VOCODER_SECRET_<INSTALLATION>_<NAME>; without a reference the installation's "default"
+ * secret is used, or PROJECT_API_KEY for installations allowed to use it.
+ * Resolved keys are registered with the logger so they are never logged.
+ * Returns { apiKey, error }, where error is set when a referenced secret cannot be resolved
+ */
+export async function resolveProjectApiKey(value, installationId) {
+  const isReference = isSecretReference(value);
+  const name = isReference ? value.slice(SECRET_REFERENCE_PREFIX.length) : DEFAULT_SECRET_NAME;
+
+  // A plaintext key fails validation, but must still stay out of the logs
+  if (value && !isReference) {
+    registerSecret(value);
+  }
+
+  let apiKey;
+  try {
+    const stored = installationId ? await getInstallationSecret(installationId, name) : null;
+    if (stored) {
+      apiKey = stored;
+    } else if (isReference) {
+      apiKey = (installationId && process.env[getSecretEnvironmentVariable(installationId, name)]) || '';
+    } else {
+      apiKey = (canUseProjectApiKey(installationId) && process.env[ENV_VARS.PROJECT_API_KEY]) || '';
+    }
+  } catch (error) {
+    return { apiKey: '', error: `Secret "${name}" could not be read: ${error.message}` };
+  }
+
+  if (isReference && !apiKey) {
+    return { apiKey, error: `Secret "${name}" is not defined for this installation` };
+  }
+
+  registerSecret(apiKey);
+  return { apiKey, error: null };
+}
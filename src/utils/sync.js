@@ -0,0 +1,149 @@
+import { COMPANION_BRANCH_PREFIX, DEFAULT_SYNC_INTERVAL_HOURS, ENV_VARS, MAX_TIMER_DELAY } from './constants.js';
+import { createHash, timingSafeEqual } from 'crypto';
+import { findMissingPluralForms, getUnusedPluralKeys, usesNestedPlurals } from './plurals.js';
+import { getFallbackChain, getTargetFilePath } from './locales.js';
+import { getLocaleFile, resolveSourceFiles } from './api.js';
+import { getLockFile, hashText, isMachineTranslation } from './lock.js';
+
+import { Logger } from './logger.js';
+import { getNamespace } from './paths.js';
+import { isDescriptionKey } from './context.js';
+import { publishPullRequest } from './delivery.js';
+
+/**
+ * Get the branch a full sync of a branch is proposed from
+ */
+export function getSyncBranch(branch) {
+  return `${COMPANION_BRANCH_PREFIX}sync/${branch}`;
+}
+
+/**
+ * Get the interval of the scheduled full sync in ms from SYNC_INTERVAL_HOURS
+ * Returns null when the schedule is disabled (0) or the value is not a number; intervals
+ * beyond what a timer can wait are capped to MAX_TIMER_DELAY
+ */
+export function getSyncInterval(hours = process.env[ENV_VARS.SYNC_INTERVAL_HOURS] ?? DEFAULT_SYNC_INTERVAL_HOURS) {
+  const logger = new Logger('Sync');
+  const value = Number(hours);
+
+  if (!Number.isFinite(value) || value < 0) {
+    logger.warn(`Invalid ${ENV_VARS.SYNC_INTERVAL_HOURS} '${hours}', scheduled sync is disabled`);
+    return null;
+  }
+
+  const interval = Math.round(value * 60 * 60 * 1000);
+  if (interval > MAX_TIMER_DELAY) {
+    logger.warn(`${ENV_VARS.SYNC_INTERVAL_HOURS} is too long, syncing every ${Math.floor(MAX_TIMER_DELAY / 3600000)} hours instead`);
+    return MAX_TIMER_DELAY;
+  }
+
+  return interval > 0 ? interval : null;
+}
+
+/**
+ * Check the bearer token of a sync request against SYNC_TOKEN
+ * Requests are refused when no token is configured
+ */
+export function isAuthorizedSyncRequest(authorization, token = process.env[ENV_VARS.SYNC_TOKEN]) {
+  const [scheme, provided] = (authorization || '').split(' ');
+  if (!token || scheme !== 'Bearer' || !provided) {
+    return false;
+  }
+
+  // Compare digests so neither the length nor the content leaks through timing
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided), digest(token));
+}
+
+/**
+ * Find the strings each target locale file is missing at a ref
+ * A key is missing when the target file lacks it, and stale when the app translated it
+ * (per the lock file) from a source text that has changed since. Hand-edited values
+ * are never stale: they are kept and flagged by the regular runs. A plural group is missing
+ * when the file lacks a plural category the locale needs, e.g. items_few in Polish. Locales
+ * with fallbacks are never missing strings: they inherit them (see config.localeFallbacks).
+ * Returns { namespaces, sourceFilesFound } with one namespace per source file and
+ * locale ({ sourceFile, namespace, source, changes, locales })
+ */
+export async function findMissingTranslations(event, config, ref) {
+  const sourceFiles = await resolveSourceFiles(event, config.sourceFiles, ref);
+  const lock = await getLockFile(event, ref);
+  const namespaces = [];
+  let sourceFilesFound = 0;
+
+  for (const sourceFile of sourceFiles) {
+    const source = await getLocaleFile(event, sourceFile, ref, { format: config.format, locale: config.sourceLocale, isSource: true });
+    if (!source) {
+      continue;
+    }
+    sourceFilesFound++;
+
+    const namespace = getNamespace(sourceFile);
+    const pluralOptions = { nested: usesNestedPlurals(config, source.format) };
+    for (const locale of config.targetLocales) {
+      const filePath = getTargetFilePath(config, sourceFile, locale);
+      const existing = await getLocaleFile(event, filePath, ref, { format: config.format || source.format, locale });
+      const existingStrings = existing?.strings || {};
+      const entries = lock.files[filePath] || {};
+
+      // A locale with fallbacks inherits the strings it lacks
+      const hasFallback = getFallbackChain(locale, config.localeFallbacks).length > 0;
+      const added = {};
+      const updated = {};
+      const unusedPluralKeys = getUnusedPluralKeys(Object.keys(source.strings), locale, pluralOptions);
+      for (const [key, text] of Object.entries(source.strings)) {
+        const existingValue = existingStrings[key];
+        if (unusedPluralKeys.has(key) || isDescriptionKey(key, source.strings)) {
+          continue;
+        } else if (existingValue === undefined) {
+          if (!hasFallback) {
+            added[key] = text;
+          }
+        } else if (isMachineTranslation(entries[key], existingValue) && entries[key].source !== hashText(text)) {
+          updated[key] = text;
+        }
+      }
+
+      // The rest of the group is added when it is translated (see expandPluralChanges)
+      const missingPluralGroups = hasFallback ? [] : findMissingPluralForms(source.strings, existingStrings, locale, pluralOptions);
+      for (const group of missingPluralGroups) {
+        if (!(group.key in updated)) {
+          added[group.key] = source.strings[group.key];
+        }
+      }
+
+      if (Object.keys(added).length > 0 || Object.keys(updated).length > 0) {
+        namespaces.push({ sourceFile, namespace, source, changes: { added, updated, deleted: {} }, locales: [locale] });
+      }
+    }
+  }
+
+  return { namespaces, sourceFilesFound };
+}
+
+/**
+ * Propose the translations of a full sync in a pull request into the synced branch
+ * The sync branch is rebuilt by every sync until the pull request is merged
+ * Returns the open sync pull request
+ */
+export async function publishSyncPullRequest(event, branch, commitSha, namespaces) {
+  const locales = [...new Set(namespaces.flatMap(({ locales }) => locales))];
+  const count = namespaces.reduce(
+    (total, { changes }) => total + Object.keys(changes.added).length + Object.keys(changes.updated).length,
+    0
+  );
+
+  return publishPullRequest(event, {
+    branch: getSyncBranch(branch),
+    base: branch,
+    commitSha,
+    title: `🌍 Backfill translations for ${branch}`,
+    body: [
+      `Translations missing or out of date on \`${branch}\`, generated by a Vocoder full sync.`,
+      '',
+      `${count} translation(s) across ${locales.join(', ')}.`,
+      '',
+      'This branch is rebuilt by every sync until the pull request is merged, so edits pushed here may be replaced.'
+    ].join('\n')
+  });
+}
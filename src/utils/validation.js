@@ -1,5 +1,21 @@
-import { DEFAULT_CONFIG } from './constants.js';
+import {
+  DEFAULT_CONFIG,
+  DEFAULT_NAMESPACED_OUTPUT_PATH,
+  DEFAULT_OUTPUT_PATH,
+  DELIVERY_MODES,
+  DELIVERY_TARGETS,
+  FILE_FORMATS,
+  FORK_POLICIES,
+  HUMAN_EDIT_POLICIES,
+  INTEGRITY_MODES,
+  MAX_PROVIDER_DELAY,
+  TRANSLATION_PROVIDERS
+} from './constants.js';
 import { Logger } from './logger.js';
+import { isGlobPattern } from './paths.js';
+
+// Fields added to the config while loading it, which are not config options
+const INTERNAL_CONFIG_KEYS = ['configIssues', 'configSources', 'inheritedFrom'];
 
 /**
  * Validate and merge configuration with defaults
@@ -12,8 +28,24 @@ export function validateConfig(config) {
     validated.targetBranches = DEFAULT_CONFIG.targetBranches;
   }
 
-  if (typeof validated.sourceFile !== 'string') {
-    validated.sourceFile = DEFAULT_CONFIG.sourceFile;
+  // Accept the single sourceFile field used by older configs
+  if (!config.sourceFiles && typeof config.sourceFile === 'string') {
+    validated.sourceFiles = [config.sourceFile];
+  }
+  delete validated.sourceFile;
+
+  // Accept the languages field used by older configs
+  if (!config.targetLocales && Array.isArray(config.languages)) {
+    validated.targetLocales = config.languages;
+  }
+  delete validated.languages;
+
+  if (
+    !Array.isArray(validated.sourceFiles) ||
+    validated.sourceFiles.length === 0 ||
+    !validated.sourceFiles.every(file => typeof file === 'string' && file)
+  ) {
+    validated.sourceFiles = DEFAULT_CONFIG.sourceFiles;
   }
 
   if (typeof validated.sourceLocale !== 'string') {
@@ -24,17 +56,197 @@ export function validateConfig(config) {
     validated.targetLocales = DEFAULT_CONFIG.targetLocales;
   }
 
+  // Locales are compared and written in canonical form; invalid ones are left for validateLocales to reject
+  validated.sourceLocale = toCanonicalLocale(validated.sourceLocale);
+  validated.targetLocales = validated.targetLocales.map(toCanonicalLocale);
+
+  validated.localeMapping = Object.fromEntries(
+    Object.entries(isPlainObject(validated.localeMapping) ? validated.localeMapping : {})
+      .filter(([locale, name]) => canonicalizeLocale(locale) && typeof name === 'string' && name)
+      .map(([locale, name]) => [canonicalizeLocale(locale), name])
+  );
+
+  // A fallback must be the source locale or another target locale
+  const fallbackLocales = [validated.sourceLocale, ...validated.targetLocales];
+  validated.localeFallbacks = Object.fromEntries(
+    Object.entries(isPlainObject(validated.localeFallbacks) ? validated.localeFallbacks : {})
+      .map(([locale, fallback]) => [canonicalizeLocale(locale), typeof fallback === 'string' && canonicalizeLocale(fallback)])
+      .filter(([locale, fallback]) => locale && fallback && locale !== fallback && fallbackLocales.includes(fallback))
+  );
+
   if (typeof validated.outputDir !== 'string') {
     validated.outputDir = DEFAULT_CONFIG.outputDir;
   }
 
+  // Namespaced output paths are used as soon as more than one source file can match
+  if (typeof validated.outputPath !== 'string' || !validated.outputPath) {
+    const isNamespaced =
+      validated.sourceFiles.length > 1 || validated.sourceFiles.some(isGlobPattern);
+    validated.outputPath = isNamespaced ? DEFAULT_NAMESPACED_OUTPUT_PATH : DEFAULT_OUTPUT_PATH;
+  }
+
+  if (validated.format !== null && !Object.values(FILE_FORMATS).includes(validated.format)) {
+    validated.format = DEFAULT_CONFIG.format;
+  }
+
+  if (typeof validated.nestedPlurals !== 'boolean') {
+    validated.nestedPlurals = DEFAULT_CONFIG.nestedPlurals;
+  }
+
   if (typeof validated.projectApiKey !== 'string') {
     validated.projectApiKey = DEFAULT_CONFIG.projectApiKey;
   }
 
+  if (!Object.values(HUMAN_EDIT_POLICIES).includes(validated.humanEdits)) {
+    validated.humanEdits = DEFAULT_CONFIG.humanEdits;
+  }
+
+  if (!Object.values(INTEGRITY_MODES).includes(validated.integrity)) {
+    validated.integrity = DEFAULT_CONFIG.integrity;
+  }
+
+  if (!Object.values(DELIVERY_MODES).includes(validated.delivery)) {
+    validated.delivery = DEFAULT_CONFIG.delivery;
+  }
+
+  if (!Object.values(DELIVERY_TARGETS).includes(validated.deliveryTarget)) {
+    validated.deliveryTarget = DEFAULT_CONFIG.deliveryTarget;
+  }
+
+  if (!Object.values(FORK_POLICIES).includes(validated.forks)) {
+    validated.forks = DEFAULT_CONFIG.forks;
+  }
+
+  if (typeof validated.glossary !== 'string' || !validated.glossary) {
+    validated.glossary = DEFAULT_CONFIG.glossary;
+  }
+
+  if (typeof validated.context !== 'string' || !validated.context) {
+    validated.context = DEFAULT_CONFIG.context;
+  }
+
+  if (!Array.isArray(validated.verbatimKeys) || !validated.verbatimKeys.every(pattern => typeof pattern === 'string')) {
+    validated.verbatimKeys = DEFAULT_CONFIG.verbatimKeys;
+  }
+
+  // Invalid constraint fields are ignored when the constraints are applied
+  if (!isPlainObject(validated.constraints)) {
+    validated.constraints = DEFAULT_CONFIG.constraints;
+  }
+
+  // translationMemory may be a boolean shorthand for { enabled }
+  const memory = typeof validated.translationMemory === 'boolean'
+    ? { enabled: validated.translationMemory }
+    : validated.translationMemory;
+  validated.translationMemory = { ...DEFAULT_CONFIG.translationMemory, ...(isPlainObject(memory) ? memory : {}) };
+  if (typeof validated.translationMemory.enabled !== 'boolean') {
+    validated.translationMemory.enabled = DEFAULT_CONFIG.translationMemory.enabled;
+  }
+  const { fuzzyThreshold } = validated.translationMemory;
+  if (typeof fuzzyThreshold !== 'number' || fuzzyThreshold <= 0 || fuzzyThreshold > 1) {
+    validated.translationMemory.fuzzyThreshold = DEFAULT_CONFIG.translationMemory.fuzzyThreshold;
+  }
+
+  if (!Object.values(TRANSLATION_PROVIDERS).includes(validated.provider)) {
+    validated.provider = DEFAULT_CONFIG.provider;
+  }
+
+  validated.providerOptions = sanitizeProviderOptions(validated.providerOptions);
+
+  const pseudo = isPlainObject(validated.pseudoLocalization) ? validated.pseudoLocalization : {};
+  validated.pseudoLocalization = { ...DEFAULT_CONFIG.pseudoLocalization };
+  for (const option of ['accents', 'brackets']) {
+    if (typeof pseudo[option] === 'boolean') {
+      validated.pseudoLocalization[option] = pseudo[option];
+    }
+  }
+  if (typeof pseudo.expansion === 'number' && pseudo.expansion >= 0 && pseudo.expansion <= 3) {
+    validated.pseudoLocalization.expansion = pseudo.expansion;
+  }
+
   return validated;
 }
 
+/**
+ * Keep the provider options a repository may set, with waits capped at MAX_PROVIDER_DELAY
+ * apiKey and baseUrl are dropped: the server owns credentials and endpoints
+ */
+function sanitizeProviderOptions(options) {
+  if (!isPlainObject(options)) {
+    return DEFAULT_CONFIG.providerOptions;
+  }
+
+  const isWait = value => typeof value === 'number' && value >= 0;
+  const isLimit = value => Number.isInteger(value) && value > 0;
+  const limits = isPlainObject(options.limits) ? options.limits : {};
+  const sanitizedLimits = {
+    ...(isLimit(limits.maxBatchSize) && { maxBatchSize: limits.maxBatchSize }),
+    ...(isLimit(limits.maxBatchCharacters) && { maxBatchCharacters: limits.maxBatchCharacters }),
+    ...(isWait(limits.minRequestInterval) && { minRequestInterval: Math.min(limits.minRequestInterval, MAX_PROVIDER_DELAY) })
+  };
+
+  return {
+    ...(typeof options.model === 'string' && options.model && { model: options.model }),
+    ...(isPlainObject(options.glossaryIds) && { glossaryIds: options.glossaryIds }),
+    ...(isWait(options.delay) && { delay: Math.min(options.delay, MAX_PROVIDER_DELAY) }),
+    ...(Object.keys(sanitizedLimits).length > 0 && { limits: sanitizedLimits })
+  };
+}
+
+/**
+ * Move values of deprecated keys to the keys that replace them, unless those are set
+ */
+export function migrateDeprecatedKeys(config) {
+  const { languages, sourceFile, ...migrated } = config;
+
+  if (!migrated.targetLocales && Array.isArray(languages)) {
+    migrated.targetLocales = languages;
+  }
+
+  if (!migrated.sourceFiles && typeof sourceFile === 'string') {
+    migrated.sourceFiles = [sourceFile];
+  }
+
+  return migrated;
+}
+
+/**
+ * Deep-merge a repository config over organization defaults
+ * Objects are merged key by key; arrays and other values replace the defaults
+ */
+export function mergeConfigs(defaults, overrides) {
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeConfigs(merged[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Get the effective config for display, without internal fields or the API key
+ */
+export function getEffectiveConfig(config) {
+  const effective = Object.fromEntries(
+    Object.entries(config).filter(([key]) => !INTERNAL_CONFIG_KEYS.includes(key))
+  );
+
+  return {
+    ...effective,
+    ...(effective.projectApiKey && { projectApiKey: '********' })
+  };
+}
+
+/**
+ * Check if a value is a plain object (not null or an array)
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Validate environment variables
  */
@@ -70,8 +282,31 @@ export function validateApiKey(apiKey) {
   return true;
 }
 
+/**
+ * Canonicalize a BCP 47 language tag: zh-hant becomes zh-Hant and iw becomes he
+ * Returns null when the tag is not well-formed, e.g. "pt_BR", or its language is not a
+ * two or three letter ISO 639 code, e.g. "english" (reserved, but valid BCP 47 syntax)
+ */
+export function canonicalizeLocale(locale) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(locale);
+    return canonical && /^[a-z]{2,3}$/.test(new Intl.Locale(canonical).language) ? canonical : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the canonical form of a locale to compare it, as validateConfig stores it: pt-br is
+ * pt-BR. Values that cannot be canonicalized are returned as is.
+ */
+export function toCanonicalLocale(locale) {
+  return (typeof locale === 'string' && canonicalizeLocale(locale)) || locale;
+}
+
 /**
  * Validate locale code
+ * Any well-formed BCP 47 tag is accepted: fr, pt-BR, zh-Hant, sr-Latn-RS, fil, es-419
  */
 export function validateLocale(locale) {
   const logger = new Logger('Validation');
@@ -84,8 +319,7 @@ export function validateLocale(locale) {
     return false;
   }
 
-  // Basic locale validation (2-5 character string)
-  if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(locale)) {
+  if (!canonicalizeLocale(locale)) {
     logger.error('Invalid locale format', { locale });
     return false;
   }
@@ -1,5 +1,6 @@
 import { compareSourceFiles, getConfigWithFallback } from './api.js';
 
+import { DEFAULT_CONFIG_FILE } from './constants.js';
 import { Logger } from './logger.js';
 
 export class WebhookEvent {
@@ -26,13 +27,19 @@ export async function shouldProcessWebhook(event) {
   try {
     const config = await getConfigWithFallback(event);
 
-    if (!config?.sourceFile) {
+    if (!config?.sourceFiles?.length) {
       logger.warn(
-        'No configuration or source file found, processing webhook anyway'
+        'No configuration or source files found, processing webhook anyway'
       );
       return true;
     }
 
+    // Config problems are reported on the PR even when no source file changed
+    if (config.configIssues?.length > 0) {
+      logger.info(`${DEFAULT_CONFIG_FILE} has problems to report, processing webhook`);
+      return true;
+    }
+
     const { payload = {} } = event;
     const { pull_request: pullRequest, commits = [] } = payload;
 
@@ -55,7 +62,7 @@ export async function shouldProcessWebhook(event) {
 }
 
 /**
- * Check if source file changed in pull request
+ * Check if source files changed in pull request
  */
 export async function checkPRSourceFileChanges(event, pullRequest, config) {
   const logger = new Logger('FunctionalWebhook');
@@ -65,29 +72,30 @@ export async function checkPRSourceFileChanges(event, pullRequest, config) {
   try {
     const hasChanged = await compareSourceFiles(
       event,
-      config.sourceFile,
+      config.sourceFiles,
       baseSha,
-      headSha
+      headSha,
+      { format: config.format, locale: config.sourceLocale }
     );
 
     if (!hasChanged) {
       logger.info(
-        `Skipping webhook - no changes to source file ${config.sourceFile}`,
+        `Skipping webhook - no changes to source files ${config.sourceFiles.join(', ')}`,
         {
           baseSha,
           headSha,
-          sourceFile: config.sourceFile
+          sourceFiles: config.sourceFiles
         }
       );
       return false;
     }
 
     logger.info(
-      `Processing webhook - source file ${config.sourceFile} has changes`,
+      `Processing webhook - source files ${config.sourceFiles.join(', ')} have changes`,
       {
         baseSha,
         headSha,
-        sourceFile: config.sourceFile
+        sourceFiles: config.sourceFiles
       }
     );
 
@@ -102,7 +110,7 @@ export async function checkPRSourceFileChanges(event, pullRequest, config) {
 }
 
 /**
- * Check if source file changed in push event
+ * Check if source files changed in push event
  */
 export async function checkPushSourceFileChanges(event, payload, config) {
   const logger = new Logger('FunctionalWebhook');
@@ -112,29 +120,30 @@ export async function checkPushSourceFileChanges(event, payload, config) {
   try {
     const hasChanged = await compareSourceFiles(
       event,
-      config.sourceFile,
+      config.sourceFiles,
       previousCommit,
-      latestCommit.id
+      latestCommit.id,
+      { format: config.format, locale: config.sourceLocale }
     );
 
     if (!hasChanged) {
       logger.info(
-        `Skipping push webhook - no changes to source file ${config.sourceFile}`,
+        `Skipping push webhook - no changes to source files ${config.sourceFiles.join(', ')}`,
         {
           previousSha: previousCommit,
           currentSha: latestCommit.id,
-          sourceFile: config.sourceFile
+          sourceFiles: config.sourceFiles
         }
       );
       return false;
     }
 
     logger.info(
-      `Processing push webhook - source file ${config.sourceFile} has changes`,
+      `Processing push webhook - source files ${config.sourceFiles.join(', ')} have changes`,
       {
         previousSha: previousCommit,
         currentSha: latestCommit.id,
-        sourceFile: config.sourceFile
+        sourceFiles: config.sourceFiles
       }
     );
 